@@ -6,6 +6,7 @@ import rateLimit from "express-rate-limit";
 import hpp from "hpp";
 import dotenv from 'dotenv';
 import jwt from 'jsonwebtoken';
+import { verifyAccessToken, getJwks } from './app/utils/token.js';
 
 // ========== LOAD ENV FIRST ==========
 dotenv.config();
@@ -24,14 +25,28 @@ import analyticsRoutes from "./app/routes/analyticsRoutes.js";
 import notificationRoutes from "./app/routes/notificationRoutes.js";
 import reviewRoutes from "./app/routes/reviewRoutes.js";
 import searchRoutes, { filterRouter } from "./app/routes/searchRoutes.js";
+import adminRoutes from "./app/routes/adminRoutes.js";
+import { serveUploads } from "./app/middleware/uploads.middleware.js";
+import sellerRoutes from "./app/routes/sellerRoutes.js";
+import feedRoutes from "./app/routes/feedRoutes.js";
 
 const app = express();
 
+// Browser origins allowed to call the API (comma separated). Credentials are
+// allowed so the web frontend can use cookie auth, which rules out "*"
+const allowedOrigins = (process.env.CORS_ORIGINS || process.env.APP_URL || "http://localhost:3000")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
 // Security middleware
 app.use(helmet());
 app.use(
   cors({
-    origin: "*",
+    // Requests without an Origin header (server-to-server, curl, mobile) are not subject to CORS
+    origin: (origin, callback) => callback(null, !origin || allowedOrigins.includes(origin)),
+    credentials: true,
+    exposedHeaders: ["X-Impersonated-By"],
   })
 );
 
@@ -52,6 +67,9 @@ app.use(hpp());
 // Compression
 app.use(compression());
 
+// Uploaded media of the local storage driver
+app.use("/uploads", serveUploads);
+
 // ========== ROUTES ==========
 app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
@@ -64,6 +82,9 @@ app.use("/api/notifications", notificationRoutes);
 app.use("/api/reviews", reviewRoutes);
 app.use("/api/search", searchRoutes);
 app.use("/api/filters", filterRouter);
+app.use("/api/admin", adminRoutes);
+app.use("/api/sellers", sellerRoutes);
+app.use("/api/feed", feedRoutes);
 
 // Debug endpoint
 app.get('/api/debug/verify-token', (req, res) => {
@@ -80,13 +101,14 @@ app.get('/api/debug/verify-token', (req, res) => {
   const token = authHeader.split(' ')[1];
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
 
     res.json({
       success: true,
       message: 'Token verified successfully',
       decoded,
       tokenInfo: {
+        kid: jwt.decode(token, { complete: true }).header.kid || null,
         length: token.length,
         first20: token.substring(0, 20) + '...'
       }
@@ -102,6 +124,12 @@ app.get('/api/debug/verify-token', (req, res) => {
   }
 });
 
+// Public signing keys so other services can verify DevMark access tokens
+app.get("/.well-known/jwks.json", (req, res) => {
+  res.set("Cache-Control", "public, max-age=300");
+  res.json(getJwks());
+});
+
 // Health check
 app.get("/health", (req, res) => {
   res.json({
@@ -0,0 +1,137 @@
+// controllers/accessToken.controller.js
+import mongoose from "mongoose";
+import { TOKEN_SCOPES } from "../../infrastructure/models/PersonalAccessToken.model.js";
+import { AccessTokenService } from "../services/accessToken.service.js";
+
+// Token fields safe to return (the hash never leaves the server)
+const getSafeTokenObject = (token) => ({
+  id: token._id,
+  name: token.name,
+  tokenPrefix: token.tokenPrefix,
+  scopes: token.scopes,
+  expiresAt: token.expiresAt,
+  lastUsedAt: token.lastUsedAt,
+  lastUsedIp: token.lastUsedIp,
+  revokedAt: token.revokedAt,
+  isActive: token.isActive(),
+  createdAt: token.createdAt
+});
+
+/**
+ * @desc    List personal access tokens of current user
+ * @route   GET /api/users/profile/tokens
+ * @access  Private
+ */
+export const getMyTokens = async (req, res) => {
+  try {
+    const tokens = await AccessTokenService.listTokens(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: tokens.length,
+      availableScopes: TOKEN_SCOPES,
+      data: tokens.map(getSafeTokenObject)
+    });
+
+  } catch (err) {
+    console.error("GET TOKENS ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch access tokens",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a personal access token (the token is only shown in this response)
+ * @route   POST /api/users/profile/tokens
+ * @access  Private
+ */
+export const createMyToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Token name is required"
+      });
+    }
+
+    const { token, record } = await AccessTokenService.createToken(req.user.id, {
+      name,
+      scopes,
+      expiresInDays
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Access token created. Copy it now, it will not be shown again.",
+      token,
+      data: getSafeTokenObject(record)
+    });
+
+  } catch (err) {
+    if (err.type === "VALIDATION" || err.type === "LIMIT_REACHED") {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+
+    if (err.name === "ValidationError") {
+      const messages = Object.values(err.errors).map(e => e.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages
+      });
+    }
+
+    console.error("CREATE TOKEN ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create access token",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a personal access token
+ * @route   DELETE /api/users/profile/tokens/:tokenId
+ * @access  Private
+ */
+export const revokeMyToken = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.tokenId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid token ID"
+      });
+    }
+
+    const token = await AccessTokenService.revokeToken(req.user.id, req.params.tokenId);
+
+    if (!token) {
+      return res.status(404).json({
+        success: false,
+        message: "Access token not found or already revoked"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Access token revoked successfully"
+    });
+
+  } catch (err) {
+    console.error("REVOKE TOKEN ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke access token",
+      error: err.message
+    });
+  }
+};
@@ -180,7 +180,7 @@ export const getSalesAnalytics = async (req, res) => {
                 .sort({ createdAt: -1 })
                 .limit(10)
                 .populate('user', 'name email')
-                .populate('project', 'title')
+                .populate({ path: 'project', select: 'title', options: { withDeleted: true } })
                 .select('active totalAmount createdAt transactionId')
         ]);
 
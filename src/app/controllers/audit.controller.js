@@ -0,0 +1,66 @@
+// controllers/audit.controller.js
+import mongoose from "mongoose";
+import { AUDIT_CATEGORIES } from "../../infrastructure/models/AuditLog.model.js";
+import { AuditService } from "../services/audit.service.js";
+
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+/**
+ * @desc    Search the audit log (newest first)
+ * @route   GET /api/admin/audit
+ * @query   action (prefix, e.g. "auth.login"), category, actor, targetId, ip, from, to, page, limit
+ * @access  Private (audit.read)
+ */
+export const getAuditLogs = async (req, res) => {
+  try {
+    const { action, category, actor, targetId, ip, from, to, page = 1, limit = 50 } = req.query;
+
+    if (category && !AUDIT_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Category must be one of: ${AUDIT_CATEGORIES.join(", ")}`
+      });
+    }
+
+    for (const [field, value] of [["actor", actor], ["targetId", targetId]]) {
+      if (value && !mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${field}`
+        });
+      }
+    }
+
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({
+        success: false,
+        message: "from and to must be valid dates"
+      });
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const { total, entries } = await AuditService.list(
+      { action, category, actor, targetId, ip, from, to },
+      { page: pageNumber, limit: pageSize }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+      currentPage: pageNumber,
+      data: entries
+    });
+
+  } catch (err) {
+    console.error("GET AUDIT LOGS ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch audit log",
+      error: err.message
+    });
+  }
+};
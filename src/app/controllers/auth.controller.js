@@ -1,11 +1,26 @@
 import UserModel from "../../infrastructure/models/User.model.js";
-import jwt from "jsonwebtoken";
 import crypto from "crypto";
+import { SessionService } from "../services/session.service.js";
+import { ThrottleService } from "../services/throttle.service.js";
+import { AuthService } from "../services/auth.service.js";
+import { AuditService } from "../services/audit.service.js";
+import { PasswordPolicyService } from "../services/passwordPolicy.service.js";
+import { PUBLIC_ROLES } from "../../config/permissions.js";
+import { passwordPolicy } from "../../config/passwordPolicy.js";
 import {
-  generateAccessToken,
-  generateRefreshToken,
-} from "../utils/token.js";
-import { sendVerificationEmail, sendWelcomeEmail } from "../utils/email.js";
+  REFRESH_COOKIE,
+  readCookie,
+  wantsCookieAuth,
+  isValidCsrfRequest,
+  sendAuthResponse,
+  clearAuthCookies,
+} from "../utils/authCookies.js";
+import {
+  sendVerificationEmail,
+  sendWelcomeEmail,
+  sendPasswordResetEmail,
+  sendMagicLinkEmail,
+} from "../utils/email.js";
 
 /*  Signup */
 export const signup = async (req, res) => {
@@ -17,12 +32,23 @@ export const signup = async (req, res) => {
       return res.status(400).json({ message: "All fields required" });
     }
 
-    // 2️⃣ Allowed roles (prevent admin creation via public signup)
-    const allowedRoles = ["buyer", "seller", "admin"];
-    const userRole = allowedRoles.includes(role?.toLowerCase()) ? role.toLowerCase() : "buyer";
+    // 2️⃣ Allowed roles (staff roles such as admin or moderator are invitation only)
+    if (role !== undefined && typeof role !== "string") {
+      return res.status(400).json({ message: "Role must be a string" });
+    }
+    if (role && !PUBLIC_ROLES.includes(role.toLowerCase())) {
+      return res.status(403).json({ message: "Staff accounts can only be created by invitation" });
+    }
+    const userRole = role ? role.toLowerCase() : "buyer";
+
+    const passwordErrors = PasswordPolicyService.validate(password, { name, email });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ message: "Password does not meet the requirements", errors: passwordErrors });
+    }
 
     // 3️⃣ Check if email exists
-    const exists = await UserModel.findOne({ email });
+    // Accounts in the trash still hold their email address
+    const exists = await UserModel.findOne({ email }).withDeleted();
     if (exists) {
       return res.status(409).json({ message: "Email already exists" });
     }
@@ -91,12 +117,26 @@ export const login = async (req, res) => {
     const user = await UserModel.findOne({ email }).select("+password");
 
     if (!user) {
+      // Unknown emails are counted too, so lockouts don't reveal which accounts exist
+      await ThrottleService.handleFailedLogin(email, req.ip);
+      await AuditService.record(req, {
+        action: "auth.login.failure",
+        actor: null,
+        metadata: { email, reason: "unknown_user" }
+      });
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
     // Compare password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await ThrottleService.handleFailedLogin(email, req.ip, user);
+      await AuditService.record(req, {
+        action: "auth.login.failure",
+        actor: null,
+        target: { type: "User", id: user._id },
+        metadata: { email, reason: "invalid_password" }
+      });
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
@@ -112,39 +152,192 @@ export const login = async (req, res) => {
 
     // Check if blocked
     if (user.isBlocked) {
+      await AuditService.record(req, {
+        action: "auth.login.failure",
+        actor: null,
+        target: { type: "User", id: user._id },
+        metadata: { email, reason: "blocked" }
+      });
       return res.status(403).json({ message: "User is blocked" });
     }
 
-    // Generate Tokens
-    const accessToken = generateAccessToken({
-      id: user._id.toString(),
-      role: user.role
-    });
+    // Breached-password screening of existing accounts (opt-in, see config/passwordPolicy.js)
+    if (!user.passwordResetRequired && passwordPolicy.screenOnLogin && PasswordPolicyService.isCompromised(password)) {
+      user.passwordResetRequired = true;
+      await user.save({ validateBeforeSave: false });
+    }
 
-    const refreshToken = generateRefreshToken({
-      id: user._id,
-    });
+    // Flagged accounts only get a reset link by email: whoever flagged them may suspect the password is known
+    if (user.passwordResetRequired) {
+      const quota = await ThrottleService.consumeEmailQuota(user.email, req.ip);
+      if (quota.allowed) {
+        const resetToken = user.generatePasswordResetToken();
+        await user.save({ validateBeforeSave: false });
+
+        const resetUrl = `${process.env.APP_URL || 'http://localhost:3000'}/reset-password/${resetToken}`;
+        try {
+          await sendPasswordResetEmail(user.email, user.name, resetUrl);
+        } catch (emailError) {
+          console.error("Password reset email failed:", emailError);
+        }
+      }
+
+      await AuditService.record(req, {
+        action: "auth.login.failure",
+        actor: null,
+        target: { type: "User", id: user._id },
+        metadata: { email, reason: "password_reset_required" }
+      });
+
+      return res.status(403).json({
+        success: false,
+        passwordResetRequired: true,
+        message: "You need to choose a new password. We've emailed you a reset link."
+      });
+    }
 
-    // Update last login
-    user.updateLastLogin();
+    // Second factor / session creation (shared with other login methods)
+    const response = await AuthService.completeLogin(user, req, "password");
 
-    res.status(200).json({
-      success: true,
-      accessToken,
-      refreshToken,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-      },
-    });
+    sendAuthResponse(req, res, response);
   } catch (err) {
     console.error("LOGIN ERROR 👉", err);
     res.status(500).json({ message: "Login failed", error: err.message });
   }
 };
 
+// Wrong codes allowed per emailed code before it stops working (6 digits is guessable otherwise)
+const MAGIC_CODE_MAX_ATTEMPTS = 5;
+
+/* Request Passwordless Sign-in (link + code by email) */
+export const requestMagicLink = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (typeof email !== "string" || !email.trim()) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    // Same response whether or not the account exists (prevents email enumeration)
+    const genericResponse = {
+      success: true,
+      message: "If an account exists for this email, a sign-in link and code have been sent.",
+    };
+
+    const user = await UserModel.findOne({ email: email.toLowerCase().trim() });
+    if (!user || user.isBlocked) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const { token, code } = user.generateMagicLinkToken();
+    await user.save({ validateBeforeSave: false });
+
+    // Link points at the frontend page which POSTs to /api/auth/magic-link/verify
+    // (a GET link would be consumed by mail scanners that prefetch URLs)
+    const magicUrl = `${process.env.APP_URL || 'http://localhost:3000'}/magic-login/${token}`;
+
+    try {
+      await sendMagicLinkEmail(user.email, user.name, magicUrl, code);
+    } catch (emailError) {
+      console.error("Magic link email failed:", emailError);
+
+      user.magicLinkToken = undefined;
+      user.magicLinkCode = undefined;
+      user.magicLinkExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(500).json({ message: "Failed to send sign-in email. Please try again later." });
+    }
+
+    res.status(200).json(genericResponse);
+
+  } catch (err) {
+    console.error("MAGIC LINK REQUEST ERROR 👉", err);
+    res.status(500).json({ message: "Failed to process request", error: err.message });
+  }
+};
+
+/* Passwordless Sign-in with the emailed link token, or email + code */
+export const verifyMagicLink = async (req, res) => {
+  try {
+    const { token, email, code } = req.body;
+
+    if (!token && !(email && code)) {
+      return res.status(400).json({ message: "Sign-in token, or email and code, required" });
+    }
+
+    if (email && typeof email !== "string") {
+      return res.status(400).json({ message: "Invalid email" });
+    }
+
+    const hash = (value) => crypto.createHash("sha256").update(String(value).trim()).digest("hex");
+
+    // Consume the link/code in the same step as the lookup so it works only once.
+    // Receiving the email proves the address, so it counts as verified too
+    const consume = {
+      $set: { isEmailVerified: true, magicLinkAttempts: 0 },
+      $unset: {
+        magicLinkToken: 1,
+        magicLinkCode: 1,
+        magicLinkExpire: 1,
+        emailVerificationToken: 1,
+        emailVerificationExpire: 1,
+      },
+    };
+
+    const normalizedEmail = email ? email.toLowerCase().trim() : null;
+    const query = token
+      ? { magicLinkToken: hash(token) }
+      : {
+        email: normalizedEmail,
+        magicLinkCode: hash(code),
+        magicLinkAttempts: { $lt: MAGIC_CODE_MAX_ATTEMPTS },
+      };
+
+    const user = await UserModel.findOneAndUpdate(
+      { ...query, magicLinkExpire: { $gt: Date.now() } },
+      consume,
+      { new: true }
+    );
+
+    if (!user) {
+      // Wrong codes count against the code itself and the account lockout
+      if (!token) {
+        const target = await UserModel.findOneAndUpdate(
+          { email: normalizedEmail, magicLinkCode: { $exists: true } },
+          { $inc: { magicLinkAttempts: 1 } }
+        );
+        await ThrottleService.handleFailedLogin(normalizedEmail, req.ip, target);
+        await AuditService.record(req, {
+          action: "auth.login.failure",
+          actor: null,
+          target: target ? { type: "User", id: target._id } : null,
+          metadata: { email: normalizedEmail, reason: "invalid_magic_code" }
+        });
+      }
+
+      return res.status(400).json({ message: "Invalid or expired sign-in link or code" });
+    }
+
+    if (user.isBlocked) {
+      await AuditService.record(req, {
+        action: "auth.login.failure",
+        actor: null,
+        target: { type: "User", id: user._id },
+        metadata: { email: user.email, reason: "blocked" }
+      });
+      return res.status(403).json({ message: "User is blocked" });
+    }
+
+    const response = await AuthService.completeLogin(user, req, "magic_link");
+
+    sendAuthResponse(req, res, response);
+  } catch (err) {
+    console.error("MAGIC LINK LOGIN ERROR 👉", err);
+    res.status(500).json({ message: "Sign-in failed", error: err.message });
+  }
+};
+
 /* Verify Email */
 export const verifyEmail = async (req, res) => {
   try {
@@ -205,14 +398,16 @@ export const resendVerificationEmail = async (req, res) => {
       return res.status(400).json({ message: "Email is required" });
     }
 
-    const user = await UserModel.findOne({ email });
+    // Same response for unknown or already verified emails (prevents email enumeration)
+    const genericResponse = {
+      success: true,
+      message: "If this email needs verification, a new verification email has been sent.",
+    };
 
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
-    }
+    const user = await UserModel.findOne({ email });
 
-    if (user.isEmailVerified) {
-      return res.status(400).json({ message: "Email is already verified" });
+    if (!user || user.isEmailVerified) {
+      return res.status(200).json(genericResponse);
     }
 
     // Generate new token
@@ -224,20 +419,149 @@ export const resendVerificationEmail = async (req, res) => {
 
     await sendVerificationEmail(user.email, user.name, verifyUrl);
 
+    res.status(200).json(genericResponse);
+
+  } catch (err) {
+    console.error("RESEND EMAIL ERROR 👉", err);
+    res.status(500).json({ message: "Failed to resend email", error: err.message });
+  }
+};
+
+/* Confirm Email Change (link sent to the new address) */
+export const confirmEmailChange = async (req, res) => {
+  try {
+    const hashedToken = crypto
+      .createHash("sha256")
+      .update(req.params.token)
+      .digest("hex");
+
+    const user = await UserModel.findOne({
+      emailChangeToken: hashedToken,
+      emailChangeExpire: { $gt: Date.now() },
+    });
+
+    if (!user || !user.pendingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired email change link"
+      });
+    }
+
+    // Single update: the token is consumed and the unique email index rejects
+    // the swap if someone registered the address in the meantime
+    const updated = await UserModel.findOneAndUpdate(
+      { _id: user._id, emailChangeToken: hashedToken },
+      {
+        $set: { email: user.pendingEmail, isEmailVerified: true, pendingEmail: null },
+        $unset: { emailChangeToken: 1, emailChangeExpire: 1 },
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired email change link"
+      });
+    }
+
     res.status(200).json({
       success: true,
-      message: "Verification email resent successfully",
+      message: `Email changed successfully. Log in with ${updated.email} from now on.`,
     });
 
   } catch (err) {
-    console.error("RESEND EMAIL ERROR 👉", err);
-    res.status(500).json({ message: "Failed to resend email", error: err.message });
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "This email address is already in use"
+      });
+    }
+
+    console.error("CONFIRM EMAIL CHANGE ERROR 👉", err);
+    res.status(500).json({ message: "Email change failed", error: err.message });
+  }
+};
+
+/* Revert Email Change (link sent to the previous address) */
+export const revertEmailChange = async (req, res) => {
+  try {
+    const hashedToken = crypto
+      .createHash("sha256")
+      .update(req.params.token)
+      .digest("hex");
+
+    const user = await UserModel.findOne({
+      emailRevertToken: hashedToken,
+      emailRevertExpire: { $gt: Date.now() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired link"
+      });
+    }
+
+    // Restore the previous address (no-op if the change was never confirmed)
+    // and drop any pending change, atomically with consuming the token
+    const updated = await UserModel.findOneAndUpdate(
+      { _id: user._id, emailRevertToken: hashedToken },
+      {
+        $set: { email: user.emailRevertAddress, isEmailVerified: true, pendingEmail: null },
+        $unset: {
+          emailChangeToken: 1,
+          emailChangeExpire: 1,
+          emailRevertAddress: 1,
+          emailRevertToken: 1,
+          emailRevertExpire: 1,
+        },
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired link"
+      });
+    }
+
+    // Whoever requested the change may still be signed in
+    await SessionService.revokeAllSessions(updated._id, "email_reverted");
+
+    res.status(200).json({
+      success: true,
+      message: `Your account email is ${updated.email} again and all devices were signed out. We recommend resetting your password.`,
+    });
+
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "Your previous email address is now used by another account. Please contact support."
+      });
+    }
+
+    console.error("REVERT EMAIL CHANGE ERROR 👉", err);
+    res.status(500).json({ message: "Failed to revert email change", error: err.message });
   }
 };
 
 /* Logout */
 export const logout = async (req, res) => {
   try {
+    // Revoke the session the access token belongs to
+    if (req.sessionId) {
+      await SessionService.revokeSession(req.sessionId, "logout");
+    }
+
+    await AuditService.record(req, {
+      action: "auth.logout",
+      metadata: { sessionId: req.sessionId }
+    });
+
+    clearAuthCookies(res);
     res.status(200).json({
       success: true,
       message: "Logged out successfully.",
@@ -247,25 +571,231 @@ export const logout = async (req, res) => {
   }
 };
 
-/* Refresh Access Token */
+/* Refresh Access Token (rotates the refresh token on every call) */
 export const refreshToken = async (req, res) => {
   try {
-    const { refreshToken } = req.body;
+    // Cookie mode: the refresh token comes from its httpOnly cookie and needs the CSRF header
+    const cookieToken = req.body?.refreshToken ? null : readCookie(req, REFRESH_COOKIE);
+    const refreshToken = req.body?.refreshToken || cookieToken;
     if (!refreshToken) return res.status(400).json({ success: false, message: 'No refresh token' });
 
-    let decoded;
+    if (cookieToken && !isValidCsrfRequest(req)) {
+      return res.status(403).json({ success: false, message: 'Invalid or missing CSRF token' });
+    }
+
+    let tokens;
     try {
-      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    } catch (err) {
-      return res.status(401).json({ success: false, message: 'Invalid refresh token' });
+      tokens = await SessionService.rotateSession(refreshToken, req);
+    } catch (sessionError) {
+      await AuditService.record(req, {
+        action: "auth.token.refresh_failure",
+        actor: null,
+        metadata: { reason: sessionError.type }
+      });
+
+      if (cookieToken) clearAuthCookies(res);
+
+      const status = sessionError.type === 'INVALID_USER' ? 403 : 401;
+      return res.status(status).json({ success: false, message: sessionError.message });
     }
 
-    const user = await UserModel.findById(decoded.id);
-    if (!user || user.isBlocked) return res.status(403).json({ success: false, message: 'Invalid user' });
+    await AuditService.record(req, { action: "auth.token.refresh", actor: tokens.user });
 
-    const accessToken = generateAccessToken({ id: user._id.toString(), role: user.role });
-    res.status(200).json({ success: true, accessToken });
+    sendAuthResponse(req, res, {
+      success: true,
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken
+    }, !!cookieToken || wantsCookieAuth(req));
   } catch (err) {
+    console.error("REFRESH TOKEN ERROR 👉", err);
     res.status(500).json({ success: false, message: 'Refresh failed' });
   }
 };
+
+/* Forgot Password */
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    // Same response whether or not the account exists (prevents email enumeration)
+    const genericResponse = {
+      success: true,
+      message: "If an account exists for this email, a password reset link has been sent.",
+    };
+
+    const user = await UserModel.findOne({ email });
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // Generate reset token (hashed copy + expiry stored on user)
+    const resetToken = user.generatePasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    // Link points at the frontend page which POSTs to /api/auth/reset-password/:token
+    const resetUrl = `${process.env.APP_URL || 'http://localhost:3000'}/reset-password/${resetToken}`;
+
+    try {
+      await sendPasswordResetEmail(user.email, user.name, resetUrl);
+    } catch (emailError) {
+      console.error("Password reset email failed:", emailError);
+
+      // Don't leave a usable token around if the user never received it
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(500).json({ message: "Failed to send password reset email. Please try again later." });
+    }
+
+    res.status(200).json(genericResponse);
+
+  } catch (err) {
+    console.error("FORGOT PASSWORD ERROR 👉", err);
+    res.status(500).json({ message: "Failed to process request", error: err.message });
+  }
+};
+
+/* Password Strength (live feedback for signup / reset forms) */
+export const checkPasswordStrength = async (req, res) => {
+  try {
+    const { password, name, email } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ message: "Password is required" });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: PasswordPolicyService.evaluate(password, { name, email })
+    });
+  } catch (err) {
+    console.error("PASSWORD STRENGTH ERROR 👉", err);
+    res.status(500).json({ message: "Failed to check password", error: err.message });
+  }
+};
+
+/* Reset Password */
+export const resetPassword = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ message: "New password is required" });
+    }
+
+    // Hash token to compare with DB
+    const hashedToken = crypto
+      .createHash("sha256")
+      .update(token)
+      .digest("hex");
+
+    const user = await UserModel.findOne({
+      resetPasswordToken: hashedToken,
+      resetPasswordExpire: { $gt: Date.now() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired password reset token"
+      });
+    }
+
+    const passwordErrors = PasswordPolicyService.validate(password, { name: user.name, email: user.email });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ message: "Password does not meet the requirements", errors: passwordErrors });
+    }
+
+    // Set new password and clear token (pre-save hook hashes it and stamps passwordChangedAt)
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+
+    // Log out every device
+    await SessionService.revokeAllSessions(user._id, "password_change");
+
+    await AuditService.record(req, {
+      action: "auth.password.change",
+      actor: user,
+      target: { type: "User", id: user._id },
+      metadata: { method: "reset_link" }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Password reset successfully! Please log in with your new password.",
+    });
+
+  } catch (err) {
+    console.error("RESET PASSWORD ERROR 👉", err);
+    if (err.name === "ValidationError") {
+      const messages = Object.values(err.errors).map((val) => val.message);
+      return res.status(400).json({ message: "Validation failed", errors: messages });
+    }
+    res.status(500).json({ message: "Password reset failed", error: err.message });
+  }
+};
+
+/* Change Password (Authenticated) */
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: "Current password and new password are required" });
+    }
+
+    const user = await UserModel.findById(req.user.id).select("+password");
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({ message: "Current password is incorrect" });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ message: "New password must be different from the current password" });
+    }
+
+    const passwordErrors = PasswordPolicyService.validate(newPassword, { name: user.name, email: user.email });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ message: "Password does not meet the requirements", errors: passwordErrors });
+    }
+
+    // Saving stamps passwordChangedAt, which invalidates every previously issued token
+    user.password = newPassword;
+    await user.save();
+
+    // Log out every device, then start a fresh session so the current one stays logged in
+    await SessionService.revokeAllSessions(user._id, "password_change");
+    const { accessToken, refreshToken } = await SessionService.createSession(user, req);
+
+    await AuditService.record(req, {
+      action: "auth.password.change",
+      target: { type: "User", id: user._id },
+      metadata: { method: "change_password" }
+    });
+
+    // The old token pair is now rejected: a cookie-mode client needs the new one in its cookies
+    sendAuthResponse(req, res, {
+      success: true,
+      message: "Password changed successfully. Other sessions have been logged out.",
+      accessToken,
+      refreshToken,
+    }, req.authViaCookie || wantsCookieAuth(req));
+
+  } catch (err) {
+    console.error("CHANGE PASSWORD ERROR 👉", err);
+    if (err.name === "ValidationError") {
+      const messages = Object.values(err.errors).map((val) => val.message);
+      return res.status(400).json({ message: "Validation failed", errors: messages });
+    }
+    res.status(500).json({ message: "Failed to change password", error: err.message });
+  }
+};
@@ -0,0 +1,40 @@
+// controllers/feed.controller.js
+import mongoose from "mongoose";
+import { FeedService } from "../services/feed.service.js";
+
+/**
+ * @desc    Activity of the sellers the current user follows (newest first)
+ * @route   GET /api/feed
+ * @query   cursor (nextCursor of the previous page), limit
+ * @access  Private
+ */
+export const getFeed = async (req, res) => {
+  try {
+    const { cursor, limit = 20 } = req.query;
+
+    if (cursor && !mongoose.Types.ObjectId.isValid(cursor)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid cursor"
+      });
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 50);
+    const { events, nextCursor } = await FeedService.getFeed(req.user._id, { cursor, limit: pageSize });
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      nextCursor,
+      data: events
+    });
+
+  } catch (err) {
+    console.error("GET FEED ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch feed",
+      error: err.message
+    });
+  }
+};
@@ -0,0 +1,117 @@
+// controllers/impersonation.controller.js
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import UserModel from "../../infrastructure/models/User.model.js";
+import { PermissionService } from "../services/permission.service.js";
+import { AuditService } from "../services/audit.service.js";
+import { generateImpersonationToken } from "../utils/token.js";
+
+const IMPERSONATION_TTL_MINUTES = 15;
+
+/**
+ * @desc    Get a short-lived token to see the platform as a buyer or seller
+ * @route   POST /api/admin/impersonate/:userId
+ * @body    { reason, readOnly = true }
+ * @access  Private (user.impersonate)
+ * @rules   Staff accounts cannot be impersonated; payments and credential changes
+ *          are always blocked; every request made with the token is audited
+ */
+export const startImpersonation = async (req, res) => {
+  try {
+    const { reason, readOnly } = req.body;
+    const isReadOnly = readOnly !== false;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID"
+      });
+    }
+
+    if (typeof reason !== "string" || reason.trim() === "") {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required to impersonate a user"
+      });
+    }
+
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot impersonate yourself"
+      });
+    }
+
+    const user = await UserModel.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    if (user.isBlocked) {
+      return res.status(400).json({
+        success: false,
+        message: "Blocked users cannot be impersonated"
+      });
+    }
+
+    // Only roles without permissions (buyers, sellers); acting as staff would be an escalation path
+    const permissions = await PermissionService.getPermissions(user.role);
+    if (permissions.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: "Staff accounts cannot be impersonated"
+      });
+    }
+
+    const accessToken = generateImpersonationToken(
+      { id: user._id.toString(), role: user.role, sid: req.sessionId || undefined },
+      { by: req.user.id, readOnly: isReadOnly },
+      `${IMPERSONATION_TTL_MINUTES}m`
+    );
+    const { jti, exp } = jwt.decode(accessToken);
+
+    await AuditService.record(req, {
+      action: "admin.impersonation.start",
+      target: { type: "User", id: user._id },
+      metadata: {
+        impersonationId: jti,
+        reason: reason.trim(),
+        readOnly: isReadOnly,
+        expiresAt: new Date(exp * 1000)
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `You are now acting as ${user.email}`,
+      data: {
+        accessToken,
+        expiresAt: new Date(exp * 1000),
+        readOnly: isReadOnly,
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role
+        },
+        impersonator: {
+          id: req.user._id,
+          name: req.user.name,
+          email: req.user.email
+        }
+      }
+    });
+
+  } catch (err) {
+    console.error("START IMPERSONATION ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to start impersonation",
+      error: err.message
+    });
+  }
+};
@@ -0,0 +1,400 @@
+// controllers/invitation.controller.js
+import InvitationModel from "../../infrastructure/models/Invitation.model.js";
+import UserModel from "../../infrastructure/models/User.model.js";
+import mongoose from "mongoose";
+import {
+  generateChallengeToken,
+  verifyChallengeToken,
+  hashToken
+} from "../utils/token.js";
+import { sendInvitationEmail } from "../utils/email.js";
+import { PermissionService } from "../services/permission.service.js";
+import { AuditService } from "../services/audit.service.js";
+import { PasswordPolicyService } from "../services/passwordPolicy.service.js";
+
+const INVITATION_TTL_DAYS = 7;
+
+// Resolve a pending, unexpired invitation from the token in the invite link
+const findInvitationByToken = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyChallengeToken(token, "invite");
+  } catch (err) {
+    return null;
+  }
+
+  return InvitationModel.findOne({
+    _id: decoded.inv,
+    tokenHash: hashToken(token),
+    status: "pending",
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+/* =================== ADMIN ROUTES =================== */
+
+/**
+ * @desc    Invite a user with a given role (emails a signed, expiring link)
+ * @route   POST /api/admin/invitations
+ * @access  Private (user.assign_role)
+ */
+export const createInvitation = async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (typeof email !== "string" || typeof role !== "string" || !email.trim() || !role) {
+      return res.status(400).json({
+        success: false,
+        message: "Email and role are required"
+      });
+    }
+
+    if (!(await PermissionService.roleExists(role))) {
+      return res.status(400).json({
+        success: false,
+        message: "Role does not exist"
+      });
+    }
+
+    // No inviting someone into more power than the inviter has
+    if (!(await PermissionService.isRoleWithinReach(req.user, role))) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot invite users with a role that has permissions you do not have"
+      });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    const exists = await UserModel.findOne({ email: normalizedEmail }).withDeleted();
+    if (exists) {
+      return res.status(409).json({
+        success: false,
+        message: "A user with this email already exists"
+      });
+    }
+
+    // Only the latest invitation for an address stays valid
+    await InvitationModel.updateMany(
+      { email: normalizedEmail, status: "pending" },
+      { status: "revoked", revokedAt: new Date(), revokedBy: req.user.id }
+    );
+
+    const invitation = new InvitationModel({
+      email: normalizedEmail,
+      role,
+      invitedBy: req.user.id,
+      expiresAt: Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000
+    });
+
+    const inviteToken = generateChallengeToken(
+      { inv: invitation._id.toString() },
+      "invite",
+      `${INVITATION_TTL_DAYS}d`
+    );
+    invitation.tokenHash = hashToken(inviteToken);
+    await invitation.save();
+
+    const inviteUrl = `${process.env.APP_URL || 'http://localhost:3000'}/accept-invite/${inviteToken}`;
+
+    try {
+      await sendInvitationEmail(invitation.email, req.user.name, role, inviteUrl);
+    } catch (emailError) {
+      console.error("Invitation email failed:", emailError);
+      invitation.status = "revoked";
+      invitation.revokedAt = new Date();
+      await invitation.save();
+
+      return res.status(500).json({
+        success: false,
+        message: "Failed to send invitation email"
+      });
+    }
+
+    await AuditService.record(req, {
+      action: "admin.invitation.create",
+      target: { type: "Invitation", id: invitation._id },
+      metadata: { email: invitation.email, role: invitation.role }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation sent successfully",
+      data: {
+        id: invitation._id,
+        email: invitation.email,
+        role: invitation.role,
+        status: invitation.status,
+        expiresAt: invitation.expiresAt
+      }
+    });
+
+  } catch (err) {
+    console.error("CREATE INVITATION ERROR 👉", err);
+
+    if (err.name === "ValidationError") {
+      const messages = Object.values(err.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to create invitation",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    List invitations (who invited whom)
+ * @route   GET /api/admin/invitations
+ * @access  Private (user.assign_role)
+ */
+export const getInvitations = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, email } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (typeof email === "string" && email) query.email = email.toLowerCase().trim();
+
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const [total, invitations] = await Promise.all([
+      InvitationModel.countDocuments(query),
+      InvitationModel.find(query)
+        .populate('invitedBy', 'name email')
+        .populate('acceptedUser', 'name email role')
+        .populate('revokedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(pageSize)
+        .lean()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+      currentPage: pageNumber,
+      data: invitations
+    });
+
+  } catch (err) {
+    console.error("GET INVITATIONS ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch invitations",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a pending invitation
+ * @route   DELETE /api/admin/invitations/:id
+ * @access  Private (user.assign_role)
+ */
+export const revokeInvitation = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid invitation ID"
+      });
+    }
+
+    const invitation = await InvitationModel.findOneAndUpdate(
+      { _id: req.params.id, status: "pending" },
+      { status: "revoked", revokedAt: new Date(), revokedBy: req.user.id },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: "Pending invitation not found"
+      });
+    }
+
+    await AuditService.record(req, {
+      action: "admin.invitation.revoke",
+      target: { type: "Invitation", id: invitation._id },
+      metadata: { email: invitation.email, role: invitation.role }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Invitation revoked successfully"
+    });
+
+  } catch (err) {
+    console.error("REVOKE INVITATION ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke invitation",
+      error: err.message
+    });
+  }
+};
+
+/* =================== PUBLIC ROUTES =================== */
+
+/**
+ * @desc    Preview an invitation (email and role) before accepting
+ * @route   GET /api/auth/invitations/:token
+ * @access  Public
+ */
+export const getInvitationByToken = async (req, res) => {
+  try {
+    const invitation = await findInvitationByToken(req.params.token);
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired invitation"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt
+      }
+    });
+
+  } catch (err) {
+    console.error("GET INVITATION ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch invitation",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Accept an invitation and create the account with the invited role
+ * @route   POST /api/auth/invitations/:token/accept
+ * @access  Public
+ */
+export const acceptInvitation = async (req, res) => {
+  try {
+    const { name, password } = req.body;
+
+    if (!name || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Name and password are required"
+      });
+    }
+
+    const invitation = await findInvitationByToken(req.params.token);
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired invitation"
+      });
+    }
+
+    const exists = await UserModel.findOne({ email: invitation.email }).withDeleted();
+    if (exists) {
+      return res.status(409).json({
+        success: false,
+        message: "Email already exists"
+      });
+    }
+
+    const passwordErrors = PasswordPolicyService.validate(password, { name, email: invitation.email });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Password does not meet the requirements",
+        errors: passwordErrors
+      });
+    }
+
+    // Claim the invitation first so the same link cannot create two accounts
+    const claimed = await InvitationModel.findOneAndUpdate(
+      { _id: invitation._id, status: "pending" },
+      { status: "accepted", acceptedAt: new Date() },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired invitation"
+      });
+    }
+
+    let user;
+    try {
+      // The link was delivered to this address, so it counts as verified
+      user = await UserModel.create({
+        name,
+        email: invitation.email,
+        password,
+        role: invitation.role,
+        isEmailVerified: true,
+        invitedBy: invitation.invitedBy
+      });
+    } catch (createError) {
+      // Give the invitation back so the user can retry with valid data
+      await InvitationModel.updateOne(
+        { _id: invitation._id },
+        { status: "pending", acceptedAt: null }
+      );
+      throw createError;
+    }
+
+    claimed.acceptedUser = user._id;
+    await claimed.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Account created successfully! You can now log in.",
+      data: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+
+  } catch (err) {
+    console.error("ACCEPT INVITATION ERROR 👉", err);
+
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "Email already exists"
+      });
+    }
+
+    if (err.name === "ValidationError") {
+      const messages = Object.values(err.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to accept invitation",
+      error: err.message
+    });
+  }
+};
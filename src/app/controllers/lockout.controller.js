@@ -0,0 +1,119 @@
+// controllers/lockout.controller.js
+import mongoose from "mongoose";
+import { ThrottleService } from "../services/throttle.service.js";
+import { AuditService } from "../services/audit.service.js";
+
+/**
+ * @desc    Unlock an account with the link from the lockout email
+ * @route   POST /api/auth/unlock-account/:token
+ * @access  Public
+ */
+export const unlockAccount = async (req, res) => {
+  try {
+    const record = await ThrottleService.unlockWithToken(req.params.token);
+
+    if (!record) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired unlock link"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Account unlocked. You can now log in."
+    });
+
+  } catch (err) {
+    console.error("UNLOCK ACCOUNT ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to unlock account",
+      error: err.message
+    });
+  }
+};
+
+/* =================== ADMIN ROUTES =================== */
+
+/**
+ * @desc    List current lockouts and delays (accounts and IPs)
+ * @route   GET /api/admin/lockouts
+ * @access  Private (security.manage)
+ */
+export const getLockouts = async (req, res) => {
+  try {
+    const { scope, identifier } = req.query;
+
+    const records = await ThrottleService.listActive({ scope, identifier });
+    const now = Date.now();
+
+    res.status(200).json({
+      success: true,
+      count: records.length,
+      data: records.map(record => ({
+        id: record._id,
+        scope: record.scope,
+        identifier: record.identifier,
+        failures: record.count,
+        windowStart: record.windowStart,
+        blockedUntil: record.blockedUntil,
+        lockedUntil: record.lockedUntil,
+        isLocked: !!record.lockedUntil && record.lockedUntil > now,
+        updatedAt: record.updatedAt
+      }))
+    });
+
+  } catch (err) {
+    console.error("GET LOCKOUTS ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch lockouts",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Clear a lockout (resets its failure counter)
+ * @route   DELETE /api/admin/lockouts/:id
+ * @access  Private (security.manage)
+ */
+export const clearLockout = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid lockout ID"
+      });
+    }
+
+    const record = await ThrottleService.clear(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: "Lockout not found"
+      });
+    }
+
+    await AuditService.record(req, {
+      action: "admin.lockout.clear",
+      target: { type: "AuthThrottle", id: record._id },
+      metadata: { scope: record.scope, identifier: record.identifier }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Lockout cleared successfully"
+    });
+
+  } catch (err) {
+    console.error("CLEAR LOCKOUT ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to clear lockout",
+      error: err.message
+    });
+  }
+};
@@ -1,7 +1,25 @@
 // controllers/marketplace.controller.js
 import ProjectModel from "../../infrastructure/models/Project.model.js";
+import { PermissionService } from "../services/permission.service.js";
+import { FeedService } from "../services/feed.service.js";
+import { SellerVerificationService } from "../services/sellerVerification.service.js";
+import { ProjectRevisionService } from "../services/projectRevision.service.js";
 import mongoose from "mongoose";
 
+// Approved, for sale and not sold yet
+const AVAILABLE_LISTING = {
+    'metadata.status': 'approved',
+    'marketplace.isForSale': true,
+    'marketplace.soldTo': null
+};
+
+// sortBy values accepted by searchListings
+const SORT_FIELDS = {
+    createdAt: 'createdAt',
+    price: 'marketplace.price',
+    title: 'basicInfo.title'
+};
+
 /**
  * @desc    Get all marketplace listings
  * @route   GET /api/marketplace
@@ -12,27 +30,23 @@ export const getAllListings = async (req, res) => {
         const { page = 1, limit = 10, category, minPrice, maxPrice, search } = req.query;
 
         // Marketplace query: approved + for sale + not sold
-        const query = {
-            status: 'approved',
-            isForSale: true,
-            soldTo: null
-        };
+        const query = { ...AVAILABLE_LISTING };
 
         // Apply filters
-        if (category) query.category = category;
+        if (category) query['basicInfo.category'] = category;
 
         if (minPrice || maxPrice) {
-            query.price = {};
-            if (minPrice) query.price.$gte = parseFloat(minPrice);
-            if (maxPrice) query.price.$lte = parseFloat(maxPrice);
+            query['marketplace.price'] = {};
+            if (minPrice) query['marketplace.price'].$gte = parseFloat(minPrice);
+            if (maxPrice) query['marketplace.price'].$lte = parseFloat(maxPrice);
         }
 
         if (search) {
             query.$and = [
                 {
                     $or: [
-                        { title: { $regex: search, $options: 'i' } },
-                        { description: { $regex: search, $options: 'i' } }
+                        { 'basicInfo.title': { $regex: search, $options: 'i' } },
+                        { 'basicInfo.description': { $regex: search, $options: 'i' } }
                     ]
                 }
             ];
@@ -47,7 +61,7 @@ export const getAllListings = async (req, res) => {
         const [total, listings] = await Promise.all([
             ProjectModel.countDocuments(query),
             ProjectModel.find(query)
-                .populate('owner', 'name email')
+                .populate('owner', 'name email githubUsername verifiedSeller')
                 .sort({ createdAt: -1 })
                 .skip(skip)
                 .limit(pageSize)
@@ -84,13 +98,8 @@ export const getListingById = async (req, res) => {
             return res.status(400).json({ success: false, message: "Invalid listing ID" });
         }
 
-        const listing = await ProjectModel.findOne({
-            _id: req.params.id,
-            status: 'approved',
-            isForSale: true,
-            soldTo: null
-        })
-            .populate('owner', 'name email')
+        const listing = await ProjectModel.findOne({ _id: req.params.id, ...AVAILABLE_LISTING })
+            .populate('owner', 'name email githubUsername verifiedSeller')
             .lean();
 
         if (!listing) {
@@ -140,7 +149,7 @@ export const createListing = async (req, res) => {
         }
 
         // Can only list approved projects
-        if (project.status !== 'approved') {
+        if (project.metadata?.status !== 'approved') {
             return res.status(400).json({
                 success: false,
                 message: "Only approved projects can be listed in marketplace"
@@ -148,7 +157,7 @@ export const createListing = async (req, res) => {
         }
 
         // Check if already for sale
-        if (project.isForSale) {
+        if (project.marketplace.isForSale) {
             return res.status(400).json({
                 success: false,
                 message: "Project is already listed in marketplace"
@@ -156,19 +165,29 @@ export const createListing = async (req, res) => {
         }
 
         // Check if already sold
-        if (project.soldTo) {
+        if (project.marketplace.soldTo) {
             return res.status(400).json({
                 success: false,
                 message: "Project has already been sold"
             });
         }
 
+        // High-priced listings need a verified seller
+        if (!SellerVerificationService.canListAtPrice(req.user, project.marketplace.price)) {
+            return res.status(403).json({
+                success: false,
+                message: SellerVerificationService.priceRequiresVerificationMessage()
+            });
+        }
+
         // List project for sale
-        project.isForSale = true;
+        project.marketplace.isForSale = true;
         await project.save();
 
+        await FeedService.record('listing_created', project);
+
         const listing = await ProjectModel.findById(project._id)
-            .populate('owner', 'name email')
+            .populate('owner', 'name email githubUsername verifiedSeller')
             .lean();
 
         res.status(201).json({
@@ -210,31 +229,43 @@ export const updateListing = async (req, res) => {
         }
 
         // Can only update if listed and not sold
-        if (!project.isForSale) {
+        if (!project.marketplace.isForSale) {
             return res.status(400).json({
                 success: false,
                 message: "Project is not listed in marketplace"
             });
         }
 
-        if (project.soldTo) {
+        if (project.marketplace.soldTo) {
             return res.status(400).json({
                 success: false,
                 message: "Cannot update sold project"
             });
         }
 
-        // Update allowed fields only
-        const { title, description, price, deliveryTime } = req.body;
-        if (title) project.title = title;
-        if (description) project.description = description;
-        if (price !== undefined) project.price = price;
-        if (deliveryTime !== undefined) project.deliveryTime = deliveryTime;
+        // Only the price: title and description are project content and go through
+        // updateProject and moderation
+        const { price } = req.body;
+        const previousPrice = project.marketplace.price;
+        if (price !== undefined) project.marketplace.price = price;
+
+        if (price !== undefined && !SellerVerificationService.canListAtPrice(req.user, project.marketplace.price)) {
+            return res.status(403).json({
+                success: false,
+                message: SellerVerificationService.priceRequiresVerificationMessage()
+            });
+        }
 
         await project.save();
 
+        await ProjectRevisionService.record(project, { event: 'listing_update', author: req.user._id });
+
+        if (project.marketplace.price < previousPrice) {
+            await FeedService.record('price_drop', project, { previousPrice });
+        }
+
         const updatedListing = await ProjectModel.findById(project._id)
-            .populate('owner', 'name email')
+            .populate('owner', 'name email githubUsername verifiedSeller')
             .lean();
 
         res.status(200).json({
@@ -272,14 +303,14 @@ export const deleteListing = async (req, res) => {
 
         // Authorization
         const isOwner = project.owner.toString() === req.user.id;
-        const isAdmin = req.user.role === 'admin';
+        const canManage = await PermissionService.hasPermission(req.user, 'project.manage');
 
-        if (!isOwner && !isAdmin) {
+        if (!isOwner && !canManage) {
             return res.status(403).json({ success: false, message: "Not authorized" });
         }
 
         // Just unlist (don't delete project)
-        project.isForSale = false;
+        project.marketplace.isForSale = false;
         await project.save();
 
         res.status(200).json({
@@ -323,14 +354,14 @@ export const buyProject = async (req, res) => {
         }
 
         // Check if available
-        if (!project.isForSale) {
+        if (!project.marketplace.isForSale || project.metadata?.status !== 'approved') {
             return res.status(400).json({
                 success: false,
                 message: "This project is not for sale"
             });
         }
 
-        if (project.soldTo) {
+        if (project.marketplace.soldTo) {
             return res.status(400).json({
                 success: false,
                 message: "This project has already been sold"
@@ -338,14 +369,14 @@ export const buyProject = async (req, res) => {
         }
 
         // Mark as sold
-        project.soldTo = req.user.id;
-        project.soldAt = Date.now();
-        project.isForSale = false;
+        project.marketplace.soldTo = req.user.id;
+        project.marketplace.soldAt = Date.now();
+        project.marketplace.isForSale = false;
         await project.save();
 
         const purchasedProject = await ProjectModel.findById(project._id)
-            .populate('owner', 'name email')
-            .populate('soldTo', 'name email')
+            .populate('owner', 'name email githubUsername verifiedSeller')
+            .populate('marketplace.soldTo', 'name email')
             .lean();
 
         res.status(200).json({
@@ -385,25 +416,21 @@ export const searchListings = async (req, res) => {
         } = req.query;
 
         // Base marketplace query
-        const query = {
-            status: 'approved',
-            isForSale: true,
-            soldTo: null
-        };
+        const query = { ...AVAILABLE_LISTING };
 
         // Apply filters
-        if (category) query.category = category;
+        if (category) query['basicInfo.category'] = category;
 
         if (minPrice || maxPrice) {
-            query.price = {};
-            if (minPrice) query.price.$gte = parseFloat(minPrice);
-            if (maxPrice) query.price.$lte = parseFloat(maxPrice);
+            query['marketplace.price'] = {};
+            if (minPrice) query['marketplace.price'].$gte = parseFloat(minPrice);
+            if (maxPrice) query['marketplace.price'].$lte = parseFloat(maxPrice);
         }
 
         if (search) {
             query.$or = [
-                { title: { $regex: search, $options: 'i' } },
-                { description: { $regex: search, $options: 'i' } }
+                { 'basicInfo.title': { $regex: search, $options: 'i' } },
+                { 'basicInfo.description': { $regex: search, $options: 'i' } }
             ];
         }
 
@@ -414,15 +441,14 @@ export const searchListings = async (req, res) => {
 
         // Sort options
         const sortOptions = {};
-        const validSortFields = ['createdAt', 'price', 'title'];
-        const sortField = validSortFields.includes(sortBy) ? sortBy : 'createdAt';
+        const sortField = SORT_FIELDS[sortBy] || SORT_FIELDS.createdAt;
         sortOptions[sortField] = order === 'asc' ? 1 : -1;
 
         // Execute queries
         const [total, listings] = await Promise.all([
             ProjectModel.countDocuments(query),
             ProjectModel.find(query)
-                .populate('owner', 'name email')
+                .populate('owner', 'name email githubUsername verifiedSeller')
                 .sort(sortOptions)
                 .skip(skip)
                 .limit(pageSize)
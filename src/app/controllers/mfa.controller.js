@@ -0,0 +1,331 @@
+// controllers/mfa.controller.js
+import UserModel from "../../infrastructure/models/User.model.js";
+import { MfaService, TWO_FACTOR_FIELDS } from "../services/mfa.service.js";
+import { SessionService } from "../services/session.service.js";
+import { ThrottleService } from "../services/throttle.service.js";
+import { AuditService } from "../services/audit.service.js";
+import { verifyChallengeToken } from "../utils/token.js";
+import { sendAuthResponse } from "../utils/authCookies.js";
+
+/**
+ * @desc    Start 2FA enrollment (returns secret + otpauth URI for the QR code)
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private (or staff enrollment token from login)
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await UserModel.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled"
+      });
+    }
+
+    const { secret, otpauthUrl } = MfaService.startSetup(user);
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: "Scan the QR code with your authenticator app, then confirm with a code",
+      data: { secret, otpauthUrl }
+    });
+
+  } catch (err) {
+    console.error("2FA SETUP ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to start two-factor setup",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Confirm 2FA enrollment with a code; returns one-time recovery codes
+ * @route   POST /api/auth/2fa/confirm
+ * @access  Private (or staff enrollment token from login)
+ */
+export const confirmTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification code is required"
+      });
+    }
+
+    const user = await UserModel.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled"
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Start two-factor setup first"
+      });
+    }
+
+    const recoveryCodes = MfaService.confirmSetup(user, code);
+    if (!recoveryCodes) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid verification code"
+      });
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    const response = {
+      success: true,
+      message: "Two-factor authentication enabled. Store your recovery codes somewhere safe.",
+      recoveryCodes
+    };
+
+    // Admins enrolling during login get their session once 2FA is on
+    if (req.mfaEnrollment) {
+      const { accessToken, refreshToken, session } = await SessionService.createSession(user, req);
+      user.updateLastLogin();
+
+      await AuditService.record(req, {
+        action: "auth.login.success",
+        actor: user,
+        metadata: { method: "mfa_enrollment", sessionId: session._id }
+      });
+
+      Object.assign(response, {
+        accessToken,
+        refreshToken,
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+        }
+      });
+    }
+
+    sendAuthResponse(req, res, response);
+
+  } catch (err) {
+    console.error("2FA CONFIRM ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to enable two-factor authentication",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Complete login with a TOTP or recovery code
+ * @route   POST /api/auth/2fa/verify
+ * @access  Public (requires mfaToken from login)
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { mfaToken, code } = req.body;
+
+    if (!mfaToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: "MFA token and verification code are required"
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(mfaToken, "mfa_login");
+    } catch (err) {
+      return res.status(401).json({
+        success: false,
+        message: "MFA token invalid or expired, please log in again"
+      });
+    }
+
+    const user = await UserModel.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user || user.isBlocked) {
+      return res.status(403).json({ success: false, message: "Invalid user" });
+    }
+
+    // Code guessing counts against the same lockout as password guessing
+    const check = await ThrottleService.checkLogin(user.email, req.ip);
+    if (!check.allowed) {
+      res.set("Retry-After", String(check.retryAfter));
+      return res.status(check.status).json({
+        success: false,
+        message: check.message,
+        retryAfter: check.retryAfter
+      });
+    }
+
+    const method = MfaService.verifyCode(user, code);
+    if (!method) {
+      await ThrottleService.handleFailedLogin(user.email, req.ip, user);
+      await AuditService.record(req, {
+        action: "auth.login.failure",
+        actor: null,
+        target: { type: "User", id: user._id },
+        metadata: { email: user.email, reason: "invalid_mfa_code" }
+      });
+      return res.status(401).json({
+        success: false,
+        message: "Invalid verification code"
+      });
+    }
+
+    await ThrottleService.resetLogin(user.email);
+
+    // Persist replay protection / consumed recovery code
+    await user.save({ validateBeforeSave: false });
+
+    const { accessToken, refreshToken, session } = await SessionService.createSession(user, req);
+    user.updateLastLogin();
+
+    await AuditService.record(req, {
+      action: "auth.login.success",
+      actor: user,
+      metadata: { method: `mfa_${method}`, sessionId: session._id }
+    });
+
+    sendAuthResponse(req, res, {
+      success: true,
+      accessToken,
+      refreshToken,
+      ...(method === "recovery" && { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length }),
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      },
+    });
+
+  } catch (err) {
+    console.error("2FA VERIFY ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Two-factor verification failed",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Disable 2FA (requires password and a current code)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private (not available to roles where 2FA is mandatory)
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: "Password and verification code are required"
+      });
+    }
+
+    if (await MfaService.isRequiredFor(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Two-factor authentication is mandatory for your role"
+      });
+    }
+
+    const user = await UserModel.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled"
+      });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch || !MfaService.verifyCode(user, code)) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid password or verification code"
+      });
+    }
+
+    MfaService.disable(user);
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication disabled"
+    });
+
+  } catch (err) {
+    console.error("2FA DISABLE ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to disable two-factor authentication",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Regenerate recovery codes (invalidates the old ones)
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: "Password and verification code are required"
+      });
+    }
+
+    const user = await UserModel.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled"
+      });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch || !MfaService.verifyCode(user, code)) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid password or verification code"
+      });
+    }
+
+    const recoveryCodes = MfaService.regenerateRecoveryCodes(user);
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: "New recovery codes generated. Previous codes no longer work.",
+      recoveryCodes
+    });
+
+  } catch (err) {
+    console.error("2FA RECOVERY CODES ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to regenerate recovery codes",
+      error: err.message
+    });
+  }
+};
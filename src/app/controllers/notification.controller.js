@@ -1,4 +1,5 @@
 import NotificationModel from "../../infrastructure/models/Notification.model.js";
+import { AuditService } from "../services/audit.service.js";
 
 /**
  * @desc    Get all notifications for logged in user
@@ -76,6 +77,12 @@ export const sendNotification = async (req, res) => {
             relatedId
         });
 
+        await AuditService.record(req, {
+            action: 'admin.notification.send',
+            target: { type: 'User', id: notification.recipient },
+            metadata: { notificationId: notification._id, type: notification.type, message }
+        });
+
         res.status(201).json({
             success: true,
             message: "Notification sent successfully",
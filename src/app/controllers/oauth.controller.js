@@ -0,0 +1,237 @@
+// controllers/oauth.controller.js
+import UserModel from "../../infrastructure/models/User.model.js";
+import { oauthConfig } from "../../config/oauth.js";
+import { OAuthService } from "../services/oauth.service.js";
+import { AuthService } from "../services/auth.service.js";
+import { hashToken } from "../utils/token.js";
+import {
+  sendAuthResponse,
+  readCookie,
+  setOAuthStateCookie,
+  clearOAuthStateCookie,
+  OAUTH_STATE_COOKIE
+} from "../utils/authCookies.js";
+
+// Callback URL registered with the provider
+const getRedirectUri = (req, provider) => {
+  const baseUrl = oauthConfig.callbackBaseUrl || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/api/auth/oauth/${provider}/callback`;
+};
+
+// Send the browser back to the frontend with the outcome in the query string
+const redirectToFrontend = (res, params) => {
+  res.redirect(`${oauthConfig.frontendCallbackUrl}?${new URLSearchParams(params).toString()}`);
+};
+
+/* =================== PUBLIC ROUTES =================== */
+
+/**
+ * @desc    List configured OAuth providers
+ * @route   GET /api/auth/oauth/providers
+ * @access  Public
+ */
+export const getOAuthProviders = async (req, res) => {
+  res.status(200).json({ success: true, data: OAuthService.listProviders() });
+};
+
+/**
+ * @desc    Start OAuth login (redirects to the provider)
+ * @route   GET /api/auth/oauth/:provider
+ * @access  Public
+ */
+export const startOAuthLogin = async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    if (!OAuthService.isAvailable(provider)) {
+      return res.status(404).json({ success: false, message: "OAuth provider not available" });
+    }
+
+    const { url, nonce } = await OAuthService.getAuthorizationUrl(provider, { mode: "login" }, getRedirectUri(req, provider));
+
+    setOAuthStateCookie(res, nonce);
+    res.redirect(url);
+
+  } catch (err) {
+    console.error("OAUTH START ERROR 👉", err);
+    res.status(500).json({ success: false, message: "Failed to start OAuth login" });
+  }
+};
+
+/**
+ * @desc    Provider callback: logs the user in or links the identity
+ * @route   GET /api/auth/oauth/:provider/callback
+ * @access  Public (secured by signed state and the state cookie of the browser that started the flow)
+ */
+export const oauthCallback = async (req, res) => {
+  const { provider } = req.params;
+
+  // One callback per flow
+  const browserNonce = readCookie(req, OAUTH_STATE_COOKIE);
+  clearOAuthStateCookie(res);
+
+  try {
+    if (!OAuthService.isAvailable(provider)) {
+      return res.status(404).json({ success: false, message: "OAuth provider not available" });
+    }
+
+    // User denied access on the provider's consent screen
+    if (req.query.error) {
+      return redirectToFrontend(res, { error: req.query.error_description || req.query.error });
+    }
+
+    const { context, profile } = await OAuthService.handleCallback(
+      provider,
+      req.query,
+      getRedirectUri(req, provider),
+      browserNonce
+    );
+
+    if (context.mode === "link") {
+      await OAuthService.linkAccount(context.userId, provider, profile);
+      return redirectToFrontend(res, { linked: provider });
+    }
+
+    const user = await OAuthService.findOrCreateUser(provider, profile);
+
+    if (user.isBlocked) {
+      return redirectToFrontend(res, { error: "User is blocked" });
+    }
+
+    // Tokens never travel in the URL: the frontend exchanges this one-time code for them
+    const code = user.generateOAuthLoginToken();
+    await user.save({ validateBeforeSave: false });
+
+    redirectToFrontend(res, { code });
+
+  } catch (err) {
+    if (err.type) {
+      return redirectToFrontend(res, { error: err.message });
+    }
+
+    console.error("OAUTH CALLBACK ERROR 👉", err);
+    redirectToFrontend(res, { error: "OAuth login failed" });
+  }
+};
+
+/**
+ * @desc    Exchange the one-time OAuth code for the normal login response
+ * @route   POST /api/auth/oauth/exchange
+ * @access  Public
+ */
+export const exchangeOAuthCode = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ success: false, message: "Code is required" });
+    }
+
+    // Single use: the code is cleared in the same update that finds it
+    const user = await UserModel.findOneAndUpdate(
+      { oauthLoginToken: hashToken(code), oauthLoginExpire: { $gt: Date.now() } },
+      { $unset: { oauthLoginToken: 1, oauthLoginExpire: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({ success: false, message: "Invalid or expired code" });
+    }
+
+    if (user.isBlocked) {
+      return res.status(403).json({ success: false, message: "User is blocked" });
+    }
+
+    const response = await AuthService.completeLogin(user, req, "oauth");
+
+    sendAuthResponse(req, res, response);
+
+  } catch (err) {
+    console.error("OAUTH EXCHANGE ERROR 👉", err);
+    res.status(500).json({ success: false, message: "OAuth login failed", error: err.message });
+  }
+};
+
+/* =================== USER PROFILE ROUTES =================== */
+
+/**
+ * @desc    List linked OAuth identities
+ * @route   GET /api/users/profile/oauth
+ * @access  Private
+ */
+export const getLinkedAccounts = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        linked: req.user.oauthAccounts.map(account => ({
+          provider: account.provider,
+          email: account.email,
+          username: account.username,
+          linkedAt: account.linkedAt
+        })),
+        available: OAuthService.listProviders()
+      }
+    });
+  } catch (err) {
+    console.error("GET LINKED ACCOUNTS ERROR 👉", err);
+    res.status(500).json({ success: false, message: "Failed to fetch linked accounts", error: err.message });
+  }
+};
+
+/**
+ * @desc    Start linking a provider to the current account (returns the provider URL)
+ * @route   POST /api/users/profile/oauth/:provider/link
+ * @access  Private
+ * @rules   Also sets the state cookie: the frontend must send this request with credentials
+ *          and open the URL in the same browser
+ */
+export const startOAuthLink = async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    if (!OAuthService.isAvailable(provider)) {
+      return res.status(404).json({ success: false, message: "OAuth provider not available" });
+    }
+
+    if (req.user.oauthAccounts.some(a => a.provider === provider)) {
+      return res.status(400).json({ success: false, message: "This provider is already linked" });
+    }
+
+    const { url, nonce } = await OAuthService.getAuthorizationUrl(
+      provider,
+      { mode: "link", userId: req.user.id },
+      getRedirectUri(req, provider)
+    );
+
+    setOAuthStateCookie(res, nonce);
+
+    res.status(200).json({ success: true, data: { url } });
+
+  } catch (err) {
+    console.error("OAUTH LINK ERROR 👉", err);
+    res.status(500).json({ success: false, message: "Failed to start account linking", error: err.message });
+  }
+};
+
+/**
+ * @desc    Unlink a provider from the current account
+ * @route   DELETE /api/users/profile/oauth/:provider
+ * @access  Private
+ */
+export const unlinkOAuthAccount = async (req, res) => {
+  try {
+    const user = await UserModel.findById(req.user.id);
+    const removed = await OAuthService.unlinkAccount(user, req.params.provider);
+
+    if (!removed) {
+      return res.status(404).json({ success: false, message: "No linked account for this provider" });
+    }
+
+    res.status(200).json({ success: true, message: "Account unlinked successfully" });
+
+  } catch (err) {
+    console.error("OAUTH UNLINK ERROR 👉", err);
+    res.status(500).json({ success: false, message: "Failed to unlink account", error: err.message });
+  }
+};
@@ -1,8 +1,64 @@
 import OrderModel from "../../infrastructure/models/Order.model.js";
 import ProjectModel from "../../infrastructure/models/Project.model.js";
 import { PaymentService } from "../services/payment.service.js";
+import { AuditService } from "../services/audit.service.js";
 import mongoose from "mongoose";
 
+/**
+ * @desc    List my orders (purchases), or sales of my projects with ?as=seller
+ * @route   GET /api/payments/orders
+ * @query   as (buyer|seller), status, page, limit
+ */
+export const getMyOrders = async (req, res) => {
+    try {
+        const { as = 'buyer', status, page = 1, limit = 20 } = req.query;
+
+        if (!['buyer', 'seller'].includes(as)) {
+            return res.status(400).json({ success: false, message: "Invalid 'as' value. Use buyer or seller" });
+        }
+
+        const filter = {};
+        if (as === 'seller') {
+            const projectIds = await ProjectModel.find({ owner: req.user.id }).distinct('_id');
+            filter.project = { $in: projectIds };
+        } else {
+            filter.user = req.user.id;
+        }
+        if (status) filter.status = status;
+
+        const pageNum = Math.max(parseInt(page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        // Sellers see who bought, but not the buyer's billing details or gateway logs
+        const hiddenFields = as === 'seller' ? '-billingDetails -paymentGatewayLogs' : '-paymentGatewayLogs';
+
+        const [orders, total] = await Promise.all([
+            OrderModel.find(filter)
+                .select(hiddenFields)
+                // Projects deleted since stay visible in the order history
+                .populate({ path: 'project', select: 'basicInfo.title marketplace.price', options: { withDeleted: true } })
+                .populate('user', 'name')
+                .sort({ createdAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum),
+            OrderModel.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: orders.length,
+            total,
+            totalPages: Math.ceil(total / limitNum),
+            currentPage: pageNum,
+            data: orders
+        });
+
+    } catch (err) {
+        console.error("GET ORDERS ERROR:", err);
+        res.status(500).json({ success: false, message: "Server error fetching orders" });
+    }
+};
+
 /**
  * @desc    Create a new Order
  * @route   POST /api/payments/orders
@@ -57,6 +113,12 @@ export const createOrder = async (req, res) => {
             billingDetails: billingDetails || {}
         });
 
+        await AuditService.record(req, {
+            action: 'payment.order.create',
+            target: { type: 'Order', id: newOrder._id },
+            metadata: { projectId, amount: newOrder.totalAmount, currency: newOrder.currency }
+        });
+
         res.status(201).json({
             success: true,
             message: "Order created successfully",
@@ -98,11 +160,21 @@ export const processPayment = async (req, res) => {
         if (order.status === 'paid') {
             return res.status(400).json({ success: false, message: "Order is already paid" });
         }
+        if (!order.project) {
+            return res.status(400).json({ success: false, message: "This project is no longer available" });
+        }
 
         // 3. Lock Order (Optimistic)
+        const previousStatus = order.status;
         order.status = 'processing';
         await order.save();
 
+        await AuditService.record(req, {
+            action: 'payment.order.status_change',
+            target: { type: 'Order', id: order._id },
+            changes: { status: { from: previousStatus, to: 'processing' } }
+        });
+
         // 4. Call Payment Service (2Checkout)
         try {
             const gatewayResponse = await PaymentService.charge({
@@ -142,6 +214,13 @@ export const processPayment = async (req, res) => {
 
                 await session.commitTransaction();
 
+                await AuditService.record(req, {
+                    action: 'payment.order.status_change',
+                    target: { type: 'Order', id: order._id },
+                    changes: { status: { from: 'processing', to: 'paid' } },
+                    metadata: { transactionId: gatewayResponse.transactionId, amount: order.totalAmount }
+                });
+
                 res.status(200).json({
                     success: true,
                     message: "Payment successful",
@@ -164,6 +243,13 @@ export const processPayment = async (req, res) => {
             order.paymentGatewayLogs = gatewayError.raw || gatewayError;
             await order.save();
 
+            await AuditService.record(req, {
+                action: 'payment.order.status_change',
+                target: { type: 'Order', id: order._id },
+                changes: { status: { from: 'processing', to: 'failed' } },
+                metadata: { error: gatewayError.message }
+            });
+
             return res.status(400).json({
                 success: false,
                 message: "Payment Failed",
@@ -204,10 +290,19 @@ export const handleWebhook = async (req, res) => {
             const order = await OrderModel.findOne({ _id: customOrderId });
 
             if (order && order.status !== 'paid') {
+                const previousStatus = order.status;
                 order.status = 'paid';
                 order.transactionId = transactionId;
                 await order.save();
 
+                await AuditService.record(req, {
+                    action: 'payment.order.status_change',
+                    actor: null,
+                    target: { type: 'Order', id: order._id },
+                    changes: { status: { from: previousStatus, to: 'paid' } },
+                    metadata: { source: 'webhook', transactionId, messageType }
+                });
+
                 // Also ensure project is transferred if not already
                 // (Redundant safety check)
             }
@@ -1,13 +1,38 @@
 // controllers/project.controller.js
 import ProjectModel from "../../infrastructure/models/Project.model.js";
+import { PermissionService } from "../services/permission.service.js";
+import { AuditService } from "../services/audit.service.js";
+import { FeedService } from "../services/feed.service.js";
+import { StorageService } from "../services/storage.service.js";
+import { SellerVerificationService } from "../services/sellerVerification.service.js";
+import { ProjectRevisionService } from "../services/projectRevision.service.js";
 import mongoose from "mongoose";
 
+const PROJECT_MEDIA_FOLDER = 'projects';
+
+// Store uploaded media files and return their public URLs
+const storeProjectMedia = async (files, prefix) => {
+    const urls = [];
+    try {
+        for (const file of files) {
+            const key = StorageService.buildKey(PROJECT_MEDIA_FOLDER, prefix, file.originalname);
+            const { url } = await StorageService.upload(key, file.buffer, { contentType: file.mimetype });
+            urls.push(url);
+        }
+    } catch (err) {
+        // All or nothing: do not leave half an upload behind
+        await Promise.all(urls.map(url => StorageService.remove(url, { folder: PROJECT_MEDIA_FOLDER })));
+        throw err;
+    }
+    return urls;
+};
+
 /* =================== PUBLIC/USER ROUTES =================== */
 
 /**
  * @desc    Get all projects (filtered by user role and status)
  * @route   GET /api/projects
- * @access  Public (approved only), Private (own + approved), Admin (all)
+ * @access  Public (approved only), Private (own + approved), Moderators (all)
  */
 export const getAllProjects = async (req, res) => {
     try {
@@ -26,10 +51,11 @@ export const getAllProjects = async (req, res) => {
         // --- 2. Build Query Conditions ---
         const conditions = [];
 
-        // A. Access Control (Public: Approved, User: Approved+Own, Admin: All)
+        // A. Access Control (Public: Approved, User: Approved+Own, Moderators: All)
+        const canModerate = await PermissionService.hasPermission(req.user, 'project.moderate');
         if (!req.user) {
             conditions.push({ $or: [{ status: 'approved' }, { 'metadata.status': 'approved' }] });
-        } else if (req.user.role !== 'admin') {
+        } else if (!canModerate) {
             conditions.push({
                 $or: [
                     { status: 'approved' },
@@ -129,12 +155,13 @@ export const getProjectsByStatus = async (req, res) => {
         conditions.push({ $or: [{ status }, { 'metadata.status': status }] });
 
         // 2. Access Control
+        const canModerate = await PermissionService.hasPermission(req.user, 'project.moderate');
         if (!req.user) {
             // Public can ONLY see 'approved' projects
             if (status !== 'approved') {
                 return res.status(403).json({ success: false, message: "Not authorized to view these projects" });
             }
-        } else if (req.user.role !== 'admin') {
+        } else if (!canModerate) {
             // General Users see 'approved' projects OR their own projects of this status
             if (status !== 'approved') {
                 conditions.push({
@@ -145,7 +172,7 @@ export const getProjectsByStatus = async (req, res) => {
                 });
             }
         }
-        // Admin sees everything of that status (already covered by condition 1)
+        // Moderators see everything of that status (already covered by condition 1)
 
         const query = { $and: conditions };
 
@@ -183,7 +210,7 @@ export const getProjectsByStatus = async (req, res) => {
 /**
  * @desc    Get single project by ID
  * @route   GET /api/projects/:id
- * @access  Public (if approved), Private (if owner), Admin (all)
+ * @access  Public (if approved), Private (if owner), Moderators (all)
  */
 export const getProjectById = async (req, res) => {
     try {
@@ -207,12 +234,12 @@ export const getProjectById = async (req, res) => {
         }
 
         // Authorization check
-        const isAdmin = req.user && req.user.role === 'admin';
+        const canModerate = await PermissionService.hasPermission(req.user, 'project.moderate');
         const isOwner = req.user && req.user.id === project.owner._id.toString();
         // Check nested status. Note: project.metadata might be missing on old documents in migration scenario, so safe access
         const isApproved = project.metadata?.status === 'approved';
 
-        if (!isApproved && !isOwner && !isAdmin) {
+        if (!isApproved && !isOwner && !canModerate) {
             return res.status(403).json({
                 success: false,
                 message: "Not authorized to access this project"
@@ -268,6 +295,15 @@ export const createProject = async (req, res) => {
             });
         }
 
+        // Projects submitted as for sale follow the same price rule as marketplace listings
+        if (projectData.marketplace?.isForSale &&
+            !SellerVerificationService.canListAtPrice(req.user, projectData.marketplace.price)) {
+            return res.status(403).json({
+                success: false,
+                message: SellerVerificationService.priceRequiresVerificationMessage()
+            });
+        }
+
         // Handle Media Files
         const media = {
             thumbnail: null,
@@ -278,11 +314,11 @@ export const createProject = async (req, res) => {
             // Check if files is an array (single field) or object (multiple fields)
             // Middleware uses upload.fields, so req.files should be an object
             if (req.files['thumbnail'] && req.files['thumbnail'][0]) {
-                media.thumbnail = `/uploads/projects/${req.files['thumbnail'][0].filename}`;
+                [media.thumbnail] = await storeProjectMedia([req.files['thumbnail'][0]], 'project-new');
             }
 
             if (req.files['screenshots']) {
-                media.screenshots = req.files['screenshots'].map(file => `/uploads/projects/${file.filename}`);
+                media.screenshots = await storeProjectMedia(req.files['screenshots'], 'project-new');
             }
         }
 
@@ -301,7 +337,9 @@ export const createProject = async (req, res) => {
                 status: 'pending', // Default to pending as per requirement example, or 'draft'
                 submissionDate: projectData.metadata?.submissionDate || new Date(),
                 rejectionReason: null,
-                reviewedAt: null
+                reviewedAt: null,
+                revision: 0,
+                reviewedRevision: null
             },
             marketplace: {
                 ...projectData.marketplace,
@@ -312,7 +350,17 @@ export const createProject = async (req, res) => {
 
         // Extract basic info for top-level access if needed by schema (Schema structure was updated to be nested)
 
-        const project = await ProjectModel.create(newProjectPayload);
+        let project;
+        try {
+            project = await ProjectModel.create(newProjectPayload);
+        } catch (err) {
+            // The uploaded files belong to nothing now
+            const uploaded = [media.thumbnail, ...media.screenshots].filter(Boolean);
+            await Promise.all(uploaded.map(url => StorageService.remove(url, { folder: PROJECT_MEDIA_FOLDER })));
+            throw err;
+        }
+
+        await ProjectRevisionService.record(project, { event: 'create', author: req.user._id });
 
         const populatedProject = await ProjectModel.findById(project._id)
             .populate('owner', 'name email')
@@ -400,6 +448,8 @@ export const updateProject = async (req, res) => {
             if (projectData.basicInfo.tags) project.basicInfo.tags = projectData.basicInfo.tags;
         }
 
+        if (projectData.metadata?.version !== undefined) project.metadata.version = projectData.metadata.version;
+
         if (projectData.platform) {
             if (projectData.platform.type) project.platform.type = projectData.platform.type;
             if (projectData.platform.urls) project.platform.urls = { ...project.platform.urls, ...projectData.platform.urls };
@@ -409,6 +459,14 @@ export const updateProject = async (req, res) => {
             if (projectData.marketplace.isForSale !== undefined) project.marketplace.isForSale = projectData.marketplace.isForSale;
             if (projectData.marketplace.price !== undefined) project.marketplace.price = projectData.marketplace.price;
             if (projectData.marketplace.contact) project.marketplace.contact = { ...project.marketplace.contact, ...projectData.marketplace.contact };
+
+            if (project.marketplace.isForSale &&
+                !SellerVerificationService.canListAtPrice(req.user, project.marketplace.price)) {
+                return res.status(403).json({
+                    success: false,
+                    message: SellerVerificationService.priceRequiresVerificationMessage()
+                });
+            }
         }
 
         // Reset rejection if re-submitting implicitly or explicit status change?
@@ -422,6 +480,8 @@ export const updateProject = async (req, res) => {
 
         await project.save();
 
+        await ProjectRevisionService.record(project, { event: 'update', author: req.user._id });
+
         const updatedProject = await ProjectModel.findById(project._id)
             .populate('owner', 'name email')
             .populate('reviewedBy', 'name email')
@@ -455,7 +515,7 @@ export const updateProject = async (req, res) => {
 /**
  * @desc    Delete project
  * @route   DELETE /api/projects/:id
- * @access  Private (Owner can delete own projects, Admin can delete any)
+ * @access  Private (Owner can delete own projects, project.manage can delete any)
  */
 export const deleteProject = async (req, res) => {
     try {
@@ -475,17 +535,26 @@ export const deleteProject = async (req, res) => {
             });
         }
 
-        const isAdmin = req.user.role === 'admin';
+        const canManage = await PermissionService.hasPermission(req.user, 'project.manage');
         const isOwner = req.user.id === project.owner.toString();
 
-        if (!isAdmin && !isOwner) {
+        if (!canManage && !isOwner) {
             return res.status(403).json({
                 success: false,
                 message: "Not authorized to delete this project"
             });
         }
 
-        await ProjectModel.findByIdAndDelete(req.params.id);
+        // Soft delete: project.manage can restore it from the trash until it is purged
+        await project.softDelete(req.user._id);
+
+        if (!isOwner) {
+            await AuditService.record(req, {
+                action: 'admin.project.delete',
+                target: { type: 'Project', id: project._id },
+                metadata: { title: project.basicInfo?.title, owner: project.owner }
+            });
+        }
 
         res.status(200).json({
             success: true,
@@ -537,6 +606,8 @@ export const submitProject = async (req, res) => {
         project.metadata.rejectionReason = null;
         await project.save();
 
+        await ProjectRevisionService.record(project, { event: 'submit', author: req.user._id });
+
         const updatedProject = await ProjectModel.findById(project._id)
             .populate('owner', 'name email')
             .populate('reviewedBy', 'name email')
@@ -597,12 +668,19 @@ export const uploadProjectMedia = async (req, res) => {
             });
         }
 
-        const newMediaPaths = req.files.map(file => `/uploads/projects/${file.filename}`);
+        const newMediaPaths = await storeProjectMedia(req.files, `project-${project._id}`);
         // Ensure media object exists
         if (!project.media) project.media = { thumbnail: null, screenshots: [] };
         project.media.screenshots.push(...newMediaPaths); // Assume bulk upload is screenshots for now
 
-        await project.save();
+        try {
+            await project.save();
+        } catch (err) {
+            await Promise.all(newMediaPaths.map(url => StorageService.remove(url, { folder: PROJECT_MEDIA_FOLDER })));
+            throw err;
+        }
+
+        await ProjectRevisionService.record(project, { event: 'media', author: req.user._id });
 
         res.status(200).json({
             success: true,
@@ -628,7 +706,7 @@ export const uploadProjectMedia = async (req, res) => {
 /**
  * @desc    Approve project
  * @route   PUT /api/projects/:id/approve
- * @access  Private/Admin
+ * @access  Private (project.moderate)
  */
 export const approveProject = async (req, res) => {
     try {
@@ -650,10 +728,20 @@ export const approveProject = async (req, res) => {
 
         project.metadata.status = 'approved';
         project.metadata.reviewedAt = Date.now();
+        project.metadata.reviewedRevision = project.metadata.revision;
         project.reviewedBy = req.user.id;
         project.metadata.rejectionReason = null;
         await project.save();
 
+        await AuditService.record(req, {
+            action: 'admin.project.approve',
+            target: { type: 'Project', id: project._id },
+            changes: { status: { from: 'submitted', to: 'approved' } },
+            metadata: { revision: project.metadata.revision }
+        });
+
+        await FeedService.recordApproval(project);
+
         const updatedProject = await ProjectModel.findById(project._id)
             .populate('owner', 'name email')
             .populate('reviewedBy', 'name email')
@@ -678,7 +766,7 @@ export const approveProject = async (req, res) => {
 /**
  * @desc    Reject project
  * @route   PUT /api/projects/:id/reject
- * @access  Private/Admin
+ * @access  Private (project.moderate)
  */
 export const rejectProject = async (req, res) => {
     try {
@@ -705,10 +793,18 @@ export const rejectProject = async (req, res) => {
 
         project.metadata.status = 'rejected';
         project.metadata.reviewedAt = Date.now();
+        project.metadata.reviewedRevision = project.metadata.revision;
         project.reviewedBy = req.user.id;
         project.metadata.rejectionReason = reason;
         await project.save();
 
+        await AuditService.record(req, {
+            action: 'admin.project.reject',
+            target: { type: 'Project', id: project._id },
+            changes: { status: { from: 'submitted', to: 'rejected' } },
+            metadata: { reason, revision: project.metadata.revision }
+        });
+
         const updatedProject = await ProjectModel.findById(project._id)
             .populate('owner', 'name email')
             .populate('reviewedBy', 'name email')
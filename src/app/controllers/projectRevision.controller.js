@@ -0,0 +1,247 @@
+// controllers/projectRevision.controller.js
+import ProjectModel from "../../infrastructure/models/Project.model.js";
+import { PermissionService } from "../services/permission.service.js";
+import { SellerVerificationService } from "../services/sellerVerification.service.js";
+import { ProjectRevisionService } from "../services/projectRevision.service.js";
+import mongoose from "mongoose";
+
+// Same statuses updateProject accepts: a rollback is an edit
+const EDITABLE_STATUSES = ['draft', 'pending', 'rejected'];
+
+// Revision history is visible to the owner and to moderators
+const findProjectWithHistoryAccess = async (req) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return { error: { status: 400, message: "Invalid project ID" } };
+    }
+
+    const project = await ProjectModel.findById(req.params.id);
+    if (!project) {
+        return { error: { status: 404, message: "Project not found" } };
+    }
+
+    const isOwner = req.user.id === project.owner.toString();
+    if (!isOwner && !(await PermissionService.hasPermission(req.user, 'project.moderate'))) {
+        return { error: { status: 403, message: "Not authorized to view the history of this project" } };
+    }
+
+    return { project, isOwner };
+};
+
+const parseRevisionNumber = (value) => {
+    const revision = Number(value);
+    return Number.isInteger(revision) && revision > 0 ? revision : null;
+};
+
+/**
+ * @desc    Revision history of a project (newest first)
+ * @route   GET /api/projects/:id/revisions
+ * @access  Private (Owner or project.moderate)
+ */
+export const getProjectRevisions = async (req, res) => {
+    try {
+        const { project, error } = await findProjectWithHistoryAccess(req);
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        const { revisions, total, pageNumber, pageSize } = await ProjectRevisionService.list(project._id, req.query);
+
+        res.status(200).json({
+            success: true,
+            count: revisions.length,
+            total,
+            totalPages: Math.ceil(total / pageSize),
+            currentPage: pageNumber,
+            currentRevision: project.metadata.revision,
+            reviewedRevision: project.metadata.reviewedRevision,
+            data: revisions
+        });
+
+    } catch (err) {
+        console.error("GET PROJECT REVISIONS ERROR 👉", err);
+        res.status(500).json({
+            success: false,
+            message: "Failed to fetch project revisions",
+            error: err.message
+        });
+    }
+};
+
+/**
+ * @desc    Field-level diff between two revisions
+ * @route   GET /api/projects/:id/revisions/diff?from=&to=
+ * @access  Private (Owner or project.moderate)
+ * @rules   `to` defaults to the current revision, `from` to the one before `to`
+ */
+export const getProjectRevisionDiff = async (req, res) => {
+    try {
+        const { project, error } = await findProjectWithHistoryAccess(req);
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        const to = req.query.to === undefined ? project.metadata.revision : parseRevisionNumber(req.query.to);
+        const from = req.query.from === undefined ? to - 1 : parseRevisionNumber(req.query.from);
+
+        if (!from || !to) {
+            return res.status(400).json({
+                success: false,
+                message: "from and to must be revision numbers (the project needs at least two revisions)"
+            });
+        }
+
+        const diff = await ProjectRevisionService.diff(project._id, from, to);
+
+        res.status(200).json({
+            success: true,
+            data: diff
+        });
+
+    } catch (err) {
+        if (err.type === "NOT_FOUND") {
+            return res.status(404).json({ success: false, message: err.message });
+        }
+
+        console.error("GET PROJECT REVISION DIFF ERROR 👉", err);
+        res.status(500).json({
+            success: false,
+            message: "Failed to compare project revisions",
+            error: err.message
+        });
+    }
+};
+
+/**
+ * @desc    A single revision with its full snapshot
+ * @route   GET /api/projects/:id/revisions/:revision
+ * @access  Private (Owner or project.moderate)
+ */
+export const getProjectRevision = async (req, res) => {
+    try {
+        const { project, error } = await findProjectWithHistoryAccess(req);
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        const revisionNumber = parseRevisionNumber(req.params.revision);
+        const revision = revisionNumber && await ProjectRevisionService.get(project._id, revisionNumber);
+
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                message: "Revision not found"
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: revision
+        });
+
+    } catch (err) {
+        console.error("GET PROJECT REVISION ERROR 👉", err);
+        res.status(500).json({
+            success: false,
+            message: "Failed to fetch project revision",
+            error: err.message
+        });
+    }
+};
+
+/**
+ * @desc    Roll a project back to an earlier revision (recorded as a new revision)
+ * @route   POST /api/projects/:id/revisions/:revision/rollback
+ * @access  Private (Owner only)
+ */
+export const rollbackProject = async (req, res) => {
+    try {
+        const { project, isOwner, error } = await findProjectWithHistoryAccess(req);
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        if (!isOwner) {
+            return res.status(403).json({
+                success: false,
+                message: "Only the owner can roll back a project"
+            });
+        }
+
+        const status = project.metadata?.status || 'draft';
+        if (!EDITABLE_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot roll back project in ${status} status. Only draft, pending or rejected projects can be rolled back.`
+            });
+        }
+
+        const revisionNumber = parseRevisionNumber(req.params.revision);
+        if (!revisionNumber) {
+            return res.status(404).json({
+                success: false,
+                message: "Revision not found"
+            });
+        }
+
+        const changedFields = await ProjectRevisionService.applyRevision(project, revisionNumber);
+
+        if (project.marketplace.isForSale &&
+            !SellerVerificationService.canListAtPrice(req.user, project.marketplace.price)) {
+            return res.status(403).json({
+                success: false,
+                message: SellerVerificationService.priceRequiresVerificationMessage()
+            });
+        }
+
+        // Same as an edit: a rejected project goes back to pending
+        if (status === 'rejected') {
+            project.metadata.rejectionReason = null;
+            project.metadata.status = 'pending';
+        }
+
+        await project.save();
+
+        await ProjectRevisionService.record(project, {
+            event: 'rollback',
+            author: req.user._id,
+            restoredFrom: revisionNumber
+        });
+
+        const updatedProject = await ProjectModel.findById(project._id)
+            .populate('owner', 'name email')
+            .populate('reviewedBy', 'name email')
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            message: `Project rolled back to revision ${revisionNumber}`,
+            changedFields,
+            data: updatedProject
+        });
+
+    } catch (err) {
+        if (err.type === "NOT_FOUND") {
+            return res.status(404).json({ success: false, message: err.message });
+        }
+
+        if (err.type === "VALIDATION") {
+            return res.status(400).json({ success: false, message: err.message });
+        }
+
+        if (err.name === "ValidationError") {
+            const messages = Object.values(err.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: messages
+            });
+        }
+
+        console.error("ROLLBACK PROJECT ERROR 👉", err);
+        res.status(500).json({
+            success: false,
+            message: "Failed to roll back project",
+            error: err.message
+        });
+    }
+};
@@ -1,6 +1,8 @@
 import ReviewModel from "../../infrastructure/models/Review.model.js";
 import ProjectModel from "../../infrastructure/models/Project.model.js";
 import OrderModel from "../../infrastructure/models/Order.model.js";
+import { PermissionService } from "../services/permission.service.js";
+import { AuditService } from "../services/audit.service.js";
 
 /**
  * @desc    Add a review
@@ -25,16 +27,33 @@ export const addReview = async (req, res) => {
         //     return res.status(403).json({ success: false, message: "You must purchase the project to review it" });
         // }
 
-        // 2. Check for duplicate review
+        // 2. Check for duplicate review (a deleted one still holds the unique index slot)
         const existingReview = await ReviewModel.findOne({
             project: projectId,
             reviewer: req.user.id
-        });
+        }).withDeleted();
 
-        if (existingReview) {
+        if (existingReview && !existingReview.deletedAt) {
             return res.status(400).json({ success: false, message: "You have already reviewed this project" });
         }
 
+        // Only a review its author deleted can be written again: one removed by a moderator stays
+        // in the trash for restore and the audit trail
+        if (existingReview && existingReview.deletedBy?.toString() !== req.user.id) {
+            return res.status(403).json({ success: false, message: "Your review of this project was removed by a moderator" });
+        }
+
+        if (existingReview) {
+            existingReview.set({ rating, comment, deletedAt: null, deletedBy: null });
+            await existingReview.save();
+
+            return res.status(201).json({
+                success: true,
+                message: "Review added successfully",
+                data: existingReview
+            });
+        }
+
         // 3. Create Review
         const review = await ReviewModel.create({
             project: projectId,
@@ -90,12 +109,21 @@ export const deleteReview = async (req, res) => {
             return res.status(404).json({ success: false, message: "Review not found" });
         }
 
-        // Allow owner or admin to delete
-        if (review.reviewer.toString() !== req.user.id && req.user.role !== 'admin') {
+        // Allow owner or review moderators to delete
+        const canModerate = await PermissionService.hasPermission(req.user, 'review.moderate');
+        if (review.reviewer.toString() !== req.user.id && !canModerate) {
             return res.status(403).json({ success: false, message: "Not authorized to delete this review" });
         }
 
-        await review.deleteOne();
+        await review.softDelete(req.user._id);
+
+        if (review.reviewer.toString() !== req.user.id) {
+            await AuditService.record(req, {
+                action: 'admin.review.delete',
+                target: { type: 'Review', id: review._id },
+                metadata: { project: review.project, reviewer: review.reviewer }
+            });
+        }
 
         res.status(200).json({
             success: true,
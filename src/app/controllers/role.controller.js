@@ -0,0 +1,195 @@
+// controllers/role.controller.js
+import mongoose from "mongoose";
+import { PERMISSIONS } from "../../config/permissions.js";
+import { PermissionService } from "../services/permission.service.js";
+import { AuditService } from "../services/audit.service.js";
+
+// Map service / mongoose errors to a response (null if unexpected)
+const handleRoleError = (err, res) => {
+  if (err.type === "VALIDATION") {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+
+  if (err.type === "ROLE_IN_USE") {
+    return res.status(409).json({ success: false, message: err.message });
+  }
+
+  if (err.code === 11000) {
+    return res.status(409).json({ success: false, message: "A role with this name already exists" });
+  }
+
+  if (err.name === "ValidationError") {
+    const messages = Object.values(err.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: messages
+    });
+  }
+
+  return null;
+};
+
+/**
+ * @desc    List built-in and custom roles, plus the permission catalogue
+ * @route   GET /api/admin/roles
+ * @access  Private (user.assign_role)
+ */
+export const getRoles = async (req, res) => {
+  try {
+    const roles = await PermissionService.listRoles();
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: {
+        roles,
+        permissions: PERMISSIONS
+      }
+    });
+
+  } catch (err) {
+    console.error("GET ROLES ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch roles",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a custom role
+ * @route   POST /api/admin/roles
+ * @access  Private (role.manage)
+ */
+export const createRole = async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: "Role name is required"
+      });
+    }
+
+    const role = await PermissionService.createRole({ name, description, permissions }, req.user.id);
+
+    await AuditService.record(req, {
+      action: "admin.role.create",
+      target: { type: "Role", id: role._id },
+      metadata: { name: role.name, permissions: role.permissions }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Role created successfully",
+      data: role
+    });
+
+  } catch (err) {
+    if (handleRoleError(err, res)) return;
+
+    console.error("CREATE ROLE ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create role",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a custom role's description or permissions
+ * @route   PUT /api/admin/roles/:id
+ * @access  Private (role.manage)
+ */
+export const updateRole = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid role ID (built-in roles cannot be edited)"
+      });
+    }
+
+    const { description, permissions } = req.body;
+    const role = await PermissionService.updateRole(req.params.id, { description, permissions }, req.user.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found"
+      });
+    }
+
+    await AuditService.record(req, {
+      action: "admin.role.update",
+      target: { type: "Role", id: role._id },
+      metadata: { name: role.name, description, permissions }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Role updated successfully",
+      data: role
+    });
+
+  } catch (err) {
+    if (handleRoleError(err, res)) return;
+
+    console.error("UPDATE ROLE ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update role",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a custom role (only when no user or pending invitation uses it)
+ * @route   DELETE /api/admin/roles/:id
+ * @access  Private (role.manage)
+ */
+export const deleteRole = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid role ID (built-in roles cannot be deleted)"
+      });
+    }
+
+    const deleted = await PermissionService.deleteRole(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found"
+      });
+    }
+
+    await AuditService.record(req, {
+      action: "admin.role.delete",
+      target: { type: "Role", id: deleted._id },
+      metadata: { name: deleted.name, permissions: deleted.permissions }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Role deleted successfully"
+    });
+
+  } catch (err) {
+    if (handleRoleError(err, res)) return;
+
+    console.error("DELETE ROLE ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete role",
+      error: err.message
+    });
+  }
+};
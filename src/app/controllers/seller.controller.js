@@ -0,0 +1,322 @@
+// controllers/seller.controller.js
+import UserModel from "../../infrastructure/models/User.model.js";
+import ProjectModel from "../../infrastructure/models/Project.model.js";
+import ReviewModel from "../../infrastructure/models/Review.model.js";
+import OrderModel from "../../infrastructure/models/Order.model.js";
+import FollowModel from "../../infrastructure/models/Follow.model.js";
+
+const STOREFRONT_LIMIT = 50;
+
+// Projects store status and sale fields in the nested schema and, for older documents, at the top level
+const APPROVED = { $or: [{ status: 'approved' }, { 'metadata.status': 'approved' }] };
+const FOR_SALE = { $or: [{ isForSale: true }, { 'marketplace.isForSale': true }] };
+
+// Internal review data, the listing's contact details and the buyer stay private
+const PUBLIC_PROJECT_FIELDS = '-reviewedBy -metadata.rejectionReason -marketplace.contact -marketplace.soldTo -soldTo';
+
+// Active account with a seller role or at least one approved project; null otherwise
+const findSeller = async (idOrHandle) => {
+    // Handles can never look like an ID (see User model), so the two lookups never overlap
+    const seller = /^[0-9a-f]{24}$/i.test(idOrHandle)
+        ? await UserModel.findById(idOrHandle)
+        : await UserModel.findOne({ handle: idOrHandle.toLowerCase() });
+
+    if (!seller || seller.isBlocked) return null;
+    if (seller.role !== 'seller' && !(await ProjectModel.exists({ owner: seller._id, ...APPROVED }))) return null;
+
+    return seller;
+};
+
+const getPagination = ({ page = 1, limit = 20 }) => {
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    return { pageNumber, pageSize };
+};
+
+// Public card for follower/following lists
+const toPublicUser = (user) => ({
+    id: user._id,
+    name: user.name,
+    handle: user.handle || null,
+    avatar: user.avatar || null,
+    verifiedSeller: !!user.verifiedSeller
+});
+
+/**
+ * @desc    Public seller profile and storefront
+ * @route   GET /api/sellers/:idOrHandle
+ * @access  Public (isFollowing is set when logged in)
+ * @rules   Never exposes the email address; blocked and deleted accounts are not found
+ */
+export const getSellerProfile = async (req, res) => {
+    try {
+        const seller = await findSeller(req.params.idOrHandle);
+
+        if (!seller) {
+            return res.status(404).json({
+                success: false,
+                message: "Seller not found"
+            });
+        }
+
+        const owner = { owner: seller._id };
+        const approvedFilter = { ...owner, ...APPROVED };
+        const listingFilter = { ...owner, $and: [APPROVED, FOR_SALE], soldTo: null, 'marketplace.soldTo': null };
+
+        const [
+            projects, projectCount, listings, listingCount, ownProjectIds, soldProjectIds,
+            followerCount, followingCount, isFollowing
+        ] = await Promise.all([
+            ProjectModel.find(approvedFilter)
+                .select(PUBLIC_PROJECT_FIELDS)
+                .sort({ createdAt: -1 })
+                .limit(STOREFRONT_LIMIT)
+                .lean(),
+            ProjectModel.countDocuments(approvedFilter),
+            ProjectModel.find(listingFilter)
+                .select(PUBLIC_PROJECT_FIELDS)
+                .sort({ createdAt: -1 })
+                .limit(STOREFRONT_LIMIT)
+                .lean(),
+            ProjectModel.countDocuments(listingFilter),
+            ProjectModel.find(owner).distinct('_id'),
+            // Sales of projects deleted since still count
+            ProjectModel.find(owner).withDeleted().distinct('_id'),
+            FollowModel.countDocuments({ seller: seller._id }),
+            FollowModel.countDocuments({ follower: seller._id }),
+            req.user ? FollowModel.exists({ follower: req.user._id, seller: seller._id }) : null
+        ]);
+
+        const [ratingStats, totalSales] = await Promise.all([
+            ReviewModel.aggregate([
+                { $match: { project: { $in: ownProjectIds } } },
+                { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+            ]),
+            OrderModel.countDocuments({ project: { $in: soldProjectIds }, status: 'paid' })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                id: seller._id,
+                name: seller.name,
+                handle: seller.handle || null,
+                avatar: seller.avatar || null,
+                bio: seller.bio || "",
+                links: seller.links || [],
+                verifiedSeller: !!seller.verifiedSeller,
+                githubUsername: seller.githubUsername,
+                joinedAt: seller.createdAt,
+                stats: {
+                    rating: {
+                        average: ratingStats[0] ? Math.round(ratingStats[0].average * 10) / 10 : null,
+                        count: ratingStats[0]?.count || 0
+                    },
+                    totalSales,
+                    projectCount,
+                    listingCount,
+                    followerCount,
+                    followingCount
+                },
+                isFollowing: !!isFollowing,
+                projects,
+                listings
+            }
+        });
+
+    } catch (err) {
+        console.error("GET SELLER PROFILE ERROR 👉", err);
+        res.status(500).json({
+            success: false,
+            message: "Failed to fetch seller profile",
+            error: err.message
+        });
+    }
+};
+
+/**
+ * @desc    Follow a seller
+ * @route   POST /api/sellers/:idOrHandle/follow
+ * @access  Private
+ */
+export const followSeller = async (req, res) => {
+    try {
+        const seller = await findSeller(req.params.idOrHandle);
+
+        if (!seller) {
+            return res.status(404).json({
+                success: false,
+                message: "Seller not found"
+            });
+        }
+
+        if (seller._id.equals(req.user._id)) {
+            return res.status(400).json({
+                success: false,
+                message: "You cannot follow yourself"
+            });
+        }
+
+        // Upsert: following twice is not an error
+        await FollowModel.updateOne(
+            { follower: req.user._id, seller: seller._id },
+            { $setOnInsert: { follower: req.user._id, seller: seller._id } },
+            { upsert: true }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: `You are now following ${seller.name}`,
+            data: {
+                followerCount: await FollowModel.countDocuments({ seller: seller._id })
+            }
+        });
+
+    } catch (err) {
+        console.error("FOLLOW SELLER ERROR 👉", err);
+        res.status(500).json({
+            success: false,
+            message: "Failed to follow seller",
+            error: err.message
+        });
+    }
+};
+
+/**
+ * @desc    Unfollow a seller
+ * @route   DELETE /api/sellers/:idOrHandle/follow
+ * @access  Private
+ */
+export const unfollowSeller = async (req, res) => {
+    try {
+        const seller = await findSeller(req.params.idOrHandle);
+
+        if (!seller) {
+            return res.status(404).json({
+                success: false,
+                message: "Seller not found"
+            });
+        }
+
+        const result = await FollowModel.deleteOne({ follower: req.user._id, seller: seller._id });
+
+        if (result.deletedCount === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "You are not following this seller"
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `You unfollowed ${seller.name}`,
+            data: {
+                followerCount: await FollowModel.countDocuments({ seller: seller._id })
+            }
+        });
+
+    } catch (err) {
+        console.error("UNFOLLOW SELLER ERROR 👉", err);
+        res.status(500).json({
+            success: false,
+            message: "Failed to unfollow seller",
+            error: err.message
+        });
+    }
+};
+
+/**
+ * @desc    Followers of a seller (newest first)
+ * @route   GET /api/sellers/:idOrHandle/followers
+ * @query   page, limit
+ * @access  Public
+ */
+export const getSellerFollowers = async (req, res) => {
+    try {
+        const seller = await findSeller(req.params.idOrHandle);
+
+        if (!seller) {
+            return res.status(404).json({
+                success: false,
+                message: "Seller not found"
+            });
+        }
+
+        const { pageNumber, pageSize } = getPagination(req.query);
+
+        const [total, follows] = await Promise.all([
+            FollowModel.countDocuments({ seller: seller._id }),
+            FollowModel.find({ seller: seller._id })
+                .populate('follower', 'name handle avatar verifiedSeller isBlocked')
+                .sort({ createdAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize)
+                .lean()
+        ]);
+
+        // Deleted or blocked followers still count but are not listed
+        const followers = follows
+            .filter(follow => follow.follower && !follow.follower.isBlocked)
+            .map(follow => ({ ...toPublicUser(follow.follower), followedAt: follow.createdAt }));
+
+        res.status(200).json({
+            success: true,
+            count: followers.length,
+            total,
+            totalPages: Math.ceil(total / pageSize),
+            currentPage: pageNumber,
+            data: followers
+        });
+
+    } catch (err) {
+        console.error("GET FOLLOWERS ERROR 👉", err);
+        res.status(500).json({
+            success: false,
+            message: "Failed to fetch followers",
+            error: err.message
+        });
+    }
+};
+
+/**
+ * @desc    Sellers the current user follows (newest first)
+ * @route   GET /api/users/profile/following
+ * @query   page, limit
+ * @access  Private
+ */
+export const getMyFollowing = async (req, res) => {
+    try {
+        const { pageNumber, pageSize } = getPagination(req.query);
+
+        const [total, follows] = await Promise.all([
+            FollowModel.countDocuments({ follower: req.user._id }),
+            FollowModel.find({ follower: req.user._id })
+                .populate('seller', 'name handle avatar verifiedSeller isBlocked')
+                .sort({ createdAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize)
+                .lean()
+        ]);
+
+        const following = follows
+            .filter(follow => follow.seller && !follow.seller.isBlocked)
+            .map(follow => ({ ...toPublicUser(follow.seller), followedAt: follow.createdAt }));
+
+        res.status(200).json({
+            success: true,
+            count: following.length,
+            total,
+            totalPages: Math.ceil(total / pageSize),
+            currentPage: pageNumber,
+            data: following
+        });
+
+    } catch (err) {
+        console.error("GET FOLLOWING ERROR 👉", err);
+        res.status(500).json({
+            success: false,
+            message: "Failed to fetch followed sellers",
+            error: err.message
+        });
+    }
+};
@@ -0,0 +1,310 @@
+// controllers/sellerApplication.controller.js
+import mongoose from "mongoose";
+import SellerApplicationModel from "../../infrastructure/models/SellerApplication.model.js";
+import UserModel from "../../infrastructure/models/User.model.js";
+import NotificationModel from "../../infrastructure/models/Notification.model.js";
+import { AuditService } from "../services/audit.service.js";
+
+// Version of the seller agreement applicants accept (bump when the terms change)
+const SELLER_AGREEMENT_VERSION = process.env.SELLER_AGREEMENT_VERSION || "1.0";
+
+/* =================== USER PROFILE ROUTES =================== */
+
+/**
+ * @desc    Apply to become a seller
+ * @route   POST /api/users/profile/seller-application
+ * @access  Private (Buyers)
+ */
+export const submitSellerApplication = async (req, res) => {
+  try {
+    const { payoutCountry, portfolioLinks, about, acceptAgreement } = req.body;
+
+    if (req.user.role !== "buyer") {
+      return res.status(400).json({
+        success: false,
+        message: "Only buyer accounts can apply to become a seller"
+      });
+    }
+
+    if (!req.user.isEmailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: "Please verify your email before applying"
+      });
+    }
+
+    if (acceptAgreement !== true) {
+      return res.status(400).json({
+        success: false,
+        message: "You must accept the seller agreement"
+      });
+    }
+
+    const pending = await SellerApplicationModel.exists({ user: req.user.id, status: "pending" });
+    if (pending) {
+      return res.status(409).json({
+        success: false,
+        message: "You already have a pending seller application"
+      });
+    }
+
+    const application = await SellerApplicationModel.create({
+      user: req.user.id,
+      payoutCountry,
+      portfolioLinks: Array.isArray(portfolioLinks) ? portfolioLinks : [],
+      about,
+      agreementVersion: SELLER_AGREEMENT_VERSION,
+      agreementAcceptedAt: new Date()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Seller application submitted. We will notify you once it has been reviewed.",
+      data: application
+    });
+
+  } catch (err) {
+    // Unique partial index: a concurrent request created the pending application first
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "You already have a pending seller application"
+      });
+    }
+
+    if (err.name === "ValidationError") {
+      const messages = Object.values(err.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: messages
+      });
+    }
+
+    console.error("SELLER APPLICATION ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to submit seller application",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Get my latest seller application
+ * @route   GET /api/users/profile/seller-application
+ * @access  Private
+ */
+export const getMySellerApplication = async (req, res) => {
+  try {
+    const application = await SellerApplicationModel.findOne({ user: req.user.id })
+      .sort({ createdAt: -1 })
+      .select("-reviewedBy")
+      .lean();
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: "No seller application found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: application
+    });
+
+  } catch (err) {
+    console.error("GET SELLER APPLICATION ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch seller application",
+      error: err.message
+    });
+  }
+};
+
+/* =================== ADMIN ROUTES =================== */
+
+/**
+ * @desc    Review queue of seller applications (oldest first)
+ * @route   GET /api/admin/seller-applications
+ * @access  Private (seller.review)
+ */
+export const getSellerApplications = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status = "pending" } = req.query;
+
+    const query = status === "all" ? {} : { status };
+
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const [total, applications] = await Promise.all([
+      SellerApplicationModel.countDocuments(query),
+      SellerApplicationModel.find(query)
+        .populate("user", "name email role createdAt")
+        .populate("reviewedBy", "name email")
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(pageSize)
+        .lean()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: applications.length,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+      currentPage: pageNumber,
+      data: applications
+    });
+
+  } catch (err) {
+    console.error("GET SELLER APPLICATIONS ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch seller applications",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Approve a seller application (the applicant becomes a seller)
+ * @route   PUT /api/admin/seller-applications/:id/approve
+ * @access  Private (seller.review)
+ */
+export const approveSellerApplication = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid application ID"
+      });
+    }
+
+    // Status check and update in one step so two reviewers cannot both decide
+    const application = await SellerApplicationModel.findOneAndUpdate(
+      { _id: req.params.id, status: "pending" },
+      { status: "approved", reviewedBy: req.user.id, reviewedAt: new Date(), rejectionReason: null },
+      { new: true }
+    );
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: "Pending application not found"
+      });
+    }
+
+    // Only upgrade buyers; a role changed by an admin in the meantime is left alone
+    const upgrade = await UserModel.updateOne({ _id: application.user, role: "buyer" }, { role: "seller" });
+
+    await AuditService.record(req, {
+      action: "admin.seller_application.approve",
+      target: { type: "SellerApplication", id: application._id },
+      changes: {
+        status: { from: "pending", to: "approved" },
+        ...(upgrade.modifiedCount > 0 && { role: { from: "buyer", to: "seller" } })
+      },
+      metadata: { userId: application.user }
+    });
+
+    await NotificationModel.create({
+      recipient: application.user,
+      type: "success",
+      message: "Your seller application was approved. You can now list projects on the marketplace.",
+      relatedId: application._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Seller application approved",
+      data: application
+    });
+
+  } catch (err) {
+    console.error("APPROVE SELLER APPLICATION ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to approve seller application",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Reject a seller application with a reason
+ * @route   PUT /api/admin/seller-applications/:id/reject
+ * @access  Private (seller.review)
+ */
+export const rejectSellerApplication = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid application ID"
+      });
+    }
+
+    const { reason } = req.body;
+    if (!reason || reason.trim() === "") {
+      return res.status(400).json({
+        success: false,
+        message: "Rejection reason is required"
+      });
+    }
+
+    const application = await SellerApplicationModel.findOneAndUpdate(
+      { _id: req.params.id, status: "pending" },
+      { status: "rejected", reviewedBy: req.user.id, reviewedAt: new Date(), rejectionReason: reason.trim() },
+      { new: true, runValidators: true }
+    );
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: "Pending application not found"
+      });
+    }
+
+    await AuditService.record(req, {
+      action: "admin.seller_application.reject",
+      target: { type: "SellerApplication", id: application._id },
+      changes: { status: { from: "pending", to: "rejected" } },
+      metadata: { userId: application.user, reason: application.rejectionReason }
+    });
+
+    await NotificationModel.create({
+      recipient: application.user,
+      type: "warning",
+      message: `Your seller application was not approved: ${application.rejectionReason}`,
+      relatedId: application._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Seller application rejected",
+      data: application
+    });
+
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      const messages = Object.values(err.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: messages
+      });
+    }
+
+    console.error("REJECT SELLER APPLICATION ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reject seller application",
+      error: err.message
+    });
+  }
+};
@@ -0,0 +1,491 @@
+// controllers/sellerVerification.controller.js
+import mongoose from "mongoose";
+import SellerVerificationModel from "../../infrastructure/models/SellerVerification.model.js";
+import UserModel from "../../infrastructure/models/User.model.js";
+import NotificationModel from "../../infrastructure/models/Notification.model.js";
+import { AuditService } from "../services/audit.service.js";
+import { SellerVerificationService } from "../services/sellerVerification.service.js";
+
+const OPEN_STATUSES = ["pending", "needs_info"];
+
+// Multipart forms send payout either as payout[method]=... fields or as a JSON string
+const parsePayout = (payout) => {
+  if (typeof payout !== "string") return payout;
+  try {
+    return JSON.parse(payout);
+  } catch {
+    throw { type: "VALIDATION", message: "Invalid JSON format in 'payout' field" };
+  }
+};
+
+/* =================== USER PROFILE ROUTES =================== */
+
+/**
+ * @desc    Submit identity verification, or resubmit after more information was requested
+ * @route   POST /api/users/profile/verification (multipart: document + fields)
+ * @access  Private (Sellers)
+ */
+export const submitSellerVerification = async (req, res) => {
+  let storedDocument = null;
+
+  try {
+    const { legalName, country, documentType } = req.body;
+    const payout = parsePayout(req.body.payout);
+
+    if (req.user.role !== "seller") {
+      return res.status(400).json({
+        success: false,
+        message: "Only seller accounts can be verified"
+      });
+    }
+
+    if (req.user.verifiedSeller) {
+      return res.status(400).json({
+        success: false,
+        message: "Your account is already verified"
+      });
+    }
+
+    const open = await SellerVerificationModel.findOne({ user: req.user.id, status: { $in: OPEN_STATUSES } });
+
+    if (open?.status === "pending") {
+      return res.status(409).json({
+        success: false,
+        message: "Your verification is already under review"
+      });
+    }
+
+    if (!open && !req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "An ID document is required"
+      });
+    }
+
+    if (req.file) {
+      storedDocument = await SellerVerificationService.storeDocument(req.user.id, req.file);
+    }
+
+    let verification;
+    let replacedDocumentKey = null;
+
+    if (open) {
+      // needs_info: update what was sent and put it back in the review queue
+      if (legalName !== undefined) open.legalName = legalName;
+      if (country !== undefined) open.country = country;
+      if (documentType !== undefined) open.document.kind = documentType;
+      if (payout) open.payout = payout;
+      if (storedDocument) {
+        replacedDocumentKey = open.document.key;
+        open.document.key = storedDocument.key;
+        open.document.contentType = storedDocument.contentType;
+        open.document.uploadedAt = new Date();
+      }
+      open.status = "pending";
+      open.submittedAt = new Date();
+
+      verification = await open.save();
+    } else {
+      verification = await SellerVerificationModel.create({
+        user: req.user.id,
+        legalName,
+        country,
+        document: { kind: documentType, ...storedDocument, uploadedAt: new Date() },
+        payout
+      });
+    }
+
+    if (replacedDocumentKey) {
+      await SellerVerificationService.removeDocument(replacedDocumentKey);
+    }
+
+    const data = verification.toObject();
+    delete data.reviewedBy;
+
+    res.status(open ? 200 : 201).json({
+      success: true,
+      message: "Verification submitted. We will notify you once it has been reviewed.",
+      data
+    });
+
+  } catch (err) {
+    // Nothing references the new upload
+    if (storedDocument) {
+      await SellerVerificationService.removeDocument(storedDocument.key);
+    }
+
+    if (err.type === "VALIDATION") {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+
+    // Unique partial index: a concurrent request opened a verification first
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "Your verification is already under review"
+      });
+    }
+
+    if (err.name === "ValidationError") {
+      const messages = Object.values(err.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: messages
+      });
+    }
+
+    console.error("SELLER VERIFICATION ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to submit verification",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Get my latest identity verification
+ * @route   GET /api/users/profile/verification
+ * @access  Private
+ */
+export const getMySellerVerification = async (req, res) => {
+  try {
+    const verification = await SellerVerificationModel.findOne({ user: req.user.id })
+      .sort({ createdAt: -1 })
+      .select("-reviewedBy")
+      .lean();
+
+    if (!verification) {
+      return res.status(404).json({
+        success: false,
+        message: "No verification found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: verification
+    });
+
+  } catch (err) {
+    console.error("GET SELLER VERIFICATION ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch verification",
+      error: err.message
+    });
+  }
+};
+
+/* =================== ADMIN ROUTES =================== */
+
+/**
+ * @desc    Review queue of identity verifications (oldest submission first)
+ * @route   GET /api/admin/seller-verifications
+ * @access  Private (seller.verify)
+ */
+export const getSellerVerifications = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status = "pending" } = req.query;
+
+    const query = status === "all" ? {} : { status };
+
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const [total, verifications] = await Promise.all([
+      SellerVerificationModel.countDocuments(query),
+      SellerVerificationModel.find(query)
+        .populate("user", "name email role handle createdAt")
+        .populate("reviewedBy", "name email")
+        .sort({ submittedAt: 1 })
+        .skip(skip)
+        .limit(pageSize)
+        .lean()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: verifications.length,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+      currentPage: pageNumber,
+      data: verifications
+    });
+
+  } catch (err) {
+    console.error("GET SELLER VERIFICATIONS ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch verifications",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Short-lived link to the ID document of a verification (every access is audited)
+ * @route   GET /api/admin/seller-verifications/:id/document
+ * @access  Private (seller.verify)
+ */
+export const getSellerVerificationDocument = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid verification ID"
+      });
+    }
+
+    const verification = await SellerVerificationModel.findById(req.params.id).select("user document").lean();
+
+    if (!verification?.document?.key) {
+      return res.status(404).json({
+        success: false,
+        message: "Verification document not found"
+      });
+    }
+
+    const { url, expiresIn } = await SellerVerificationService.getDocumentUrl(verification.document.key);
+
+    await AuditService.record(req, {
+      action: "admin.seller_verification.view_document",
+      target: { type: "SellerVerification", id: verification._id },
+      metadata: { userId: verification.user }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        url,
+        expiresIn,
+        kind: verification.document.kind,
+        contentType: verification.document.contentType
+      }
+    });
+
+  } catch (err) {
+    console.error("GET VERIFICATION DOCUMENT ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch verification document",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Approve an identity verification (the seller gets the verified badge)
+ * @route   PUT /api/admin/seller-verifications/:id/approve
+ * @access  Private (seller.verify)
+ */
+export const approveSellerVerification = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid verification ID"
+      });
+    }
+
+    // Status check and update in one step so two reviewers cannot both decide
+    const verification = await SellerVerificationModel.findOneAndUpdate(
+      { _id: req.params.id, status: "pending" },
+      { status: "approved", reviewedBy: req.user.id, reviewedAt: new Date(), rejectionReason: null },
+      { new: true }
+    );
+
+    if (!verification) {
+      return res.status(404).json({
+        success: false,
+        message: "Pending verification not found"
+      });
+    }
+
+    await UserModel.updateOne(
+      { _id: verification.user },
+      { verifiedSeller: true, verifiedSellerAt: verification.reviewedAt }
+    );
+
+    await AuditService.record(req, {
+      action: "admin.seller_verification.approve",
+      target: { type: "SellerVerification", id: verification._id },
+      changes: {
+        status: { from: "pending", to: "approved" },
+        verifiedSeller: { from: false, to: true }
+      },
+      metadata: { userId: verification.user }
+    });
+
+    await NotificationModel.create({
+      recipient: verification.user,
+      type: "success",
+      message: "Your identity has been verified. Your listings now show the verified seller badge.",
+      relatedId: verification._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Verification approved",
+      data: verification
+    });
+
+  } catch (err) {
+    console.error("APPROVE SELLER VERIFICATION ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to approve verification",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Reject an identity verification with a reason
+ * @route   PUT /api/admin/seller-verifications/:id/reject
+ * @access  Private (seller.verify)
+ */
+export const rejectSellerVerification = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid verification ID"
+      });
+    }
+
+    const { reason } = req.body;
+    if (typeof reason !== "string" || reason.trim() === "") {
+      return res.status(400).json({
+        success: false,
+        message: "Rejection reason is required"
+      });
+    }
+
+    const verification = await SellerVerificationModel.findOneAndUpdate(
+      { _id: req.params.id, status: "pending" },
+      { status: "rejected", reviewedBy: req.user.id, reviewedAt: new Date(), rejectionReason: reason.trim() },
+      { new: true, runValidators: true }
+    );
+
+    if (!verification) {
+      return res.status(404).json({
+        success: false,
+        message: "Pending verification not found"
+      });
+    }
+
+    await AuditService.record(req, {
+      action: "admin.seller_verification.reject",
+      target: { type: "SellerVerification", id: verification._id },
+      changes: { status: { from: "pending", to: "rejected" } },
+      metadata: { userId: verification.user, reason: verification.rejectionReason }
+    });
+
+    await NotificationModel.create({
+      recipient: verification.user,
+      type: "warning",
+      message: `Your identity verification was not approved: ${verification.rejectionReason}`,
+      relatedId: verification._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Verification rejected",
+      data: verification
+    });
+
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      const messages = Object.values(err.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: messages
+      });
+    }
+
+    console.error("REJECT SELLER VERIFICATION ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reject verification",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Ask the seller for more information; the verification leaves the queue until they resubmit
+ * @route   PUT /api/admin/seller-verifications/:id/request-info
+ * @access  Private (seller.verify)
+ */
+export const requestSellerVerificationInfo = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid verification ID"
+      });
+    }
+
+    const { message } = req.body;
+    if (typeof message !== "string" || message.trim() === "") {
+      return res.status(400).json({
+        success: false,
+        message: "Describe the information you need"
+      });
+    }
+
+    const verification = await SellerVerificationModel.findOneAndUpdate(
+      { _id: req.params.id, status: "pending" },
+      { status: "needs_info", reviewedBy: req.user.id, reviewedAt: new Date(), infoRequest: message.trim() },
+      { new: true, runValidators: true }
+    );
+
+    if (!verification) {
+      return res.status(404).json({
+        success: false,
+        message: "Pending verification not found"
+      });
+    }
+
+    await AuditService.record(req, {
+      action: "admin.seller_verification.request_info",
+      target: { type: "SellerVerification", id: verification._id },
+      changes: { status: { from: "pending", to: "needs_info" } },
+      metadata: { userId: verification.user, infoRequest: verification.infoRequest }
+    });
+
+    await NotificationModel.create({
+      recipient: verification.user,
+      type: "info",
+      message: `We need more information to verify your identity: ${verification.infoRequest}`,
+      relatedId: verification._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "More information requested",
+      data: verification
+    });
+
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      const messages = Object.values(err.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: messages
+      });
+    }
+
+    console.error("REQUEST VERIFICATION INFO ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to request more information",
+      error: err.message
+    });
+  }
+};
@@ -0,0 +1,114 @@
+// controllers/trash.controller.js
+import mongoose from "mongoose";
+import { TrashService } from "../services/trash.service.js";
+import { PermissionService } from "../services/permission.service.js";
+import { AuditService } from "../services/audit.service.js";
+
+// Capitalized model name for audit targets (project -> Project)
+const toTargetType = (type) => type.charAt(0).toUpperCase() + type.slice(1);
+
+// Each type is guarded by the permission that allows deleting it
+const checkTrashAccess = async (req, res, type) => {
+  if (!TrashService.TYPES.includes(type)) {
+    res.status(400).json({
+      success: false,
+      message: `Type must be one of: ${TrashService.TYPES.join(", ")}`
+    });
+    return false;
+  }
+
+  if (!(await PermissionService.hasPermission(req.user, TrashService.getPermission(type)))) {
+    res.status(403).json({
+      success: false,
+      message: "You do not have permission to perform this action"
+    });
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * @desc    List deleted projects, reviews or users (most recently deleted first)
+ * @route   GET /api/admin/trash
+ * @query   type (project | review | user), page, limit
+ * @access  Private (project.manage, review.moderate or user.delete, depending on type)
+ */
+export const getTrash = async (req, res) => {
+  try {
+    const { type, page = 1, limit = 20 } = req.query;
+
+    if (!(await checkTrashAccess(req, res, type))) return;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const { total, items } = await TrashService.list(type, { page: pageNumber, limit: pageSize });
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+      currentPage: pageNumber,
+      retentionDays: TrashService.TRASH_RETENTION_DAYS,
+      data: items
+    });
+
+  } catch (err) {
+    console.error("GET TRASH ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch trash",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Restore a deleted project, review or user
+ * @route   POST /api/admin/trash/:type/:id/restore
+ * @access  Private (project.manage, review.moderate or user.delete, depending on type)
+ */
+export const restoreFromTrash = async (req, res) => {
+  try {
+    const { type, id } = req.params;
+
+    if (!(await checkTrashAccess(req, res, type))) return;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid ID"
+      });
+    }
+
+    const restored = await TrashService.restore(type, id);
+
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        message: "Item not found in trash"
+      });
+    }
+
+    await AuditService.record(req, {
+      action: `admin.${type}.restore`,
+      target: { type: toTargetType(type), id: restored._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${toTargetType(type)} restored successfully`,
+      data: { id: restored._id, type }
+    });
+
+  } catch (err) {
+    console.error("RESTORE FROM TRASH ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to restore item",
+      error: err.message
+    });
+  }
+};
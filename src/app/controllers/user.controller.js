@@ -1,27 +1,76 @@
 // controllers/user.controller.js
 import UserModel from "../../infrastructure/models/User.model.js";
-import { generateAccessToken } from "../utils/token.js";
+import { SessionService } from "../services/session.service.js";
+import { ThrottleService } from "../services/throttle.service.js";
+import { PermissionService } from "../services/permission.service.js";
+import { AuditService } from "../services/audit.service.js";
+import { PasswordPolicyService } from "../services/passwordPolicy.service.js";
+import { AccountService } from "../services/account.service.js";
+import { AvatarService } from "../services/avatar.service.js";
 import mongoose from "mongoose";
+import {
+  sendEmailChangeVerificationEmail,
+  sendEmailChangeNoticeEmail,
+  sendAccountDeletionScheduledEmail
+} from "../utils/email.js";
+import { wantsCookieAuth, setAuthCookies } from "../utils/authCookies.js";
 
 // Helper function to get safe user object (without sensitive info)
 const getSafeUserObject = (user) => ({
   id: user._id,
   name: user.name,
   email: user.email,
+  pendingEmail: user.pendingEmail || null,
   role: user.role,
   isEmailVerified: user.isEmailVerified,
   isBlocked: user.isBlocked,
+  twoFactorEnabled: !!user.twoFactor?.enabled,
+  passwordResetRequired: !!user.passwordResetRequired,
+  deletionScheduledFor: user.deletion?.scheduledFor || null,
+  githubUsername: user.githubUsername,
+  avatar: user.avatar || null,
+  handle: user.handle || null,
+  bio: user.bio || "",
+  links: user.links || [],
+  verifiedSeller: !!user.verifiedSeller,
   createdAt: user.createdAt,
   updatedAt: user.updatedAt,
   lastLogin: user.lastLogin
 });
 
+// Helper function to get public session info (never exposes the token hash)
+const getSafeSessionObject = (session, currentSessionId = null) => ({
+  id: session._id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: !!currentSessionId && session._id.toString() === currentSessionId
+});
+
+// Helper for the session.manage routes: the error to send when the target user does not exist or
+// holds permissions the caller lacks (same rule as updateUser/deleteUser), otherwise null
+const checkSessionTarget = async (req) => {
+  const user = await UserModel.findById(req.params.id).select("role").lean();
+
+  if (!user) {
+    return { status: 404, message: "User not found" };
+  }
+
+  if (!(await PermissionService.isRoleWithinReach(req.user, user.role))) {
+    return { status: 403, message: "Not authorized to manage a user with more permissions than you" };
+  }
+
+  return null;
+};
+
 /* =================== ADMIN ROUTES =================== */
 
 /**
- * @desc    Get all users (Admin only)
+ * @desc    Get all users (user.read)
  * @route   GET /api/users
- * @access  Private/Admin
+ * @access  Private (user.read)
  */
 export const getAllUsers = async (req, res) => {
   try {
@@ -82,7 +131,7 @@ export const getAllUsers = async (req, res) => {
 /**
  * @desc    Get single user by ID
  * @route   GET /api/users/:id
- * @access  Private/Admin or Self
+ * @access  Private (user.read) or Self
  */
 export const getUserById = async (req, res) => {
   try {
@@ -104,11 +153,11 @@ export const getUserById = async (req, res) => {
       });
     }
 
-    // Check if requester is admin or the user themselves
-    const isAdmin = req.user.role === 'admin';
+    // Check if requester can read users or is the user themselves
+    const canRead = await PermissionService.hasPermission(req.user, 'user.read');
     const isSelf = req.user.id === req.params.id;
 
-    if (!isAdmin && !isSelf) {
+    if (!canRead && !isSelf) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to access this user's information"
@@ -131,7 +180,7 @@ export const getUserById = async (req, res) => {
 };
 
 /**
- * @desc    Update user by ID (Admin can update any, users can update themselves)
+ * @desc    Update user by ID (staff per-field permissions, users can update their own name)
  * @route   PUT /api/users/:id
  * @access  Private
  */
@@ -154,23 +203,65 @@ export const updateUser = async (req, res) => {
       });
     }
 
-    // Authorization check
-    const isAdmin = req.user.role === 'admin';
+    // Authorization check: each field needs its own permission
     const isSelf = req.user.id === req.params.id;
+    const [canUpdate, canBlock, canAssignRole] = await Promise.all([
+      PermissionService.hasPermission(req.user, 'user.update'),
+      PermissionService.hasPermission(req.user, 'user.block'),
+      PermissionService.hasPermission(req.user, 'user.assign_role')
+    ]);
 
-    if (!isAdmin && !isSelf) {
+    if (!isSelf && !canUpdate && !canBlock && !canAssignRole) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to update this user"
       });
     }
 
-    const { name, email, role, isBlocked, isEmailVerified } = req.body;
+    // Staff cannot act on users who hold permissions they lack themselves
+    if (!isSelf && !(await PermissionService.isRoleWithinReach(req.user, user.role))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to manage a user with more permissions than you"
+      });
+    }
+
+    const { name, email, role, isBlocked, isEmailVerified, passwordResetRequired } = req.body;
+    const before = user.toObject();
+
+    if (isBlocked !== undefined && !canBlock) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to update these fields"
+      });
+    }
+
+    if (role && role !== user.role) {
+      if (!canAssignRole) {
+        return res.status(403).json({
+          success: false,
+          message: "Not authorized to update these fields"
+        });
+      }
+
+      if (!(await PermissionService.roleExists(role))) {
+        return res.status(400).json({
+          success: false,
+          message: "Role does not exist"
+        });
+      }
+
+      if (!(await PermissionService.isRoleWithinReach(req.user, role))) {
+        return res.status(403).json({
+          success: false,
+          message: "You cannot assign a role with permissions you do not have"
+        });
+      }
+    }
 
-    // Non-admin users can only update their own name
-    if (!isAdmin) {
-      // Regular users cannot change role, block status, or email verification
-      if (role || isBlocked !== undefined || isEmailVerified !== undefined) {
+    // Without user.update, only your own name can be changed here
+    if (!canUpdate) {
+      if (isEmailVerified !== undefined || passwordResetRequired !== undefined || (!isSelf && name)) {
         return res.status(403).json({
           success: false,
           message: "Not authorized to update these fields"
@@ -190,14 +281,14 @@ export const updateUser = async (req, res) => {
         user.name = name;
       }
     } else {
-      // Admin can update all fields
+      // user.update can edit profile fields
       if (name) user.name = name;
       if (email && email !== user.email) {
         // Check if new email already exists
         const emailExists = await UserModel.findOne({
           email,
           _id: { $ne: req.params.id }
-        });
+        }).withDeleted();
 
         if (emailExists) {
           return res.status(409).json({
@@ -207,13 +298,41 @@ export const updateUser = async (req, res) => {
         }
         user.email = email;
       }
-      if (role) user.role = role;
-      if (isBlocked !== undefined) user.isBlocked = isBlocked;
       if (isEmailVerified !== undefined) user.isEmailVerified = isEmailVerified;
+      if (passwordResetRequired !== undefined) user.passwordResetRequired = passwordResetRequired;
     }
 
+    if (role) user.role = role;
+    if (isBlocked !== undefined) user.isBlocked = isBlocked;
+
+    const wasBlocked = user.isModified('isBlocked') && user.isBlocked;
+
     await user.save();
 
+    // Blocking terminates every session immediately
+    if (wasBlocked) {
+      await SessionService.revokeAllSessions(user._id, "user_blocked");
+    }
+
+    const target = { type: "User", id: user._id };
+    const blockChange = AuditService.diff(before, user, ["isBlocked"]);
+    const roleChange = AuditService.diff(before, user, ["role"]);
+    const profileChanges = AuditService.diff(before, user, ["name", "email", "isEmailVerified", "passwordResetRequired"]);
+
+    if (blockChange) {
+      await AuditService.record(req, {
+        action: user.isBlocked ? "admin.user.block" : "admin.user.unblock",
+        target,
+        changes: blockChange
+      });
+    }
+    if (roleChange) {
+      await AuditService.record(req, { action: "admin.user.role_change", target, changes: roleChange });
+    }
+    if (profileChanges && !isSelf) {
+      await AuditService.record(req, { action: "admin.user.update", target, changes: profileChanges });
+    }
+
     res.status(200).json({
       success: true,
       message: "User updated successfully",
@@ -250,7 +369,7 @@ export const updateUser = async (req, res) => {
 /**
  * @desc    Delete user by ID
  * @route   DELETE /api/users/:id
- * @access  Private/Admin (Users can delete themselves with confirmation)
+ * @access  Private (user.delete) (Users can delete themselves with confirmation, after the grace period)
  */
 export const deleteUser = async (req, res) => {
   try {
@@ -272,32 +391,42 @@ export const deleteUser = async (req, res) => {
     }
 
     // Authorization check
-    const isAdmin = req.user.role === 'admin';
+    const canDelete = await PermissionService.hasPermission(req.user, 'user.delete');
     const isSelf = req.user.id === req.params.id;
 
-    if (!isAdmin && !isSelf) {
+    if (!canDelete && !isSelf) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to delete this user"
       });
     }
 
-    // Admin can delete anyone, users can only delete themselves
-    // Optional: Add confirmation for self-deletion
-    const { confirm } = req.body;
-
-    if (!isAdmin && isSelf && confirm !== true) {
-      return res.status(400).json({
+    if (!isSelf && !(await PermissionService.isRoleWithinReach(req.user, user.role))) {
+      return res.status(403).json({
         success: false,
-        message: "Please confirm deletion by sending { confirm: true } in request body"
+        message: "Not authorized to manage a user with more permissions than you"
       });
     }
 
-    await UserModel.findByIdAndDelete(req.params.id);
+    // Users deleting themselves go through the grace period, same as DELETE /profile/deletion
+    if (isSelf) {
+      return requestAccountDeletion(req, res);
+    }
+
+    // user.delete moves the account to the trash: it can be restored until the
+    // retention period is over, then it is anonymized
+    await user.softDelete(req.user._id);
+    await SessionService.revokeAllSessions(user._id, "account_deleted");
+
+    await AuditService.record(req, {
+      action: "admin.user.delete",
+      target: { type: "User", id: user._id },
+      metadata: { email: user.email, role: user.role }
+    });
 
     res.status(200).json({
       success: true,
-      message: "User deleted successfully"
+      message: "User moved to trash"
     });
 
   } catch (err) {
@@ -324,7 +453,17 @@ export const getCurrentUser = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: getSafeUserObject(user)
+      data: getSafeUserObject(user),
+      ...(req.impersonator && {
+        impersonation: {
+          impersonator: {
+            id: req.impersonator._id,
+            name: req.impersonator.name,
+            email: req.impersonator.email
+          },
+          readOnly: req.impersonation.readOnly
+        }
+      })
     });
 
   } catch (err) {
@@ -344,7 +483,7 @@ export const getCurrentUser = async (req, res) => {
  */
 export const updateCurrentUser = async (req, res) => {
   try {
-    const { name, email, password, currentPassword } = req.body;
+    const { name, email, password, currentPassword, handle, bio, links } = req.body;
     const user = await UserModel.findById(req.user.id).select('+password');
 
     // Update name if provided
@@ -352,32 +491,62 @@ export const updateCurrentUser = async (req, res) => {
       user.name = name;
     }
 
-    // Handle email change
-    if (email && email !== user.email) {
-      // Check if email already exists
-      const emailExists = await UserModel.findOne({
-        email,
-        _id: { $ne: req.user.id }
-      });
+    // Public profile fields (format is validated by the schema); an empty handle removes it
+    if (handle !== undefined) {
+      const newHandle = handle ? String(handle).toLowerCase().trim() : null;
 
-      if (emailExists) {
-        return res.status(409).json({
+      if (newHandle && newHandle !== user.handle) {
+        const handleTaken = await UserModel.findOne({
+          handle: newHandle,
+          _id: { $ne: req.user.id }
+        }).withDeleted();
+
+        if (handleTaken) {
+          return res.status(409).json({
+            success: false,
+            message: "Handle already taken"
+          });
+        }
+      }
+      user.handle = newHandle || undefined;
+    }
+    if (bio !== undefined) {
+      user.bio = bio || "";
+    }
+    if (links !== undefined) {
+      if (!Array.isArray(links)) {
+        return res.status(400).json({
           success: false,
-          message: "Email already in use"
+          message: "Links must be an array of { label, url }"
         });
       }
+      user.links = links.map(({ label, url } = {}) => ({ label, url }));
+    }
 
-      user.email = email;
-      user.isEmailVerified = false; // Reset email verification on email change
-      // TODO: Send verification email
+    if (email && typeof email !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Email must be a string"
+      });
     }
 
-    // Handle password change
-    if (password) {
+    const newEmail = email ? email.toLowerCase().trim() : null;
+    const isEmailChange = !!newEmail && newEmail !== user.email;
+
+    // Credentials stay with the account owner, even for write-enabled impersonation
+    if (req.impersonator && (isEmailChange || password)) {
+      return res.status(403).json({
+        success: false,
+        message: "Email and password cannot be changed while impersonating a user"
+      });
+    }
+
+    // Email and password changes need the current password
+    if (isEmailChange || password) {
       if (!currentPassword) {
         return res.status(400).json({
           success: false,
-          message: "Current password is required to set new password"
+          message: "Current password is required to change email or password"
         });
       }
 
@@ -389,31 +558,131 @@ export const updateCurrentUser = async (req, res) => {
           message: "Current password is incorrect"
         });
       }
+    }
 
+    // Handle email change: the login email only switches once the new address is confirmed
+    let emailChangeTokens = null;
+    if (isEmailChange) {
+      // Check if email already exists (re-checked atomically on confirmation)
+      const emailExists = await UserModel.findOne({
+        email: newEmail,
+        _id: { $ne: req.user.id }
+      }).withDeleted();
+
+      if (emailExists) {
+        return res.status(409).json({
+          success: false,
+          message: "Email already in use"
+        });
+      }
+
+      const quota = await ThrottleService.consumeEmailQuota(newEmail, req.ip);
+      if (!quota.allowed) {
+        res.set("Retry-After", String(quota.retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: "Too many email requests. Please try again later.",
+          retryAfter: quota.retryAfter
+        });
+      }
+
+      emailChangeTokens = {
+        confirm: user.generateEmailChangeToken(newEmail),
+        revert: user.generateEmailRevertToken()
+      };
+    }
+
+    // Handle password change
+    if (password) {
+      const passwordErrors = PasswordPolicyService.validate(password, { name: user.name, email: user.email });
+      if (passwordErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Password does not meet the requirements",
+          errors: passwordErrors
+        });
+      }
       user.password = password;
     }
 
     await user.save();
 
-    // Generate new token if email or password changed
+    let message = "Profile updated successfully";
+    if (emailChangeTokens) {
+      const confirmUrl = `${req.protocol}://${req.get('host')}/api/auth/confirm-email-change/${emailChangeTokens.confirm}`;
+      const revertUrl = `${process.env.APP_URL || 'http://localhost:3000'}/revert-email-change/${emailChangeTokens.revert}`;
+
+      try {
+        await sendEmailChangeVerificationEmail(user.pendingEmail, user.name, confirmUrl);
+        await sendEmailChangeNoticeEmail(user.email, user.name, user.pendingEmail, revertUrl);
+      } catch (emailError) {
+        console.error("Email change emails failed:", emailError);
+
+        // Without both emails the change cannot be confirmed safely
+        user.pendingEmail = null;
+        user.emailChangeToken = undefined;
+        user.emailChangeExpire = undefined;
+        user.emailRevertAddress = undefined;
+        user.emailRevertToken = undefined;
+        user.emailRevertExpire = undefined;
+        await user.save({ validateBeforeSave: false });
+        message = "Profile updated, but the email change verification could not be sent. Please try again later.";
+      }
+
+      if (user.pendingEmail) {
+        message = `Profile updated successfully. Confirm the link sent to ${user.pendingEmail} to finish changing your email.`;
+      }
+    }
+
+    // New tokens if password changed
     let newAccessToken = null;
-    if (email || password) {
-      newAccessToken = generateAccessToken({
-        id: user._id,
-        role: user.role
+    let newRefreshToken = null;
+    if (password) {
+      // Password change logs out every device; start a fresh session for this one
+      await SessionService.revokeAllSessions(user._id, "password_change");
+      const tokens = await SessionService.createSession(user, req);
+      newAccessToken = tokens.accessToken;
+      newRefreshToken = tokens.refreshToken;
+
+      await AuditService.record(req, {
+        action: "auth.password.change",
+        target: { type: "User", id: user._id },
+        metadata: { method: "profile_update" }
+      });
+    }
+
+    // The old token pair is now rejected: a cookie-mode client gets the new one as cookies
+    if (password && (req.authViaCookie || wantsCookieAuth(req))) {
+      const csrfToken = setAuthCookies(res, { accessToken: newAccessToken, refreshToken: newRefreshToken });
+
+      return res.status(200).json({
+        success: true,
+        message,
+        authMode: "cookie",
+        csrfToken,
+        data: getSafeUserObject(user)
       });
     }
 
     res.status(200).json({
       success: true,
-      message: "Profile updated successfully",
+      message,
       newAccessToken,
+      newRefreshToken,
       data: getSafeUserObject(user)
     });
 
   } catch (err) {
     console.error("UPDATE PROFILE ERROR 👉", err);
 
+    // Only the handle can collide here (a new email is unique-checked on confirmation)
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "Handle already taken"
+      });
+    }
+
     if (err.name === "ValidationError") {
       const messages = Object.values(err.errors).map(val => val.message);
       return res.status(400).json({
@@ -431,6 +700,188 @@ export const updateCurrentUser = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Cancel a pending email change
+ * @route   DELETE /api/users/profile/email-change
+ * @access  Private
+ */
+export const cancelEmailChange = async (req, res) => {
+  try {
+    const user = await UserModel.findOneAndUpdate(
+      { _id: req.user.id, pendingEmail: { $ne: null } },
+      {
+        $set: { pendingEmail: null },
+        $unset: { emailChangeToken: 1, emailChangeExpire: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "No pending email change"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Email change cancelled",
+      data: getSafeUserObject(user)
+    });
+
+  } catch (err) {
+    console.error("CANCEL EMAIL CHANGE ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel email change",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Download everything we hold on the current user (JSON file)
+ * @route   POST /api/users/profile/export
+ * @access  Private
+ */
+export const exportMyData = async (req, res) => {
+  try {
+    const data = await AccountService.buildExport(req.user.id);
+    const date = new Date().toISOString().slice(0, 10);
+
+    await AuditService.record(req, {
+      action: "auth.account.export",
+      target: { type: "User", id: req.user._id }
+    });
+
+    res.setHeader("Content-Disposition", `attachment; filename="devmark-export-${req.user.id}-${date}.json"`);
+    res.status(200).json({
+      success: true,
+      data
+    });
+
+  } catch (err) {
+    console.error("EXPORT DATA ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to export your data",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Request deletion of the current account
+ * @route   POST /api/users/profile/deletion
+ * @body    { confirm: true, unsoldProjects: "delete" | "transfer", transferTo: email }
+ * @access  Private
+ * @rules   The account stays usable during the grace period and the request can be cancelled;
+ *          after it, personal data is erased and unsold projects are deleted or transferred
+ */
+export const requestAccountDeletion = async (req, res) => {
+  try {
+    const { confirm, unsoldProjects, transferTo } = req.body || {};
+
+    if (confirm !== true) {
+      return res.status(400).json({
+        success: false,
+        message: "Please confirm deletion by sending { confirm: true } in request body"
+      });
+    }
+
+    const user = await UserModel.findById(req.user.id);
+
+    if (user.deletion?.scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: "Account deletion is already scheduled",
+        data: { scheduledFor: user.deletion.scheduledFor }
+      });
+    }
+
+    await AccountService.scheduleDeletion(user, { unsoldProjects, transferTo });
+
+    await AuditService.record(req, {
+      action: "auth.account.deletion_request",
+      target: { type: "User", id: user._id },
+      metadata: {
+        scheduledFor: user.deletion.scheduledFor,
+        unsoldProjects: user.deletion.unsoldProjects,
+        transferTo: user.deletion.transferTo || null
+      }
+    });
+
+    try {
+      const cancelUrl = `${process.env.APP_URL || 'http://localhost:3000'}/account/cancel-deletion`;
+      await sendAccountDeletionScheduledEmail(user.email, user.name, user.deletion.scheduledFor, cancelUrl);
+    } catch (emailError) {
+      console.error("Deletion scheduled email failed:", emailError);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Your account will be deleted in ${AccountService.DELETION_GRACE_DAYS} days. You can cancel until then.`,
+      data: {
+        scheduledFor: user.deletion.scheduledFor,
+        unsoldProjects: user.deletion.unsoldProjects
+      }
+    });
+
+  } catch (err) {
+    if (err.type === "VALIDATION") {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+
+    console.error("REQUEST ACCOUNT DELETION ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to schedule account deletion",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Cancel a scheduled account deletion
+ * @route   DELETE /api/users/profile/deletion
+ * @access  Private
+ */
+export const cancelAccountDeletion = async (req, res) => {
+  try {
+    const user = await UserModel.findById(req.user.id);
+    const cancelled = await AccountService.cancelDeletion(user);
+
+    if (!cancelled) {
+      return res.status(404).json({
+        success: false,
+        message: "No account deletion is scheduled"
+      });
+    }
+
+    await AuditService.record(req, {
+      action: "auth.account.deletion_cancel",
+      target: { type: "User", id: user._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Account deletion cancelled",
+      data: getSafeUserObject(user)
+    });
+
+  } catch (err) {
+    console.error("CANCEL ACCOUNT DELETION ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel account deletion",
+      error: err.message
+    });
+  }
+};
+
 /**
  * @desc    Upload profile avatar
  * @route   POST /api/users/profile/avatar
@@ -446,15 +897,6 @@ export const uploadAvatar = async (req, res) => {
       });
     }
 
-    // Validate file type
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
-    if (!allowedTypes.includes(req.file.mimetype)) {
-      return res.status(400).json({
-        success: false,
-        message: "Only JPEG, PNG, GIF, and WebP images are allowed"
-      });
-    }
-
     // Validate file size (max 5MB)
     const maxSize = 5 * 1024 * 1024; // 5MB
     if (req.file.size > maxSize) {
@@ -464,23 +906,21 @@ export const uploadAvatar = async (req, res) => {
       });
     }
 
-    // Add avatar field to user model first (update your User.model.js)
-    // In User.model.js, add:
-    // avatar: {
-    //   type: String,
-    //   default: null
-    // }
+    // Checks the file signature, then writes square WebP sizes without EXIF data
+    const avatar = await AvatarService.process(req.user.id, req.file.buffer);
 
     const user = await UserModel.findById(req.user.id);
+    const previousAvatar = user.avatar;
+
+    user.avatar = avatar;
+    try {
+      await user.save();
+    } catch (saveError) {
+      await AvatarService.remove(avatar);
+      throw saveError;
+    }
 
-    // TODO: Delete old avatar from storage if exists
-    // if (user.avatar) {
-    //   // Delete old file logic here
-    // }
-
-    // Update user with new avatar URL/path
-    user.avatar = `/uploads/avatars/${req.file.filename}`;
-    await user.save();
+    await AvatarService.remove(previousAvatar);
 
     res.status(200).json({
       success: true,
@@ -491,6 +931,13 @@ export const uploadAvatar = async (req, res) => {
     });
 
   } catch (err) {
+    if (err.type === "VALIDATION") {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+
     console.error("UPLOAD AVATAR ERROR 👉", err);
     res.status(500).json({
       success: false,
@@ -516,15 +963,13 @@ export const deleteAvatar = async (req, res) => {
       });
     }
 
-    // TODO: Delete avatar file from storage
-    // const filePath = path.join(__dirname, '..', user.avatar);
-    // if (fs.existsSync(filePath)) {
-    //   fs.unlinkSync(filePath);
-    // }
+    const previousAvatar = user.avatar;
 
     user.avatar = null;
     await user.save();
 
+    await AvatarService.remove(previousAvatar);
+
     res.status(200).json({
       success: true,
       message: "Avatar deleted successfully"
@@ -540,10 +985,229 @@ export const deleteAvatar = async (req, res) => {
   }
 };
 
+/* =================== SESSION ROUTES =================== */
+
+/**
+ * @desc    Get active sessions of current user
+ * @route   GET /api/users/profile/sessions
+ * @access  Private
+ */
+export const getMySessions = async (req, res) => {
+  try {
+    const sessions = await SessionService.listActiveSessions(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => getSafeSessionObject(session, req.sessionId))
+    });
+
+  } catch (err) {
+    console.error("GET SESSIONS ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch sessions",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Revoke one of current user's sessions
+ * @route   DELETE /api/users/profile/sessions/:sessionId
+ * @access  Private
+ */
+export const revokeMySession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid session ID"
+      });
+    }
+
+    const session = await SessionService.revokeSession(req.params.sessionId, "user_revoked", req.user.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked successfully"
+    });
+
+  } catch (err) {
+    console.error("REVOKE SESSION ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke session",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Log out everywhere else (revoke all sessions except the current one)
+ * @route   DELETE /api/users/profile/sessions
+ * @access  Private
+ */
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const revokedCount = await SessionService.revokeAllSessions(req.user.id, "user_revoked", req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out from all other devices",
+      revokedCount
+    });
+
+  } catch (err) {
+    console.error("REVOKE OTHER SESSIONS ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke sessions",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Get active sessions of any user (session.manage)
+ * @route   GET /api/users/:id/sessions
+ * @access  Private (session.manage)
+ */
+export const getUserSessions = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID"
+      });
+    }
+
+    const targetError = await checkSessionTarget(req);
+    if (targetError) {
+      return res.status(targetError.status).json({ success: false, message: targetError.message });
+    }
+
+    const sessions = await SessionService.listActiveSessions(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => getSafeSessionObject(session))
+    });
+
+  } catch (err) {
+    console.error("GET USER SESSIONS ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch sessions",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a single session of any user (session.manage)
+ * @route   DELETE /api/users/:id/sessions/:sessionId
+ * @access  Private (session.manage)
+ */
+export const revokeUserSession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user or session ID"
+      });
+    }
+
+    const targetError = await checkSessionTarget(req);
+    if (targetError) {
+      return res.status(targetError.status).json({ success: false, message: targetError.message });
+    }
+
+    const session = await SessionService.revokeSession(req.params.sessionId, "admin_revoked", req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found"
+      });
+    }
+
+    await AuditService.record(req, {
+      action: "admin.session.revoke",
+      target: { type: "User", id: req.params.id },
+      metadata: { sessionId: session._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked successfully"
+    });
+
+  } catch (err) {
+    console.error("REVOKE USER SESSION ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke session",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * @desc    Revoke all sessions of any user (session.manage)
+ * @route   DELETE /api/users/:id/sessions
+ * @access  Private (session.manage)
+ */
+export const revokeAllUserSessions = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID"
+      });
+    }
+
+    const targetError = await checkSessionTarget(req);
+    if (targetError) {
+      return res.status(targetError.status).json({ success: false, message: targetError.message });
+    }
+
+    const revokedCount = await SessionService.revokeAllSessions(req.params.id, "admin_revoked");
+
+    await AuditService.record(req, {
+      action: "admin.session.revoke_all",
+      target: { type: "User", id: req.params.id },
+      metadata: { revokedCount }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "All sessions revoked successfully",
+      revokedCount
+    });
+
+  } catch (err) {
+    console.error("REVOKE ALL USER SESSIONS ERROR 👉", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke sessions",
+      error: err.message
+    });
+  }
+};
+
 /**
- * @desc    Get user statistics (Admin only)
+ * @desc    Get user statistics (user.read)
  * @route   GET /api/users/stats
- * @access  Private/Admin
+ * @access  Private (user.read)
  */
 export const getUserStats = async (req, res) => {
   try {
@@ -1,16 +1,93 @@
 import jwt from "jsonwebtoken";
 import UserModel from "../../infrastructure/models/User.model.js";
+import { SessionService } from "../services/session.service.js";
+import { AccessTokenService } from "../services/accessToken.service.js";
+import { PermissionService } from "../services/permission.service.js";
+import { AuditService } from "../services/audit.service.js";
+import { verifyAccessToken, verifyChallengeToken } from "../utils/token.js";
+import { ACCESS_COOKIE, readCookie, isValidCsrfRequest } from "../utils/authCookies.js";
+
+// Read the Bearer token from the Authorization header, falling back to the
+// httpOnly access cookie of the web frontend (cookie mode)
+const extractToken = (req) => {
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith("Bearer ")
+  ) {
+    return req.headers.authorization.split(" ")[1];
+  }
+
+  const cookieToken = readCookie(req, ACCESS_COOKIE);
+  if (cookieToken) {
+    req.authViaCookie = true;
+  }
+  return cookieToken;
+};
+
+// Routers where every route declares its scopes with requireScope.
+// Personal access tokens are rejected everywhere else (profile, sessions, admin ...)
+const TOKEN_AUTH_ROUTERS = ["/api/projects", "/api/marketplace", "/api/payments", "/api/reviews"];
+
+// Resolve a personal access token and attach its user and scopes to the request
+const authenticateAccessToken = async (req, token) => {
+  if (!TOKEN_AUTH_ROUTERS.includes(req.baseUrl)) {
+    throw { status: 403, message: "Personal access tokens cannot be used for this endpoint" };
+  }
+
+  const { user, scopes, tokenId } = await AccessTokenService.authenticate(token, req.ip);
+
+  if (user.isBlocked) {
+    throw { status: 403, message: "User is blocked" };
+  }
+
+  req.user = user;
+  req.sessionId = null;
+  req.tokenScopes = scopes;
+  req.accessTokenId = tokenId;
+};
+
+// Methods a read-only impersonation token may use
+const READ_ONLY_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Check the admin behind an impersonation token, enforce read-only mode and
+// audit the request once the response has been sent
+const applyImpersonation = async (req, res, decoded) => {
+  const impersonator = await UserModel.findById(decoded.imp.by);
+
+  if (
+    !impersonator ||
+    impersonator.isBlocked ||
+    !(await PermissionService.hasPermission(impersonator, "user.impersonate"))
+  ) {
+    throw { status: 401, message: "Impersonation is no longer allowed" };
+  }
+
+  if (decoded.imp.readOnly && !READ_ONLY_METHODS.includes(req.method)) {
+    throw { status: 403, message: "Impersonation is read-only" };
+  }
+
+  req.impersonator = impersonator;
+  req.impersonation = { id: decoded.jti, readOnly: decoded.imp.readOnly };
+  res.set("X-Impersonated-By", impersonator.email);
+
+  res.on("finish", () => {
+    AuditService.record(req, {
+      action: "admin.impersonation.request",
+      actor: impersonator,
+      target: { type: "User", id: decoded.id },
+      metadata: {
+        impersonationId: decoded.jti,
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+      },
+    });
+  });
+};
 
 export const protect = async (req, res, next) => {
   try {
-    let token;
-
-    if (
-      req.headers.authorization &&
-      req.headers.authorization.startsWith("Bearer ")
-    ) {
-      token = req.headers.authorization.split(" ")[1];
-    }
+    const token = extractToken(req);
 
     if (!token) {
       return res.status(401).json({
@@ -19,7 +96,28 @@ export const protect = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Browsers attach cookies to cross-site requests too, so cookie auth needs the CSRF header
+    if (req.authViaCookie && !isValidCsrfRequest(req)) {
+      return res.status(403).json({
+        success: false,
+        message: "Invalid or missing CSRF token",
+      });
+    }
+
+    if (AccessTokenService.isPersonalAccessToken(token)) {
+      try {
+        await authenticateAccessToken(req, token);
+      } catch (error) {
+        if (!error.type && !error.status) throw error;
+        return res.status(error.status || 401).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      return next();
+    }
+
+    const decoded = verifyAccessToken(token);
     const user = await UserModel.findById(decoded.id);
 
     if (!user) {
@@ -36,7 +134,37 @@ export const protect = async (req, res, next) => {
       });
     }
 
+    // Reject tokens issued before the last password change
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: "Password was changed recently, please log in again",
+      });
+    }
+
+    // Tokens bound to a session die with it (logout / revocation)
+    if (decoded.sid && !(await SessionService.isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has been revoked, please log in again",
+      });
+    }
+
+    // The session belongs to the admin, not to the impersonated user
+    if (decoded.imp) {
+      try {
+        await applyImpersonation(req, res, decoded);
+      } catch (error) {
+        if (!error.status) throw error;
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+        });
+      }
+    }
+
     req.user = user;
+    req.sessionId = decoded.imp ? null : decoded.sid || null;
     next();
   } catch (error) {
     console.error('JWT verification failed:', error);
@@ -58,42 +186,95 @@ export const protect = async (req, res, next) => {
   }
 };
 
-export const restrictTo = (...roles) => {
+// Permissions the user's role must grant (catalogue in config/permissions.js)
+export const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!(await PermissionService.hasPermission(req.user, ...permissions))) {
+        return res.status(403).json({
+          success: false,
+          message: "You do not have permission to perform this action",
+        });
+      }
+      next();
+    } catch (error) {
+      console.error("PERMISSION CHECK ERROR 👉", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to check permissions",
+      });
+    }
+  };
+};
+
+// Scopes a personal access token needs for this route.
+// Normal (JWT) logins are not scoped and always pass.
+export const requireScope = (...scopes) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (!req.tokenScopes) {
+      return next();
+    }
+
+    const missing = scopes.filter((scope) => !req.tokenScopes.includes(scope));
+    if (missing.length > 0) {
       return res.status(403).json({
         success: false,
-        message: "You do not have permission to perform this action",
+        message: `Access token is missing the required scope: ${missing.join(", ")}`,
       });
     }
     next();
   };
 };
 
+// For actions that must never be automated with a personal access token
+export const denyTokenAuth = (req, res, next) => {
+  if (req.tokenScopes) {
+    return res.status(403).json({
+      success: false,
+      message: "This action is not available with a personal access token",
+    });
+  }
+  next();
+};
+
+// For actions an admin must never take on someone else's behalf,
+// even with a write-enabled impersonation token (payments, credentials ...)
+export const denyImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      success: false,
+      message: "This action is not available while impersonating a user",
+    });
+  }
+  next();
+};
+
 // Optional authentication - allows both public and authenticated access
 export const optionalProtect = async (req, res, next) => {
   try {
-    let token;
+    const token = extractToken(req);
 
-    if (
-      req.headers.authorization &&
-      req.headers.authorization.startsWith("Bearer ")
-    ) {
-      token = req.headers.authorization.split(" ")[1];
-    }
-
-    // If no token, continue as public user
-    if (!token) {
+    // If no token (or a cookie without its CSRF header), continue as public user
+    if (!token || (req.authViaCookie && !isValidCsrfRequest(req))) {
       return next();
     }
 
     // If token exists, try to verify
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (AccessTokenService.isPersonalAccessToken(token)) {
+        await authenticateAccessToken(req, token);
+        return next();
+      }
+
+      const decoded = verifyAccessToken(token);
       const user = await UserModel.findById(decoded.id);
 
-      if (user && !user.isBlocked) {
+      const sessionActive = !decoded.sid || (await SessionService.isSessionActive(decoded.sid));
+
+      if (user && !user.isBlocked && !user.changedPasswordAfter(decoded.iat) && sessionActive) {
+        if (decoded.imp) await applyImpersonation(req, res, decoded);
         req.user = user; // Set user if valid
+        req.sessionId = decoded.imp ? null : decoded.sid || null;
       }
 
       // Continue regardless (public or authenticated)
@@ -106,4 +287,36 @@ export const optionalProtect = async (req, res, next) => {
     // Any error - continue as public
     next();
   }
-};
\ No newline at end of file
+};
+
+// Accepts a normal access token, or the 2FA enrollment challenge issued at login
+// to staff who have not set up 2FA yet (they cannot get an access token without it)
+export const protectMfaEnrollment = async (req, res, next) => {
+  const token = extractToken(req);
+  const unverified = token ? jwt.decode(token) : null;
+
+  if (unverified?.purpose !== "mfa_setup") {
+    return protect(req, res, next);
+  }
+
+  try {
+    const decoded = verifyChallengeToken(token, "mfa_setup");
+    const user = await UserModel.findById(decoded.id);
+
+    if (!user || user.isBlocked) {
+      return res.status(401).json({
+        success: false,
+        message: "Not authorized, invalid enrollment token",
+      });
+    }
+
+    req.user = user;
+    req.mfaEnrollment = true;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: "Enrollment token invalid or expired, please log in again",
+    });
+  }
+};
@@ -0,0 +1,55 @@
+import { ThrottleService } from "../services/throttle.service.js";
+
+// Block login attempts for locked / delayed accounts and IPs
+export const loginThrottle = async (req, res, next) => {
+  try {
+    const email = req.body?.email;
+    if (!email) return next();
+
+    const check = await ThrottleService.checkLogin(email, req.ip);
+
+    if (!check.allowed) {
+      res.set("Retry-After", String(check.retryAfter));
+      return res.status(check.status).json({
+        success: false,
+        message: check.message,
+        retryAfter: check.retryAfter,
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error("LOGIN THROTTLE ERROR 👉", error);
+    return res.status(500).json({
+      success: false,
+      message: "Unable to process login right now",
+    });
+  }
+};
+
+// Limit how many auth emails can be triggered per address and per IP
+export const emailThrottle = async (req, res, next) => {
+  try {
+    const email = req.body?.email;
+    if (!email) return next();
+
+    const check = await ThrottleService.consumeEmailQuota(email, req.ip);
+
+    if (!check.allowed) {
+      res.set("Retry-After", String(check.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: "Too many email requests. Please try again later.",
+        retryAfter: check.retryAfter,
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error("EMAIL THROTTLE ERROR 👉", error);
+    return res.status(500).json({
+      success: false,
+      message: "Unable to process request right now",
+    });
+  }
+};
@@ -0,0 +1,74 @@
+import path from "path";
+import { storageConfig } from "../../config/storage.js";
+import { createLocalDriver } from "../../infrastructure/storage/local.driver.js";
+
+// Always built from the local settings: files uploaded before switching to a remote
+// backend keep working
+const localStorage = createLocalDriver(storageConfig.local);
+
+// Keys are never reused, so a public file never changes
+const PUBLIC_FILE_OPTIONS = {
+  root: localStorage.rootDir,
+  dotfiles: "deny",
+  immutable: true,
+  maxAge: "365d",
+};
+
+const PRIVATE_FILE_OPTIONS = {
+  root: localStorage.rootDir,
+  dotfiles: "deny",
+  headers: { "Cache-Control": "private, no-store" },
+};
+
+/**
+ * Storage key of a request path, or null when the path cannot name a file. The same
+ * normalized key is used for the private check and for serving, so "//private/...",
+ * "./private/..." or "%2Fprivate/..." cannot slip past the signature check
+ */
+export const keyFromRequestPath = (requestPath) => {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(requestPath);
+  } catch {
+    return null;
+  }
+
+  if (decoded.includes("\0") || decoded.includes("\\")) return null;
+  if (decoded.split("/").includes("..")) return null;
+
+  const key = path.posix.normalize(decoded).replace(/^\/+/, "");
+  if (!key || key === "." || key.endsWith("/")) return null;
+
+  return key;
+};
+
+/**
+ * Serve files of the local storage driver at /uploads.
+ * Private keys need the signature of a URL from StorageService.getSignedUrl
+ */
+export const serveUploads = (req, res, next) => {
+  if (req.method !== "GET" && req.method !== "HEAD") return next();
+
+  // Images are embedded by the frontend, which runs on another origin
+  res.set("Cross-Origin-Resource-Policy", "cross-origin");
+
+  const key = keyFromRequestPath(req.path);
+  if (!key) {
+    return res.status(400).json({ success: false, message: "Invalid file path" });
+  }
+
+  // Case-insensitive: "PRIVATE/..." must not reach private files on a case-insensitive disk
+  const isPrivate = key.toLowerCase().startsWith("private/");
+
+  if (isPrivate && !localStorage.verifySignature(key, req.query.expires, req.query.signature)) {
+    return res.status(403).json({
+      success: false,
+      message: "This link is invalid or has expired",
+    });
+  }
+
+  res.sendFile(key, isPrivate ? PRIVATE_FILE_OPTIONS : PUBLIC_FILE_OPTIONS, (err) => {
+    // Missing files end up at the JSON 404 handler
+    if (err) next(err.status === 404 ? undefined : err);
+  });
+};
@@ -0,0 +1,75 @@
+// routes/adminRoutes.js
+import express from 'express';
+import {
+    createInvitation,
+    getInvitations,
+    revokeInvitation
+} from '../controllers/invitation.controller.js';
+import { getLockouts, clearLockout } from '../controllers/lockout.controller.js';
+import {
+    getRoles,
+    createRole,
+    updateRole,
+    deleteRole
+} from '../controllers/role.controller.js';
+import {
+    getSellerApplications,
+    approveSellerApplication,
+    rejectSellerApplication
+} from '../controllers/sellerApplication.controller.js';
+import {
+    getSellerVerifications,
+    getSellerVerificationDocument,
+    approveSellerVerification,
+    rejectSellerVerification,
+    requestSellerVerificationInfo
+} from '../controllers/sellerVerification.controller.js';
+import { getAuditLogs } from '../controllers/audit.controller.js';
+import { startImpersonation } from '../controllers/impersonation.controller.js';
+import { getTrash, restoreFromTrash } from '../controllers/trash.controller.js';
+import { protect, requirePermission, denyImpersonation } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// All admin routes are protected; each route checks its own permission
+router.use(protect);
+
+/* =================== INVITATIONS =================== */
+router.post('/invitations', requirePermission('user.assign_role'), createInvitation);
+router.get('/invitations', requirePermission('user.assign_role'), getInvitations);
+router.delete('/invitations/:id', requirePermission('user.assign_role'), revokeInvitation);
+
+/* =================== LOGIN LOCKOUTS =================== */
+router.get('/lockouts', requirePermission('security.manage'), getLockouts);
+router.delete('/lockouts/:id', requirePermission('security.manage'), clearLockout);
+
+/* =================== SELLER APPLICATIONS =================== */
+router.get('/seller-applications', requirePermission('seller.review'), getSellerApplications);
+router.put('/seller-applications/:id/approve', requirePermission('seller.review'), approveSellerApplication);
+router.put('/seller-applications/:id/reject', requirePermission('seller.review'), rejectSellerApplication);
+
+/* =================== SELLER IDENTITY VERIFICATIONS =================== */
+router.get('/seller-verifications', requirePermission('seller.verify'), getSellerVerifications);
+router.get('/seller-verifications/:id/document', requirePermission('seller.verify'), getSellerVerificationDocument);
+router.put('/seller-verifications/:id/approve', requirePermission('seller.verify'), approveSellerVerification);
+router.put('/seller-verifications/:id/reject', requirePermission('seller.verify'), rejectSellerVerification);
+router.put('/seller-verifications/:id/request-info', requirePermission('seller.verify'), requestSellerVerificationInfo);
+
+/* =================== ROLES & PERMISSIONS =================== */
+router.get('/roles', requirePermission('user.assign_role'), getRoles);
+router.post('/roles', requirePermission('role.manage'), createRole);
+router.put('/roles/:id', requirePermission('role.manage'), updateRole);
+router.delete('/roles/:id', requirePermission('role.manage'), deleteRole);
+
+/* =================== IMPERSONATION =================== */
+router.post('/impersonate/:userId', denyImpersonation, requirePermission('user.impersonate'), startImpersonation);
+
+/* =================== AUDIT LOG =================== */
+router.get('/audit', requirePermission('audit.read'), getAuditLogs);
+
+/* =================== TRASH (SOFT-DELETED) =================== */
+// Permission depends on the type: project.manage, review.moderate or user.delete
+router.get('/trash', getTrash);
+router.post('/trash/:type/:id/restore', restoreFromTrash);
+
+export default router;
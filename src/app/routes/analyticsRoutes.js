@@ -5,13 +5,13 @@ import {
     getUserAnalytics,
     getSalesAnalytics
 } from '../controllers/analytics.controller.js';
-import { protect, restrictTo } from '../middleware/auth.middleware.js';
+import { protect, requirePermission } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
 
-// All analytics routes are protected and restricted to Admin
+// All analytics routes are protected and need analytics.read
 router.use(protect);
-router.use(restrictTo('admin'));
+router.use(requirePermission('analytics.read'));
 
 router.get('/dashboard', getDashboardAnalytics); // Overview
 router.get('/projects', getProjectAnalytics);    // Project Stats
@@ -6,16 +6,74 @@ import {
     signup,
     refreshToken,
     verifyEmail,
-    resendVerificationEmail
+    resendVerificationEmail,
+    forgotPassword,
+    resetPassword,
+    changePassword,
+    checkPasswordStrength,
+    requestMagicLink,
+    verifyMagicLink,
+    confirmEmailChange,
+    revertEmailChange
 } from "../controllers/auth.controller.js";
-import { protect } from "../middleware/auth.middleware.js";
+import {
+    setupTwoFactor,
+    confirmTwoFactor,
+    verifyTwoFactorLogin,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+} from "../controllers/mfa.controller.js";
+import {
+    getInvitationByToken,
+    acceptInvitation
+} from "../controllers/invitation.controller.js";
+import { unlockAccount } from "../controllers/lockout.controller.js";
+import {
+    getOAuthProviders,
+    startOAuthLogin,
+    oauthCallback,
+    exchangeOAuthCode
+} from "../controllers/oauth.controller.js";
+import { protect, protectMfaEnrollment, denyImpersonation } from "../middleware/auth.middleware.js";
+import { loginThrottle, emailThrottle } from "../middleware/throttle.middleware.js";
 
 router.post("/signup", signup);
-router.post("/login", login);
+router.post("/login", loginThrottle, login);
+router.post("/unlock-account/:token", unlockAccount);
+
+// Passwordless sign-in (one email with a link and a 6-digit code)
+router.post("/magic-link", emailThrottle, requestMagicLink);
+router.post("/magic-link/verify", loginThrottle, verifyMagicLink);
 router.get("/verify-email/:token", verifyEmail); // GET for clickable link ease
-router.post("/resend-verification", resendVerificationEmail);
+router.post("/resend-verification", emailThrottle, resendVerificationEmail);
+
+// Email change (requested from PUT /api/users/profile/me)
+router.get("/confirm-email-change/:token", confirmEmailChange); // Link sent to the new address
+router.post("/revert-email-change/:token", revertEmailChange); // Link sent to the old address
+
+// Admin-issued invitations (accounts with a pre-assigned role)
+router.get("/invitations/:token", getInvitationByToken);
+router.post("/invitations/:token/accept", acceptInvitation);
+
+router.post("/forgot-password", emailThrottle, forgotPassword);
+router.post("/reset-password/:token", resetPassword);
+router.post("/change-password", protect, denyImpersonation, changePassword);
+router.post("/password-strength", checkPasswordStrength);
 
 router.post("/refresh", refreshToken);
 router.post("/logout", protect, logout);
 
+// OAuth / OIDC login
+router.get("/oauth/providers", getOAuthProviders);
+router.post("/oauth/exchange", exchangeOAuthCode);
+router.get("/oauth/:provider", startOAuthLogin);
+router.get("/oauth/:provider/callback", oauthCallback);
+
+// Two-factor authentication
+router.post("/2fa/verify", verifyTwoFactorLogin); // Login step 2 (uses mfaToken)
+router.post("/2fa/setup", protectMfaEnrollment, denyImpersonation, setupTwoFactor);
+router.post("/2fa/confirm", protectMfaEnrollment, denyImpersonation, confirmTwoFactor);
+router.post("/2fa/disable", protect, denyImpersonation, disableTwoFactor);
+router.post("/2fa/recovery-codes", protect, denyImpersonation, regenerateRecoveryCodes);
+
 export default router;
@@ -0,0 +1,10 @@
+// routes/feedRoutes.js
+import express from 'express';
+import { getFeed } from '../controllers/feed.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+router.get('/', protect, getFeed);
+
+export default router;
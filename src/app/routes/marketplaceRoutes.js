@@ -9,7 +9,7 @@ import {
     buyProject,
     searchListings
 } from '../controllers/marketplace.controller.js';
-import { protect, optionalProtect } from '../middleware/auth.middleware.js';
+import { protect, optionalProtect, requireScope, denyImpersonation } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
 
@@ -21,9 +21,9 @@ router.get('/:id', optionalProtect, getListingById);
 /* =================== AUTHENTICATED ROUTES =================== */
 router.use(protect);
 
-router.post('/', createListing);
-router.put('/:id', updateListing);
-router.delete('/:id', deleteListing);
-router.post('/:id/buy', buyProject);
+router.post('/', requireScope('marketplace:write'), createListing);
+router.put('/:id', requireScope('marketplace:write'), updateListing);
+router.delete('/:id', requireScope('marketplace:write'), deleteListing);
+router.post('/:id/buy', denyImpersonation, requireScope('orders:write'), buyProject);
 
 export default router;
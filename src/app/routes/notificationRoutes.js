@@ -4,7 +4,7 @@ import {
     markAsRead,
     sendNotification
 } from '../controllers/notification.controller.js';
-import { protect, restrictTo } from '../middleware/auth.middleware.js';
+import { protect, requirePermission } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
 
@@ -12,6 +12,6 @@ router.use(protect); // All routes require auth
 
 router.get('/', getMyNotifications);
 router.put('/:id/read', markAsRead);
-router.post('/send', restrictTo('admin'), sendNotification);
+router.post('/send', requirePermission('notification.broadcast'), sendNotification);
 
 export default router;
@@ -1,16 +1,18 @@
 import express from 'express';
 import {
+    getMyOrders,
     createOrder,
     processPayment,
     handleWebhook
 } from '../controllers/payment.controller.js';
-import { protect } from '../middleware/auth.middleware.js';
+import { protect, requireScope, denyImpersonation } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
 
 // Order & Payment Routes (Protected)
-router.post('/orders', protect, createOrder);       // Step 1: Create Order
-router.post('/pay', protect, processPayment);       // Step 2: Pay with Token
+router.get('/orders', protect, requireScope('orders:read'), getMyOrders);           // Purchases or sales history
+router.post('/orders', protect, denyImpersonation, requireScope('orders:write'), createOrder);       // Step 1: Create Order
+router.post('/pay', protect, denyImpersonation, requireScope('orders:write'), processPayment);       // Step 2: Pay with Token
 
 // Webhook (Public, but secured by signature verification logic)
 // 2Checkout sends POST requests here
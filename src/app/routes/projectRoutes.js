@@ -1,7 +1,6 @@
 // routes/projectRoutes.js
 import express from 'express';
 import multer from 'multer';
-import path from 'path';
 import {
     getAllProjects,
     getProjectById,
@@ -14,27 +13,19 @@ import {
     rejectProject,
     getProjectsByStatus
 } from '../controllers/project.controller.js';
-import { protect, restrictTo, optionalProtect } from '../middleware/auth.middleware.js';
+import {
+    getProjectRevisions,
+    getProjectRevisionDiff,
+    getProjectRevision,
+    rollbackProject
+} from '../controllers/projectRevision.controller.js';
+import { protect, requirePermission, optionalProtect, requireScope, denyTokenAuth } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
 
-// Multer configuration for project media upload
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, 'uploads/projects/');
-    },
-    filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        const ext = path.extname(file.originalname);
-        const basename = path.basename(file.originalname, ext).replace(/[^a-zA-Z0-9]/g, '-');
-        // If we don't have an ID yet (create), just use 'new' or omit
-        const prefix = req.params.id ? `project-${req.params.id}` : 'project-new';
-        cb(null, `${prefix}-${basename}-${uniqueSuffix}${ext}`);
-    }
-});
-
+// Multer keeps project media in memory; the controller stores it through StorageService
 const upload = multer({
-    storage: storage,
+    storage: multer.memoryStorage(),
     limits: { fileSize: 10 * 1024 * 1024 }, // 10MB per file
     fileFilter: (req, file, cb) => {
         const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/jpg'];
@@ -48,28 +39,37 @@ const upload = multer({
 
 /* =================== PUBLIC/OPTIONAL AUTH ROUTES =================== */
 // These routes work with or without authentication
-router.get('/', optionalProtect, getAllProjects);
-router.get('/status/:status', optionalProtect, getProjectsByStatus);
-router.get('/:id', optionalProtect, getProjectById);
+router.get('/', optionalProtect, requireScope('projects:read'), getAllProjects);
+router.get('/status/:status', optionalProtect, requireScope('projects:read'), getProjectsByStatus);
+router.get('/:id', optionalProtect, requireScope('projects:read'), getProjectById);
 
 /* =================== AUTHENTICATED ROUTES =================== */
 // All routes below require authentication
 router.use(protect);
 
 router.post('/',
+    requireScope('projects:write'),
     upload.fields([
         { name: 'thumbnail', maxCount: 1 },
         { name: 'screenshots', maxCount: 10 }
     ]),
     createProject
 );
-router.put('/:id', updateProject);
-router.delete('/:id', deleteProject);
-router.post('/:id/submit', submitProject);
-router.post('/:id/media', upload.array('media', 5), uploadProjectMedia);
+router.put('/:id', requireScope('projects:write'), updateProject);
+router.delete('/:id', requireScope('projects:write'), deleteProject);
+router.post('/:id/submit', requireScope('projects:write'), submitProject);
+router.post('/:id/media', requireScope('projects:write'), upload.array('media', 5), uploadProjectMedia);
+
+/* =================== REVISION HISTORY =================== */
+// Owner or project.moderate; /diff is declared before /:revision so it is not taken for a number
+router.get('/:id/revisions', requireScope('projects:read'), getProjectRevisions);
+router.get('/:id/revisions/diff', requireScope('projects:read'), getProjectRevisionDiff);
+router.get('/:id/revisions/:revision', requireScope('projects:read'), getProjectRevision);
+router.post('/:id/revisions/:revision/rollback', requireScope('projects:write'), rollbackProject);
 
-/* =================== ADMIN ROUTES =================== */
-router.put('/:id/approve', restrictTo('admin'), approveProject);
-router.put('/:id/reject', restrictTo('admin'), rejectProject);
+/* =================== MODERATION ROUTES =================== */
+// Moderation always needs an interactive login
+router.put('/:id/approve', denyTokenAuth, requirePermission('project.moderate'), approveProject);
+router.put('/:id/reject', denyTokenAuth, requirePermission('project.moderate'), rejectProject);
 
 export default router;
@@ -5,13 +5,13 @@ import {
     deleteReview,
     updateReview
 } from '../controllers/review.controller.js';
-import { protect, optionalProtect } from '../middleware/auth.middleware.js';
+import { protect, optionalProtect, requireScope } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
 
-router.post('/', protect, addReview);
+router.post('/', protect, requireScope('reviews:write'), addReview);
 router.get('/:projectId', optionalProtect, getProjectReviews); // Public can view
-router.put('/:id', protect, updateReview);
-router.delete('/:id', protect, deleteReview);
+router.put('/:id', protect, requireScope('reviews:write'), updateReview);
+router.delete('/:id', protect, requireScope('reviews:write'), deleteReview);
 
 export default router;
@@ -0,0 +1,21 @@
+// routes/sellerRoutes.js
+import express from 'express';
+import {
+    getSellerProfile,
+    getSellerFollowers,
+    followSeller,
+    unfollowSeller
+} from '../controllers/seller.controller.js';
+import { protect, optionalProtect } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+/* =================== PUBLIC ROUTES =================== */
+router.get('/:idOrHandle', optionalProtect, getSellerProfile);
+router.get('/:idOrHandle/followers', getSellerFollowers);
+
+/* =================== AUTHENTICATED ROUTES =================== */
+router.post('/:idOrHandle/follow', protect, followSeller);
+router.delete('/:idOrHandle/follow', protect, unfollowSeller);
+
+export default router;
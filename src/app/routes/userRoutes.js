@@ -1,7 +1,6 @@
 // routes/user.routes.js
 import express from 'express';
 import multer from 'multer';
-import path from 'path';
 import {
     getAllUsers,
     getUserById,
@@ -9,45 +8,106 @@ import {
     deleteUser,
     getCurrentUser,
     updateCurrentUser,
+    cancelEmailChange,
+    exportMyData,
+    requestAccountDeletion,
+    cancelAccountDeletion,
     uploadAvatar,
     deleteAvatar,
-    getUserStats
+    getUserStats,
+    getMySessions,
+    revokeMySession,
+    revokeOtherSessions,
+    getUserSessions,
+    revokeUserSession,
+    revokeAllUserSessions
 } from '../controllers/user.controller.js';
-import { protect, restrictTo } from '../middleware/auth.middleware.js';
+import {
+    getLinkedAccounts,
+    startOAuthLink,
+    unlinkOAuthAccount
+} from '../controllers/oauth.controller.js';
+import {
+    getMyTokens,
+    createMyToken,
+    revokeMyToken
+} from '../controllers/accessToken.controller.js';
+import { getMyFollowing } from '../controllers/seller.controller.js';
+import {
+    submitSellerApplication,
+    getMySellerApplication
+} from '../controllers/sellerApplication.controller.js';
+import {
+    submitSellerVerification,
+    getMySellerVerification
+} from '../controllers/sellerVerification.controller.js';
+import { protect, requirePermission, denyImpersonation } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
 
-// Configure multer for avatar upload
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, 'uploads/avatars/');
-    },
-    filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        const ext = path.extname(file.originalname);
-        cb(null, `avatar-${req.user.id}-${uniqueSuffix}${ext}`);
-    }
-});
-
+// Avatars are kept in memory: AvatarService validates them and writes the processed sizes
 const upload = multer({
-    storage: storage,
+    storage: multer.memoryStorage(),
     limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
 });
 
+// ID documents are checked by SellerVerificationService and stored privately
+const documentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024, files: 1 } // 10MB limit
+});
+
 // Apply protect middleware to all routes
 router.use(protect);
 
 /* =================== ADMIN ROUTES =================== */
-router.get('/', restrictTo('admin'), getAllUsers);
-router.get('/stats', restrictTo('admin'), getUserStats);
-router.get('/:id', getUserById); // Admin or self can access
-router.put('/:id', updateUser); // Admin or self can update
-router.delete('/:id', deleteUser); // Admin or self can delete
+router.get('/', requirePermission('user.read'), getAllUsers);
+router.get('/stats', requirePermission('user.read'), getUserStats);
+router.get('/:id', getUserById); // user.read or self can access
+router.put('/:id', updateUser); // Per-field permissions, or self
+router.delete('/:id', denyImpersonation, deleteUser); // user.delete or self can delete
 
 /* =================== USER PROFILE ROUTES =================== */
 router.get('/profile/me', getCurrentUser);
 router.put('/profile/me', updateCurrentUser);
+router.delete('/profile/email-change', denyImpersonation, cancelEmailChange);
 router.post('/profile/avatar', upload.single('avatar'), uploadAvatar);
 router.delete('/profile/avatar', deleteAvatar);
 
+/* =================== PERSONAL DATA & ACCOUNT DELETION =================== */
+router.post('/profile/export', denyImpersonation, exportMyData);
+router.post('/profile/deletion', denyImpersonation, requestAccountDeletion);
+router.delete('/profile/deletion', denyImpersonation, cancelAccountDeletion);
+
+/* =================== FOLLOWED SELLERS =================== */
+router.get('/profile/following', getMyFollowing);
+
+/* =================== SELLER APPLICATION =================== */
+router.post('/profile/seller-application', submitSellerApplication);
+router.get('/profile/seller-application', getMySellerApplication);
+
+/* =================== SELLER IDENTITY VERIFICATION =================== */
+router.post('/profile/verification', denyImpersonation, documentUpload.single('document'), submitSellerVerification);
+router.get('/profile/verification', getMySellerVerification);
+
+/* =================== LINKED ACCOUNTS (OAUTH) =================== */
+router.get('/profile/oauth', getLinkedAccounts);
+router.post('/profile/oauth/:provider/link', denyImpersonation, startOAuthLink);
+router.delete('/profile/oauth/:provider', denyImpersonation, unlinkOAuthAccount);
+
+/* =================== SESSION ROUTES =================== */
+router.get('/profile/sessions', getMySessions);
+router.delete('/profile/sessions', denyImpersonation, revokeOtherSessions); // Log out everywhere else
+router.delete('/profile/sessions/:sessionId', denyImpersonation, revokeMySession);
+
+/* =================== PERSONAL ACCESS TOKENS =================== */
+router.get('/profile/tokens', getMyTokens);
+router.post('/profile/tokens', denyImpersonation, createMyToken);
+router.delete('/profile/tokens/:tokenId', denyImpersonation, revokeMyToken);
+
+// Admin session management (declared after /profile/* so "profile" is never taken as :id)
+router.get('/:id/sessions', requirePermission('session.manage'), getUserSessions);
+router.delete('/:id/sessions', requirePermission('session.manage'), revokeAllUserSessions);
+router.delete('/:id/sessions/:sessionId', requirePermission('session.manage'), revokeUserSession);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import PersonalAccessTokenModel, { TOKEN_SCOPES } from '../../infrastructure/models/PersonalAccessToken.model.js';
+import UserModel from '../../infrastructure/models/User.model.js';
+import { hashToken } from '../utils/token.js';
+
+// Recognisable prefix so tokens can be told apart from JWTs (and found by secret scanners)
+const TOKEN_PREFIX = 'dmp_';
+
+const DEFAULT_EXPIRY_DAYS = 30;
+const MAX_EXPIRY_DAYS = 365;
+const MAX_ACTIVE_TOKENS = 20;
+
+// Avoid a write on every request from busy CI jobs
+const LAST_USED_PRECISION_MS = 60 * 1000;
+
+/**
+ * @desc    Personal Access Token Service Layer
+ * @responsibility Issue, list, revoke and authenticate scoped API tokens
+ */
+export const AccessTokenService = {
+
+    /**
+     * @param {String} token - Raw credential from the Authorization header
+     * @returns {Boolean} true if it looks like a personal access token (not a JWT)
+     */
+    isPersonalAccessToken: (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX),
+
+    /**
+     * Create a token for a user. The raw value is returned once and never stored.
+     * @param {String} userId
+     * @param {Object} data - { name, scopes, expiresInDays }
+     * @returns {Promise<Object>} { token, record }
+     */
+    createToken: async (userId, { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS }) => {
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            throw { type: 'VALIDATION', message: 'At least one scope is required' };
+        }
+
+        const unknownScopes = scopes.filter(scope => !TOKEN_SCOPES.includes(scope));
+        if (unknownScopes.length > 0) {
+            throw { type: 'VALIDATION', message: `Unknown scopes: ${unknownScopes.join(', ')}` };
+        }
+
+        const days = Number(expiresInDays);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+            throw { type: 'VALIDATION', message: `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days` };
+        }
+
+        const activeCount = await PersonalAccessTokenModel.countDocuments({
+            user: userId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        });
+        if (activeCount >= MAX_ACTIVE_TOKENS) {
+            throw { type: 'LIMIT_REACHED', message: `You can have at most ${MAX_ACTIVE_TOKENS} active tokens` };
+        }
+
+        const token = TOKEN_PREFIX + crypto.randomBytes(30).toString('base64url');
+
+        const record = await PersonalAccessTokenModel.create({
+            user: userId,
+            name,
+            tokenHash: hashToken(token),
+            tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+            scopes: [...new Set(scopes)],
+            expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+        });
+
+        return { token, record };
+    },
+
+    /**
+     * Tokens of a user, newest first (revoked and expired included, for the audit trail)
+     * @param {String} userId
+     * @returns {Promise<Array>}
+     */
+    listTokens: async (userId) => {
+        return PersonalAccessTokenModel.find({ user: userId }).sort({ createdAt: -1 });
+    },
+
+    /**
+     * Revoke one of the user's tokens
+     * @param {String} userId
+     * @param {String} tokenId
+     * @returns {Promise<Object|null>} Revoked token, or null if not found / already revoked
+     */
+    revokeToken: async (userId, tokenId) => {
+        return PersonalAccessTokenModel.findOneAndUpdate(
+            { _id: tokenId, user: userId, revokedAt: null },
+            { revokedAt: new Date() },
+            { new: true }
+        );
+    },
+
+    /**
+     * Resolve a raw token to its user
+     * @param {String} token - Raw personal access token
+     * @param {String} ip - Caller IP (recorded as last used)
+     * @returns {Promise<Object>} { user, scopes, tokenId }
+     */
+    authenticate: async (token, ip) => {
+        const record = await PersonalAccessTokenModel.findOne({ tokenHash: hashToken(token) });
+
+        if (!record || !record.isActive()) {
+            throw { type: 'INVALID_TOKEN', message: 'Access token is invalid, expired or revoked' };
+        }
+
+        const user = await UserModel.findById(record.user);
+        if (!user) {
+            throw { type: 'INVALID_TOKEN', message: 'User not found' };
+        }
+
+        if (!record.lastUsedAt || Date.now() - record.lastUsedAt.getTime() > LAST_USED_PRECISION_MS) {
+            await PersonalAccessTokenModel.updateOne(
+                { _id: record._id },
+                { lastUsedAt: new Date(), lastUsedIp: ip || null }
+            );
+        }
+
+        return { user, scopes: record.scopes, tokenId: record._id };
+    }
+};
@@ -0,0 +1,270 @@
+import crypto from 'crypto';
+import UserModel from '../../infrastructure/models/User.model.js';
+import ProjectModel from '../../infrastructure/models/Project.model.js';
+import OrderModel from '../../infrastructure/models/Order.model.js';
+import ReviewModel from '../../infrastructure/models/Review.model.js';
+import ProjectRevisionModel from '../../infrastructure/models/ProjectRevision.model.js';
+import PaymentModel from '../../infrastructure/models/Payment.model.js';
+import NotificationModel from '../../infrastructure/models/Notification.model.js';
+import SessionModel from '../../infrastructure/models/Session.model.js';
+import PersonalAccessTokenModel from '../../infrastructure/models/PersonalAccessToken.model.js';
+import SellerApplicationModel from '../../infrastructure/models/SellerApplication.model.js';
+import SellerVerificationModel from '../../infrastructure/models/SellerVerification.model.js';
+import AuditLogModel from '../../infrastructure/models/AuditLog.model.js';
+import FollowModel from '../../infrastructure/models/Follow.model.js';
+import FeedEventModel from '../../infrastructure/models/FeedEvent.model.js';
+import { SessionService } from './session.service.js';
+import { AuditService } from './audit.service.js';
+import { AvatarService } from './avatar.service.js';
+import { StorageService } from './storage.service.js';
+import { SellerVerificationService } from './sellerVerification.service.js';
+import { sendAccountDeletedEmail } from '../utils/email.js';
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+// Token hashes and one-time secrets never leave the server, not even in an export
+const PRIVATE_USER_FIELDS = [
+    'emailVerificationToken', 'emailVerificationExpire',
+    'resetPasswordToken', 'resetPasswordExpire',
+    'emailChangeToken', 'emailChangeExpire',
+    'emailRevertToken', 'emailRevertExpire',
+    'oauthLoginToken', 'oauthLoginExpire',
+    'magicLinkToken', 'magicLinkCode', 'magicLinkExpire', 'magicLinkAttempts'
+].map(field => `-${field}`).join(' ');
+
+// Projects that were never sold belong to the seller alone; sold ones are kept for the buyer.
+// A paid order counts as a sale even if marketplace.soldTo was never filled in
+const findUnsoldProjectIds = async (userId) => {
+    const ownProjectIds = await ProjectModel.find({ owner: userId, 'marketplace.soldTo': null }).distinct('_id');
+    const soldIds = await OrderModel.find({ project: { $in: ownProjectIds }, status: 'paid' }).distinct('project');
+    const sold = new Set(soldIds.map(id => id.toString()));
+    return ownProjectIds.filter(id => !sold.has(id.toString()));
+};
+
+/**
+ * @desc    Account Service Layer
+ * @responsibility Personal data export and account deletion (grace period, then anonymization)
+ */
+export const AccountService = {
+
+    DELETION_GRACE_DAYS,
+
+    /**
+     * Everything we hold on a user, for a data export (GDPR Art. 15 / 20)
+     * @param {String} userId
+     * @returns {Promise<Object>}
+     */
+    buildExport: async (userId) => {
+        const ownProjectIds = await ProjectModel.find({ owner: userId }).distinct('_id');
+
+        const [
+            profile, projects, purchases, sales, reviews, payments,
+            notifications, sessions, accessTokens, sellerApplications, sellerVerifications, following, activity
+        ] = await Promise.all([
+            UserModel.findById(userId).select(PRIVATE_USER_FIELDS).lean(),
+            ProjectModel.find({ owner: userId }).lean(),
+            OrderModel.find({ user: userId }).select('-paymentGatewayLogs').lean(),
+            // Sales only show what was sold and for how much, never the buyer's details
+            OrderModel.find({ project: { $in: ownProjectIds } })
+                .select('project totalAmount currency status createdAt')
+                .lean(),
+            ReviewModel.find({ reviewer: userId }).lean(),
+            PaymentModel.find({ user: userId }).select('-gatewayData').lean(),
+            NotificationModel.find({ recipient: userId }).lean(),
+            SessionModel.find({ user: userId }).select('userAgent ip createdAt lastUsedAt expiresAt revokedAt revokedReason').lean(),
+            PersonalAccessTokenModel.find({ user: userId }).lean(),
+            SellerApplicationModel.find({ user: userId }).select('-reviewedBy').lean(),
+            SellerVerificationModel.find({ user: userId }).select('-reviewedBy -document.key').lean(),
+            FollowModel.find({ follower: userId }).select('seller createdAt').lean(),
+            AuditLogModel.find({ actor: userId })
+                .select('action target ip userAgent createdAt')
+                .sort({ createdAt: -1 })
+                .lean()
+        ]);
+
+        return {
+            exportedAt: new Date(),
+            profile,
+            projects,
+            purchases,
+            sales,
+            reviews,
+            payments,
+            notifications,
+            sessions,
+            accessTokens,
+            sellerApplications,
+            sellerVerifications,
+            following,
+            activity
+        };
+    },
+
+    /**
+     * Schedule deletion after the grace period
+     * @param {Object} user - User document
+     * @param {Object} options - { unsoldProjects: 'delete' | 'transfer', transferTo: email of the new owner }
+     * @returns {Promise<Object>} User document
+     */
+    scheduleDeletion: async (user, { unsoldProjects = 'delete', transferTo } = {}) => {
+        if (!['delete', 'transfer'].includes(unsoldProjects)) {
+            throw { type: 'VALIDATION', message: 'unsoldProjects must be "delete" or "transfer"' };
+        }
+
+        let newOwner = null;
+        if (unsoldProjects === 'transfer') {
+            newOwner = transferTo
+                ? await UserModel.findOne({ email: String(transferTo).toLowerCase().trim() })
+                : null;
+
+            if (!newOwner || newOwner.isBlocked || newOwner.deletion?.scheduledFor || newOwner._id.equals(user._id)) {
+                throw { type: 'VALIDATION', message: 'Projects can only be transferred to another active account' };
+            }
+        }
+
+        user.deletion = {
+            requestedAt: new Date(),
+            scheduledFor: new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000),
+            unsoldProjects,
+            transferTo: newOwner?._id
+        };
+        await user.save({ validateBeforeSave: false });
+
+        return user;
+    },
+
+    /**
+     * Cancel a scheduled deletion
+     * @param {Object} user - User document
+     * @returns {Promise<Boolean>} false if no deletion was scheduled
+     */
+    cancelDeletion: async (user) => {
+        if (!user.deletion?.scheduledFor || user.deletion.completedAt) return false;
+
+        user.deletion = undefined;
+        await user.save({ validateBeforeSave: false });
+        return true;
+    },
+
+    /**
+     * Delete an account: erase personal data but keep an anonymous user document,
+     * so orders (accounting) and reviews keep a valid reference
+     * @param {String} userId
+     * @param {Object} options - { unsoldProjects, transferTo (user id), req (for the audit log) }
+     * @returns {Promise<Boolean>} false if the user does not exist or is already deleted
+     */
+    anonymize: async (userId, { unsoldProjects = 'delete', transferTo = null, req = null } = {}) => {
+        // Also accounts in the trash, which are anonymized once their retention period is over
+        const user = await UserModel.findById(userId).withDeleted();
+        if (!user || user.deletion?.completedAt) return false;
+
+        const { email, name, avatar } = user;
+
+        // Unsold projects: hand over to the chosen account, or delete them with their reviews.
+        // A transfer target that is gone by now falls back to deletion
+        const newOwner = unsoldProjects === 'transfer' && transferTo
+            ? await UserModel.findOne({ _id: transferTo, isBlocked: false, 'deletion.completedAt': null })
+            : null;
+
+        const projectIds = await findUnsoldProjectIds(user._id);
+        let projectsTransferred = 0;
+        let projectsDeleted = 0;
+
+        if (newOwner) {
+            const result = await ProjectModel.updateMany({ _id: { $in: projectIds } }, { owner: newOwner._id });
+            projectsTransferred = result.modifiedCount;
+        } else {
+            await StorageService.removeProjectMedia(projectIds);
+            await ReviewModel.deleteMany({ project: { $in: projectIds } });
+            await ProjectRevisionModel.deleteMany({ project: { $in: projectIds } });
+            const result = await ProjectModel.deleteMany({ _id: { $in: projectIds } });
+            projectsDeleted = result.deletedCount;
+        }
+
+        // Orders stay for accounting (amounts, status, transaction ids) without billing contact details
+        await OrderModel.updateMany(
+            { user: user._id },
+            { $unset: { billingDetails: 1 }, $set: { paymentGatewayLogs: {} } }
+        );
+
+        // Identity documents and payout details are not kept once the account is gone
+        const verificationDocumentKeys = await SellerVerificationModel.find({ user: user._id }).distinct('document.key');
+
+        await Promise.all([
+            SellerVerificationModel.deleteMany({ user: user._id }),
+            NotificationModel.deleteMany({ recipient: user._id }),
+            PersonalAccessTokenModel.deleteMany({ user: user._id }),
+            SellerApplicationModel.deleteMany({ user: user._id }),
+            FollowModel.deleteMany({ $or: [{ follower: user._id }, { seller: user._id }] }),
+            FeedEventModel.deleteMany({ actor: user._id }),
+            SessionService.revokeAllSessions(user._id, 'account_deleted')
+        ]);
+
+        // Random password (hashed by the pre-save hook) and a blocked flag: nobody can sign in again
+        Object.assign(user, {
+            name: 'Deleted user',
+            email: `deleted-${user._id}@deleted.invalid`,
+            password: crypto.randomBytes(32).toString('hex'),
+            role: 'buyer',
+            isBlocked: true,
+            pendingEmail: null,
+            emailRevertAddress: undefined,
+            oauthAccounts: [],
+            githubUsername: null,
+            avatar: null,
+            handle: undefined,
+            bio: '',
+            links: [],
+            verifiedSeller: false,
+            verifiedSellerAt: null,
+            twoFactor: { enabled: false },
+            lastLogin: undefined
+        });
+        user.set('deletion.completedAt', new Date());
+        // Soft-deleted as well, so the anonymous account stays out of listings
+        user.deletedAt = user.deletedAt || new Date();
+        await user.save({ validateBeforeSave: false });
+        await AvatarService.remove(avatar);
+        await Promise.all(verificationDocumentKeys.map(key => SellerVerificationService.removeDocument(key)));
+
+        await AuditService.record(req, {
+            action: req?.user && !req.user._id.equals(user._id) ? 'admin.user.delete' : 'auth.account.delete',
+            actor: req?.user || null,
+            target: { type: 'User', id: user._id },
+            metadata: { projectsTransferred, projectsDeleted, transferTo: newOwner?._id || null }
+        });
+
+        try {
+            await sendAccountDeletedEmail(email, name);
+        } catch (emailError) {
+            console.error("Account deleted email failed:", emailError);
+        }
+
+        return true;
+    },
+
+    /**
+     * Anonymize every account whose grace period is over (run periodically from server.js)
+     * @returns {Promise<Number>} Number of accounts deleted
+     */
+    processScheduledDeletions: async () => {
+        const due = await UserModel.find({
+            'deletion.scheduledFor': { $lte: new Date() },
+            'deletion.completedAt': null
+        }).select('deletion');
+
+        let deleted = 0;
+        for (const user of due) {
+            try {
+                const done = await AccountService.anonymize(user._id, {
+                    unsoldProjects: user.deletion.unsoldProjects,
+                    transferTo: user.deletion.transferTo
+                });
+                if (done) deleted++;
+            } catch (err) {
+                console.error("ACCOUNT DELETION ERROR 👉", user._id.toString(), err.message);
+            }
+        }
+        return deleted;
+    }
+};
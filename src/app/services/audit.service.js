@@ -0,0 +1,89 @@
+import AuditLogModel from '../../infrastructure/models/AuditLog.model.js';
+
+// Values are compared as strings so ObjectIds and Dates diff correctly
+const toComparable = (value) => (value === undefined || value === null ? null : String(value));
+
+/**
+ * @desc    Audit Service Layer
+ * @responsibility Append security relevant events to the audit log and query it
+ * @rules   Recording never throws: a failed audit write must not break the request that caused it
+ */
+export const AuditService = {
+
+    /**
+     * Append an entry
+     * @param {Object|null} req - Express request (IP, user agent and default actor); null for background jobs
+     * @param {Object} entry - { action, actor, target: { type, id }, changes, metadata }
+     * @returns {Promise<void>}
+     */
+    record: async (req, { action, actor = req?.user, target = null, changes = null, metadata = null }) => {
+        try {
+            await AuditLogModel.create({
+                action,
+                category: action.split('.')[0],
+                actor: actor?._id || null,
+                actorEmail: actor?.email || null,
+                actorRole: actor?.role || null,
+                target,
+                ip: req?.ip || null,
+                userAgent: req?.get?.('user-agent') || null,
+                changes,
+                metadata
+            });
+        } catch (err) {
+            console.error("AUDIT LOG ERROR 👉", action, err.message);
+        }
+    },
+
+    /**
+     * Field-level diff between two snapshots
+     * @param {Object} before
+     * @param {Object} after
+     * @param {Array<String>} fields - Fields to compare
+     * @returns {Object|null} { field: { from, to } }, or null when nothing changed
+     */
+    diff: (before, after, fields) => {
+        const changes = {};
+
+        for (const field of fields) {
+            if (toComparable(before[field]) !== toComparable(after[field])) {
+                changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+            }
+        }
+
+        return Object.keys(changes).length > 0 ? changes : null;
+    },
+
+    /**
+     * Filtered, paginated entries (newest first)
+     * @param {Object} filters - { action, category, actor, targetId, ip, from, to }
+     * @param {Object} pagination - { page, limit }
+     * @returns {Promise<Object>} { total, entries }
+     */
+    list: async ({ action, category, actor, targetId, ip, from, to }, { page, limit }) => {
+        const query = {};
+
+        // "auth.login" matches auth.login.success and auth.login.failure
+        if (action) query.action = { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` };
+        if (category) query.category = category;
+        if (actor) query.actor = actor;
+        if (targetId) query['target.id'] = targetId;
+        if (ip) query.ip = ip;
+        if (from || to) {
+            query.createdAt = {};
+            if (from) query.createdAt.$gte = new Date(from);
+            if (to) query.createdAt.$lte = new Date(to);
+        }
+
+        const [total, entries] = await Promise.all([
+            AuditLogModel.countDocuments(query),
+            AuditLogModel.find(query)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean()
+        ]);
+
+        return { total, entries };
+    }
+};
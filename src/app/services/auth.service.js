@@ -0,0 +1,70 @@
+import { MfaService } from './mfa.service.js';
+import { SessionService } from './session.service.js';
+import { ThrottleService } from './throttle.service.js';
+import { AuditService } from './audit.service.js';
+import { generateChallengeToken } from '../utils/token.js';
+
+/**
+ * @desc    Auth Service Layer
+ * @responsibility Final step shared by every login method (password, OAuth ...)
+ */
+export const AuthService = {
+
+    /**
+     * Finish a login for an already authenticated user: ask for the second factor
+     * when needed, otherwise start a session
+     * @param {Object} user - User document
+     * @param {Object} req - Express request (for device info)
+     * @param {String} method - First factor used ('password', 'oauth' ...), recorded in the audit log
+     * @returns {Promise<Object>} Response body for the client
+     */
+    completeLogin: async (user, req, method = 'password') => {
+        // 🔐 Second factor: the first factor alone never yields tokens when 2FA is on
+        if (user.twoFactor?.enabled) {
+            return {
+                success: true,
+                mfaRequired: true,
+                mfaToken: generateChallengeToken({ id: user._id.toString() }, 'mfa_login'),
+                message: 'Enter the code from your authenticator app'
+            };
+        }
+
+        // Roles with mandatory 2FA must enroll before getting a session
+        if (await MfaService.isRequiredFor(user)) {
+            return {
+                success: true,
+                mfaSetupRequired: true,
+                mfaToken: generateChallengeToken({ id: user._id.toString() }, 'mfa_setup', '15m'),
+                message: 'Two-factor authentication is required for your account. Set it up to continue.'
+            };
+        }
+
+        // Login complete: clear this account's failure counter
+        // (for 2FA accounts this happens only after the code is verified)
+        await ThrottleService.resetLogin(user.email);
+
+        // Start a server-side session for this device and issue its tokens
+        const { accessToken, refreshToken, session } = await SessionService.createSession(user, req);
+
+        // Update last login
+        user.updateLastLogin();
+
+        await AuditService.record(req, {
+            action: 'auth.login.success',
+            actor: user,
+            metadata: { method, sessionId: session._id }
+        });
+
+        return {
+            success: true,
+            accessToken,
+            refreshToken,
+            user: {
+                id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+            }
+        };
+    }
+};
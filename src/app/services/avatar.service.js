@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { StorageService } from './storage.service.js';
+
+const AVATAR_FOLDER = 'avatars';
+
+// Square WebP renditions stored for every avatar
+export const AVATAR_SIZES = { small: 64, medium: 256, large: 512 };
+
+// Refuse decompression bombs before decoding (a 5MB file can claim gigapixel dimensions)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// File signatures: the declared mimetype comes from the client and proves nothing
+const detectImageType = (buffer) => {
+    if (buffer.length < 12) return null;
+
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+    if (['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6))) return 'gif';
+    if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+
+    return null;
+};
+
+/**
+ * @desc    Avatar Service Layer
+ * @responsibility Validate avatar uploads, render the square WebP sizes and clean up old files
+ */
+export const AvatarService = {
+
+    /**
+     * Validate an upload and write its renditions. Metadata (EXIF, GPS, ICC) is dropped:
+     * sharp only keeps it when asked to
+     * @param {String} userId
+     * @param {Buffer} buffer - Raw upload
+     * @returns {Promise<Object>} { small, medium, large } public URLs
+     */
+    process: async (userId, buffer) => {
+        if (!detectImageType(buffer)) {
+            throw { type: 'VALIDATION', message: 'Only JPEG, PNG, GIF, and WebP images are allowed' };
+        }
+
+        let renditions;
+        try {
+            const image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, failOn: 'error' })
+                // Apply the EXIF orientation before the metadata is dropped
+                .rotate();
+
+            renditions = await Promise.all(
+                Object.entries(AVATAR_SIZES).map(async ([name, size]) => [
+                    name,
+                    await image.clone()
+                        .resize(size, size, { fit: 'cover', position: 'attention' })
+                        .webp({ quality: 82 })
+                        .toBuffer()
+                ])
+            );
+        } catch {
+            // Corrupt data behind a valid signature, or too many pixels
+            throw { type: 'VALIDATION', message: 'The image could not be processed' };
+        }
+
+        const stamp = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        const avatar = {};
+        try {
+            for (const [name, data] of renditions) {
+                const key = `${AVATAR_FOLDER}/avatar-${userId}-${stamp}-${AVATAR_SIZES[name]}.webp`;
+                const { url } = await StorageService.upload(key, data, { contentType: 'image/webp' });
+                avatar[name] = url;
+            }
+        } catch (err) {
+            await AvatarService.remove(avatar);
+            throw err;
+        }
+
+        return avatar;
+    },
+
+    /**
+     * Delete the files of an avatar (missing files are ignored)
+     * @param {Object|null} avatar - { small, medium, large } as stored on the user
+     * @returns {Promise<void>}
+     */
+    remove: async (avatar) => {
+        if (!avatar) return;
+
+        for (const name of Object.keys(AVATAR_SIZES)) {
+            await StorageService.remove(avatar[name], { folder: AVATAR_FOLDER });
+        }
+    }
+};
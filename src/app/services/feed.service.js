@@ -0,0 +1,117 @@
+import FeedEventModel from '../../infrastructure/models/FeedEvent.model.js';
+import FollowModel from '../../infrastructure/models/Follow.model.js';
+import NotificationModel from '../../infrastructure/models/Notification.model.js';
+import UserModel from '../../infrastructure/models/User.model.js';
+
+const NOTIFICATION_BATCH_SIZE = 1000;
+
+// Notification text per event type (the feed itself renders from the event data)
+const NOTIFICATION_MESSAGES = {
+    project_approved: (seller, data) => `${seller} published "${data.title}"`,
+    listing_created: (seller, data) => `${seller} put "${data.title}" up for sale`,
+    price_drop: (seller, data) => `${seller} dropped the price of "${data.title}" to ${data.price}`,
+    new_release: (seller, data) => `${seller} released version ${data.version} of "${data.title}"`
+};
+
+// What the event shows even if the project changes later
+const snapshotProject = (project) => ({
+    title: project.basicInfo?.title,
+    price: project.marketplace?.price ?? null,
+    version: project.metadata?.version
+});
+
+const notifyFollowers = async (event) => {
+    const [seller, followerIds] = await Promise.all([
+        UserModel.findById(event.actor).select('name'),
+        FollowModel.find({ seller: event.actor }).distinct('follower')
+    ]);
+    if (!seller || followerIds.length === 0) return;
+
+    const message = NOTIFICATION_MESSAGES[event.type](seller.name, event.data);
+
+    for (let i = 0; i < followerIds.length; i += NOTIFICATION_BATCH_SIZE) {
+        await NotificationModel.insertMany(
+            followerIds.slice(i, i + NOTIFICATION_BATCH_SIZE).map(recipient => ({
+                recipient,
+                type: 'project_update',
+                message,
+                relatedId: event.project
+            })),
+            { ordered: false }
+        );
+    }
+};
+
+/**
+ * @desc    Feed Service Layer
+ * @responsibility Record seller activity, notify followers and assemble personal feeds
+ */
+export const FeedService = {
+
+    /**
+     * Record a seller event and notify their followers. Never throws: the action
+     * that triggered it has already succeeded
+     * @param {String} type - project_approved | listing_created | price_drop | new_release
+     * @param {Object} project - Project document
+     * @param {Object} data - Extra event data (e.g. { previousPrice })
+     * @returns {Promise<Object|null>} The event, or null if it could not be recorded
+     */
+    record: async (type, project, data = {}) => {
+        try {
+            const event = await FeedEventModel.create({
+                type,
+                actor: project.owner,
+                project: project._id,
+                data: { ...snapshotProject(project), ...data }
+            });
+
+            await notifyFollowers(event);
+            return event;
+        } catch (err) {
+            console.error("FEED EVENT ERROR 👉", type, err.message);
+            return null;
+        }
+    },
+
+    /**
+     * Record an approval: the first one publishes the project, later ones
+     * (after the project was edited and reviewed again) are a new release
+     * @param {Object} project - Project document
+     * @returns {Promise<Object|null>}
+     */
+    recordApproval: async (project) => {
+        const published = await FeedEventModel.exists({
+            project: project._id,
+            type: { $in: ['project_approved', 'new_release'] }
+        });
+
+        return FeedService.record(published ? 'new_release' : 'project_approved', project);
+    },
+
+    /**
+     * Events from the sellers a user follows, newest first
+     * @param {String} userId
+     * @param {Object} options - { cursor: _id of the last event already seen, limit }
+     * @returns {Promise<Object>} { events, nextCursor }
+     */
+    getFeed: async (userId, { cursor = null, limit = 20 } = {}) => {
+        const sellerIds = await FollowModel.find({ follower: userId }).distinct('seller');
+        if (sellerIds.length === 0) return { events: [], nextCursor: null };
+
+        const query = { actor: { $in: sellerIds } };
+        if (cursor) query._id = { $lt: cursor };
+
+        const events = await FeedEventModel.find(query)
+            .sort({ _id: -1 })
+            .limit(limit)
+            .populate('actor', 'name handle avatar verifiedSeller')
+            .populate('project', 'basicInfo.title basicInfo.category media.thumbnail marketplace.price marketplace.isForSale metadata.version')
+            .lean();
+
+        return {
+            // Events of deleted sellers or projects are skipped, but still move the cursor
+            events: events.filter(event => event.actor && event.project),
+            nextCursor: events.length === limit ? events[events.length - 1]._id : null
+        };
+    }
+};
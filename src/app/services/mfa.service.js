@@ -0,0 +1,112 @@
+import {
+    generateTotpSecret,
+    buildOtpauthUrl,
+    verifyTotp,
+    generateRecoveryCodes
+} from '../utils/totp.js';
+import { hashToken } from '../utils/token.js';
+import { PermissionService } from './permission.service.js';
+
+// Hidden 2FA fields needed to verify or change a user's second factor
+export const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Recovery codes are compared case-insensitively and without whitespace
+const normalizeRecoveryCode = (code) => String(code).trim().toLowerCase();
+
+/**
+ * @desc    Two-Factor Authentication Service
+ * @responsibility TOTP enrollment, code verification and recovery codes
+ * @rules   Methods mutate the user document; the caller saves it
+ */
+export const MfaService = {
+
+    /**
+     * Whether the user's role makes 2FA mandatory (any role granting permissions, i.e. staff)
+     * @param {Object} user
+     * @returns {Promise<Boolean>}
+     */
+    isRequiredFor: async (user) => (await PermissionService.getPermissions(user.role)).length > 0,
+
+    /**
+     * Start enrollment: generate a pending secret
+     * @param {Object} user - User document (with TWO_FACTOR_FIELDS)
+     * @returns {Object} { secret, otpauthUrl }
+     */
+    startSetup: (user) => {
+        const secret = generateTotpSecret();
+        user.twoFactor.pendingSecret = secret;
+
+        return { secret, otpauthUrl: buildOtpauthUrl(secret, user.email) };
+    },
+
+    /**
+     * Finish enrollment with a code from the authenticator app
+     * @param {Object} user - User document (with TWO_FACTOR_FIELDS)
+     * @param {String} code
+     * @returns {Array<String>|null} Plain recovery codes (shown once), or null if the code is wrong
+     */
+    confirmSetup: (user, code) => {
+        const step = verifyTotp(user.twoFactor.pendingSecret, code);
+        if (step === null) return null;
+
+        const recoveryCodes = generateRecoveryCodes();
+
+        user.twoFactor.enabled = true;
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.lastUsedStep = step;
+        user.twoFactor.recoveryCodes = recoveryCodes.map(c => hashToken(normalizeRecoveryCode(c)));
+        user.twoFactor.enabledAt = new Date();
+
+        return recoveryCodes;
+    },
+
+    /**
+     * Verify a TOTP code or consume a recovery code
+     * @param {Object} user - User document (with TWO_FACTOR_FIELDS)
+     * @param {String} code
+     * @returns {String|null} 'totp' | 'recovery' | null
+     */
+    verifyCode: (user, code) => {
+        if (!user.twoFactor?.enabled || !code) return null;
+
+        const step = verifyTotp(user.twoFactor.secret, code, user.twoFactor.lastUsedStep ?? null);
+        if (step !== null) {
+            user.twoFactor.lastUsedStep = step;
+            return 'totp';
+        }
+
+        const codeHash = hashToken(normalizeRecoveryCode(code));
+        const index = (user.twoFactor.recoveryCodes || []).indexOf(codeHash);
+        if (index !== -1) {
+            user.twoFactor.recoveryCodes.splice(index, 1);
+            return 'recovery';
+        }
+
+        return null;
+    },
+
+    /**
+     * Replace all recovery codes
+     * @param {Object} user - User document (with TWO_FACTOR_FIELDS)
+     * @returns {Array<String>} Plain recovery codes (shown once)
+     */
+    regenerateRecoveryCodes: (user) => {
+        const recoveryCodes = generateRecoveryCodes();
+        user.twoFactor.recoveryCodes = recoveryCodes.map(c => hashToken(normalizeRecoveryCode(c)));
+        return recoveryCodes;
+    },
+
+    /**
+     * Turn 2FA off and forget the secret
+     * @param {Object} user - User document (with TWO_FACTOR_FIELDS)
+     */
+    disable: (user) => {
+        user.twoFactor.enabled = false;
+        user.twoFactor.secret = undefined;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.recoveryCodes = [];
+        user.twoFactor.lastUsedStep = undefined;
+        user.twoFactor.enabledAt = undefined;
+    }
+};
@@ -0,0 +1,341 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { oauthConfig } from '../../config/oauth.js';
+import UserModel from '../../infrastructure/models/User.model.js';
+import { generateChallengeToken, verifyChallengeToken } from '../utils/token.js';
+
+/* =================== PROVIDERS =================== */
+// Every provider exposes the same shape:
+//   isConfigured() -> Boolean
+//   getAuthorizationUrl({ state, redirectUri }) -> Promise<String>
+//   getProfile({ code, redirectUri }) -> Promise<{ providerId, email, emailVerified, name, username }>
+
+const github = {
+    name: 'GitHub',
+    isConfigured: () => !!(oauthConfig.github.clientId && oauthConfig.github.clientSecret),
+
+    getAuthorizationUrl: async ({ state, redirectUri }) => {
+        const params = new URLSearchParams({
+            client_id: oauthConfig.github.clientId,
+            redirect_uri: redirectUri,
+            scope: oauthConfig.github.scope,
+            state
+        });
+        return `${oauthConfig.github.authorizationUrl}?${params.toString()}`;
+    },
+
+    getProfile: async ({ code, redirectUri }) => {
+        const { data: tokenData } = await axios.post(oauthConfig.github.tokenUrl, {
+            client_id: oauthConfig.github.clientId,
+            client_secret: oauthConfig.github.clientSecret,
+            code,
+            redirect_uri: redirectUri
+        }, {
+            headers: { 'Accept': 'application/json' }
+        });
+
+        if (!tokenData.access_token) {
+            throw { type: 'TOKEN_EXCHANGE_FAILED', message: tokenData.error_description || 'GitHub did not return an access token' };
+        }
+
+        const headers = {
+            'Authorization': `Bearer ${tokenData.access_token}`,
+            'Accept': 'application/vnd.github+json'
+        };
+
+        const [{ data: profile }, { data: emails }] = await Promise.all([
+            axios.get(`${oauthConfig.github.apiUrl}/user`, { headers }),
+            axios.get(`${oauthConfig.github.apiUrl}/user/emails`, { headers })
+        ]);
+
+        // Prefer the primary address, but only ever trust verified ones
+        const verifiedEmail = emails.find(e => e.primary && e.verified) || emails.find(e => e.verified);
+
+        return {
+            providerId: String(profile.id),
+            email: verifiedEmail?.email || null,
+            emailVerified: !!verifiedEmail,
+            name: profile.name || profile.login,
+            username: profile.login
+        };
+    }
+};
+
+// Discovery document is fetched once per process
+let oidcDiscovery = null;
+
+const getOidcEndpoints = async () => {
+    const { issuer, authorizationUrl, tokenUrl, userInfoUrl } = oauthConfig.oidc;
+    if (authorizationUrl && tokenUrl && userInfoUrl) {
+        return { authorizationUrl, tokenUrl, userInfoUrl };
+    }
+
+    if (!oidcDiscovery) {
+        const { data } = await axios.get(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+        oidcDiscovery = data;
+    }
+
+    return {
+        authorizationUrl: authorizationUrl || oidcDiscovery.authorization_endpoint,
+        tokenUrl: tokenUrl || oidcDiscovery.token_endpoint,
+        userInfoUrl: userInfoUrl || oidcDiscovery.userinfo_endpoint
+    };
+};
+
+const oidc = {
+    name: oauthConfig.oidc.name,
+    isConfigured: () => !!(
+        oauthConfig.oidc.clientId &&
+        oauthConfig.oidc.clientSecret &&
+        (oauthConfig.oidc.issuer || (oauthConfig.oidc.authorizationUrl && oauthConfig.oidc.tokenUrl && oauthConfig.oidc.userInfoUrl))
+    ),
+
+    getAuthorizationUrl: async ({ state, redirectUri }) => {
+        const { authorizationUrl } = await getOidcEndpoints();
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: oauthConfig.oidc.clientId,
+            redirect_uri: redirectUri,
+            scope: oauthConfig.oidc.scope,
+            state
+        });
+        return `${authorizationUrl}?${params.toString()}`;
+    },
+
+    getProfile: async ({ code, redirectUri }) => {
+        const { tokenUrl, userInfoUrl } = await getOidcEndpoints();
+
+        const { data: tokenData } = await axios.post(tokenUrl, new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: redirectUri,
+            client_id: oauthConfig.oidc.clientId,
+            client_secret: oauthConfig.oidc.clientSecret
+        }).toString(), {
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/x-www-form-urlencoded'
+            }
+        });
+
+        if (!tokenData.access_token) {
+            throw { type: 'TOKEN_EXCHANGE_FAILED', message: tokenData.error_description || 'Provider did not return an access token' };
+        }
+
+        const { data: claims } = await axios.get(userInfoUrl, {
+            headers: { 'Authorization': `Bearer ${tokenData.access_token}` }
+        });
+
+        return {
+            providerId: String(claims.sub),
+            email: claims.email || null,
+            emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+            name: claims.name || claims.preferred_username || claims.email,
+            username: claims.preferred_username || null
+        };
+    }
+};
+
+const PROVIDERS = { github, oidc };
+
+// Keep profile fields in sync with what the provider says about the identity
+const applyIdentity = (user, providerName, profile) => {
+    const account = user.oauthAccounts.find(a => a.provider === providerName);
+    account.email = profile.email;
+    account.username = profile.username;
+
+    if (providerName === 'github') {
+        user.githubUsername = profile.username;
+    }
+};
+
+/**
+ * @desc    OAuth / OIDC Service Layer
+ * @responsibility Provider redirects, code exchange, and linking identities to users
+ */
+export const OAuthService = {
+
+    /**
+     * Configured providers (for the login page)
+     * @returns {Array<Object>} [{ id, name }]
+     */
+    listProviders: () => Object.entries(PROVIDERS)
+        .filter(([, provider]) => provider.isConfigured())
+        .map(([id, provider]) => ({ id, name: provider.name })),
+
+    /**
+     * @param {String} providerName
+     * @returns {Boolean}
+     */
+    isAvailable: (providerName) => !!PROVIDERS[providerName]?.isConfigured(),
+
+    /**
+     * Build the provider URL the browser is sent to
+     * @param {String} providerName
+     * @param {Object} context - { mode: 'login' | 'link', userId }
+     * @param {String} redirectUri - Our callback URL
+     * @returns {Promise<Object>} { url, nonce } - the nonce must be stored in the browser
+     *          that starts the flow and handed back to handleCallback
+     */
+    getAuthorizationUrl: async (providerName, context, redirectUri) => {
+        const nonce = crypto.randomBytes(16).toString('hex');
+
+        // Signed state ties the callback to this flow (CSRF protection)
+        const state = generateChallengeToken({
+            provider: providerName,
+            mode: context.mode,
+            userId: context.userId || null,
+            nonce
+        }, 'oauth_state', '10m');
+
+        const url = await PROVIDERS[providerName].getAuthorizationUrl({ state, redirectUri });
+        return { url, nonce };
+    },
+
+    /**
+     * Validate the callback and fetch the provider profile
+     * @param {String} providerName
+     * @param {Object} query - { code, state } from the callback
+     * @param {String} redirectUri - Same callback URL used for the redirect
+     * @param {String|null} browserNonce - Nonce stored in the browser that started the flow
+     * @returns {Promise<Object>} { context, profile }
+     */
+    handleCallback: async (providerName, { code, state }, redirectUri, browserNonce) => {
+        let context;
+        try {
+            context = verifyChallengeToken(state, 'oauth_state');
+        } catch (err) {
+            throw { type: 'INVALID_STATE', message: 'OAuth session expired, please try again' };
+        }
+
+        if (context.provider !== providerName || !code) {
+            throw { type: 'INVALID_STATE', message: 'Invalid OAuth callback' };
+        }
+
+        // A valid state proves we issued it, not that this browser started the flow: without
+        // the nonce check a victim could complete an attacker's link or login
+        if (typeof browserNonce !== 'string' || typeof context.nonce !== 'string' ||
+            browserNonce.length !== context.nonce.length ||
+            !crypto.timingSafeEqual(Buffer.from(browserNonce), Buffer.from(context.nonce))) {
+            throw { type: 'INVALID_STATE', message: 'OAuth session expired, please try again' };
+        }
+
+        try {
+            const profile = await PROVIDERS[providerName].getProfile({ code, redirectUri });
+            return { context, profile };
+        } catch (error) {
+            if (error.type) throw error;
+            console.error("OAUTH PROVIDER ERROR 👉", error.response?.data || error.message);
+            throw { type: 'PROVIDER_ERROR', message: 'Could not fetch your profile from the provider' };
+        }
+    },
+
+    /**
+     * Resolve the user for an OAuth login: linked identity, then verified email, then new account.
+     * An existing account is only linked by email when its own email is verified: otherwise whoever
+     * registered the address first (and knows its password) would keep access to the account
+     * @param {String} providerName
+     * @param {Object} profile
+     * @returns {Promise<Object>} User document
+     */
+    findOrCreateUser: async (providerName, profile) => {
+        let user = await UserModel.findOne({
+            oauthAccounts: { $elemMatch: { provider: providerName, providerId: profile.providerId } }
+        });
+
+        if (user) {
+            applyIdentity(user, providerName, profile);
+            await user.save({ validateBeforeSave: false });
+            return user;
+        }
+
+        // Linking by email is only safe when the provider has verified it
+        if (!profile.email || !profile.emailVerified) {
+            throw { type: 'EMAIL_NOT_VERIFIED', message: 'Your provider account has no verified email address' };
+        }
+
+        user = await UserModel.findOne({ email: profile.email.toLowerCase() });
+
+        if (user) {
+            if (user.oauthAccounts.some(a => a.provider === providerName)) {
+                throw { type: 'ALREADY_LINKED', message: 'This account is already linked to a different identity from this provider' };
+            }
+            if (!user.isEmailVerified) {
+                throw {
+                    type: 'LINK_REQUIRED',
+                    message: 'An account with this email already exists. Log in with your password (or reset it) and link this provider from your profile.'
+                };
+            }
+        } else {
+            user = new UserModel({
+                name: (profile.name || profile.email.split('@')[0]).slice(0, 50),
+                email: profile.email,
+                // Random password: OAuth users can set a real one via forgot-password
+                password: crypto.randomBytes(32).toString('hex'),
+                role: 'buyer',
+                isEmailVerified: true
+            });
+        }
+
+        user.oauthAccounts.push({ provider: providerName, providerId: profile.providerId });
+        applyIdentity(user, providerName, profile);
+        await user.save();
+
+        return user;
+    },
+
+    /**
+     * Link a provider identity to an existing (logged in) user
+     * @param {String} userId
+     * @param {String} providerName
+     * @param {Object} profile
+     * @returns {Promise<Object>} User document
+     */
+    linkAccount: async (userId, providerName, profile) => {
+        const owner = await UserModel.findOne({
+            oauthAccounts: { $elemMatch: { provider: providerName, providerId: profile.providerId } }
+        });
+
+        if (owner && owner._id.toString() !== userId) {
+            throw { type: 'ALREADY_LINKED', message: 'This identity is already linked to another account' };
+        }
+
+        const user = await UserModel.findById(userId);
+        if (!user) {
+            throw { type: 'INVALID_USER', message: 'User not found' };
+        }
+
+        const existing = user.oauthAccounts.find(a => a.provider === providerName);
+        if (existing && existing.providerId !== profile.providerId) {
+            throw { type: 'ALREADY_LINKED', message: 'Unlink your current account from this provider first' };
+        }
+
+        if (!existing) {
+            user.oauthAccounts.push({ provider: providerName, providerId: profile.providerId });
+        }
+        applyIdentity(user, providerName, profile);
+        await user.save({ validateBeforeSave: false });
+
+        return user;
+    },
+
+    /**
+     * Remove a provider identity from a user
+     * @param {Object} user - User document
+     * @param {String} providerName
+     * @returns {Promise<Boolean>} false if nothing was linked
+     */
+    unlinkAccount: async (user, providerName) => {
+        const before = user.oauthAccounts.length;
+        user.oauthAccounts = user.oauthAccounts.filter(a => a.provider !== providerName);
+
+        if (user.oauthAccounts.length === before) return false;
+
+        if (providerName === 'github') {
+            user.githubUsername = null;
+        }
+        await user.save({ validateBeforeSave: false });
+
+        return true;
+    }
+};
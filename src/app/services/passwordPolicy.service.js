@@ -0,0 +1,162 @@
+import fs from 'fs';
+import { passwordPolicy } from '../../config/passwordPolicy.js';
+
+const SCORE_LABELS = ['very_weak', 'weak', 'fair', 'strong', 'very_strong'];
+
+// Keyboard rows and alphabet/digit runs that add length but little entropy
+const SEQUENCES = ['abcdefghijklmnopqrstuvwxyz', '01234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+let blocklist = null;
+
+// Loaded on first use; a missing file disables screening instead of breaking every signup
+const getBlocklist = () => {
+    if (blocklist) return blocklist;
+
+    try {
+        blocklist = new Set(
+            fs.readFileSync(passwordPolicy.blocklistFile, 'utf8')
+                .split(/\r?\n/)
+                .map(line => line.trim().toLowerCase())
+                .filter(line => line && !line.startsWith('#'))
+        );
+    } catch (err) {
+        console.error("PASSWORD BLOCKLIST ERROR 👉", err.message);
+        blocklist = new Set();
+    }
+    return blocklist;
+};
+
+// Name parts and the email local part (3+ characters) that must not appear in the password
+const getPersonalTerms = ({ name, email } = {}) => {
+    const terms = [
+        ...(name ? String(name).split(/\s+/) : []),
+        ...(email ? [String(email).split('@')[0]] : [])
+    ];
+    return terms.map(term => term.toLowerCase()).filter(term => term.length >= 3);
+};
+
+const hasSequence = (password) => {
+    const lower = password.toLowerCase();
+    for (let i = 0; i + 4 <= lower.length; i++) {
+        const chunk = lower.slice(i, i + 4);
+        const reversed = [...chunk].reverse().join('');
+        if (SEQUENCES.some(sequence => sequence.includes(chunk) || sequence.includes(reversed))) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * @desc    Password Policy Service Layer
+ * @responsibility Enforce the configured password policy and estimate password strength
+ */
+export const PasswordPolicyService = {
+
+    /**
+     * Whether the password (or its word before a trailing number/symbol, e.g. "Summer2024!") is blocklisted
+     * @param {String} password
+     * @returns {Boolean}
+     */
+    isCompromised: (password) => {
+        const lower = String(password).toLowerCase();
+        const base = lower.replace(/[\d\W_]+$/, '');
+        const list = getBlocklist();
+        return list.has(lower) || (base.length > 0 && list.has(base));
+    },
+
+    /**
+     * Check a password against the policy
+     * @param {String} password
+     * @param {Object} context - { name, email } of the account
+     * @returns {Array<String>} Unmet requirements (empty when the password is acceptable)
+     */
+    validate: (password, context = {}) => {
+        const errors = [];
+        const value = String(password ?? '');
+
+        if (value.length < passwordPolicy.minLength) {
+            errors.push(`Password must be at least ${passwordPolicy.minLength} characters`);
+        }
+        if (Buffer.byteLength(value) > passwordPolicy.maxLength) {
+            errors.push(`Password must be at most ${passwordPolicy.maxLength} bytes`);
+        }
+        if (passwordPolicy.requireLowercase && !/[a-z]/.test(value)) {
+            errors.push('Password must contain a lowercase letter');
+        }
+        if (passwordPolicy.requireUppercase && !/[A-Z]/.test(value)) {
+            errors.push('Password must contain an uppercase letter');
+        }
+        if (passwordPolicy.requireNumber && !/\d/.test(value)) {
+            errors.push('Password must contain a number');
+        }
+        if (passwordPolicy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+            errors.push('Password must contain a symbol');
+        }
+        if (passwordPolicy.disallowPersonalInfo) {
+            const lower = value.toLowerCase();
+            if (getPersonalTerms(context).some(term => lower.includes(term))) {
+                errors.push('Password must not contain your name or email');
+            }
+        }
+        if (PasswordPolicyService.isCompromised(value)) {
+            errors.push('This password is too common or has appeared in a data breach');
+        }
+
+        return errors;
+    },
+
+    /**
+     * Strength estimate for the signup form (0 = very weak ... 4 = very strong)
+     * @param {String} password
+     * @param {Object} context - { name, email }
+     * @returns {Object} { score, label, valid, errors, suggestions }
+     */
+    evaluate: (password, context = {}) => {
+        const value = String(password ?? '');
+        const errors = PasswordPolicyService.validate(value, context);
+        const suggestions = [];
+
+        // Brute-force entropy from the character pool, then discount predictable patterns
+        const pool =
+            (/[a-z]/.test(value) ? 26 : 0) +
+            (/[A-Z]/.test(value) ? 26 : 0) +
+            (/\d/.test(value) ? 10 : 0) +
+            (/[^A-Za-z0-9]/.test(value) ? 33 : 0);
+        let bits = pool > 0 ? value.length * Math.log2(pool) : 0;
+
+        if (/(.)\1{2,}/.test(value)) {
+            bits *= 0.75;
+            suggestions.push('Avoid repeated characters');
+        }
+        if (hasSequence(value)) {
+            bits *= 0.75;
+            suggestions.push('Avoid sequences like "abcd" or "1234" and keyboard patterns');
+        }
+        if (value.length < 12) {
+            suggestions.push('Longer is stronger: try a passphrase of several unrelated words');
+        }
+        if (pool <= 36) {
+            suggestions.push('Mix upper and lower case letters, numbers and symbols');
+        }
+
+        let score;
+        if (PasswordPolicyService.isCompromised(value)) score = 0;
+        else if (bits < 28) score = 0;
+        else if (bits < 40) score = 1;
+        else if (bits < 60) score = 2;
+        else if (bits < 80) score = 3;
+        else score = 4;
+
+        // A password the policy rejects is never reported as strong
+        if (errors.length > 0) score = Math.min(score, 1);
+
+        return {
+            score,
+            label: SCORE_LABELS[score],
+            valid: errors.length === 0,
+            errors,
+            suggestions
+        };
+    }
+};
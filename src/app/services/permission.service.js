@@ -0,0 +1,171 @@
+import RoleModel from '../../infrastructure/models/Role.model.js';
+import UserModel from '../../infrastructure/models/User.model.js';
+import InvitationModel from '../../infrastructure/models/Invitation.model.js';
+import { PERMISSION_NAMES, SYSTEM_ROLES } from '../../config/permissions.js';
+
+// Custom roles are cached per process; edits made on another instance show up after the TTL
+const CACHE_TTL_MS = 60 * 1000;
+const roleCache = new Map();
+
+const loadCustomRole = async (roleName) => {
+    const cached = roleCache.get(roleName);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+        return cached.role;
+    }
+
+    const role = await RoleModel.findOne({ name: roleName }).lean();
+    roleCache.set(roleName, { role, loadedAt: Date.now() });
+    return role;
+};
+
+const validatePermissions = (permissions) => {
+    if (!Array.isArray(permissions)) {
+        throw { type: 'VALIDATION', message: 'Permissions must be an array' };
+    }
+
+    const unknown = permissions.filter(permission => !PERMISSION_NAMES.includes(permission));
+    if (unknown.length > 0) {
+        throw { type: 'VALIDATION', message: `Unknown permissions: ${unknown.join(', ')}` };
+    }
+
+    return [...new Set(permissions)];
+};
+
+/**
+ * @desc    Permission Service Layer
+ * @responsibility Resolve role permissions and manage custom roles
+ */
+export const PermissionService = {
+
+    /**
+     * Permissions granted by a role (built-in or custom). Unknown roles grant nothing.
+     * @param {String} roleName
+     * @returns {Promise<Array<String>>}
+     */
+    getPermissions: async (roleName) => {
+        if (SYSTEM_ROLES[roleName]) {
+            return SYSTEM_ROLES[roleName].permissions;
+        }
+
+        const role = await loadCustomRole(roleName);
+        return role ? role.permissions : [];
+    },
+
+    /**
+     * Whether the user holds every given permission
+     * @param {Object} user - User document (needs role)
+     * @param {...String} permissions
+     * @returns {Promise<Boolean>}
+     */
+    hasPermission: async (user, ...permissions) => {
+        if (!user) return false;
+        const granted = await PermissionService.getPermissions(user.role);
+        return permissions.every(permission => granted.includes(permission));
+    },
+
+    /**
+     * @param {String} roleName
+     * @returns {Promise<Boolean>}
+     */
+    roleExists: async (roleName) => {
+        if (SYSTEM_ROLES[roleName]) return true;
+        return !!(await loadCustomRole(roleName));
+    },
+
+    /**
+     * Privilege escalation guard: an actor can only hand out (or act on holders of)
+     * a role whose permissions they hold themselves
+     * @param {Object} actor - User document
+     * @param {String} roleName
+     * @returns {Promise<Boolean>}
+     */
+    isRoleWithinReach: async (actor, roleName) => {
+        const [actorPermissions, rolePermissions] = await Promise.all([
+            PermissionService.getPermissions(actor.role),
+            PermissionService.getPermissions(roleName)
+        ]);
+        return rolePermissions.every(permission => actorPermissions.includes(permission));
+    },
+
+    /**
+     * Built-in and custom roles with their permissions
+     * @returns {Promise<Array<Object>>}
+     */
+    listRoles: async () => {
+        const customRoles = await RoleModel.find().sort({ name: 1 }).lean();
+
+        return [
+            ...Object.entries(SYSTEM_ROLES).map(([name, role]) => ({
+                name,
+                description: role.description,
+                permissions: role.permissions,
+                isSystem: true
+            })),
+            ...customRoles.map(role => ({ ...role, isSystem: false }))
+        ];
+    },
+
+    /**
+     * @param {Object} data - { name, description, permissions }
+     * @param {String} actorId
+     * @returns {Promise<Object>} Role document
+     */
+    createRole: async ({ name, description, permissions = [] }, actorId) => {
+        const role = await RoleModel.create({
+            name,
+            description,
+            permissions: validatePermissions(permissions),
+            createdBy: actorId,
+            updatedBy: actorId
+        });
+
+        roleCache.delete(role.name);
+        return role;
+    },
+
+    /**
+     * Update description and/or permissions of a custom role (names are immutable)
+     * @param {String} roleId
+     * @param {Object} data - { description, permissions }
+     * @param {String} actorId
+     * @returns {Promise<Object|null>} Role document, or null if not found
+     */
+    updateRole: async (roleId, { description, permissions }, actorId) => {
+        const role = await RoleModel.findById(roleId);
+        if (!role) return null;
+
+        if (description !== undefined) role.description = description;
+        if (permissions !== undefined) role.permissions = validatePermissions(permissions);
+        role.updatedBy = actorId;
+        await role.save();
+
+        roleCache.delete(role.name);
+        return role;
+    },
+
+    /**
+     * Delete a custom role that nobody uses
+     * @param {String} roleId
+     * @returns {Promise<Object|null>} Deleted role, or null if not found
+     */
+    deleteRole: async (roleId) => {
+        const role = await RoleModel.findById(roleId);
+        if (!role) return null;
+
+        const [users, invitations] = await Promise.all([
+            UserModel.countDocuments({ role: role.name }),
+            InvitationModel.countDocuments({ role: role.name, status: 'pending' })
+        ]);
+
+        if (users > 0 || invitations > 0) {
+            throw {
+                type: 'ROLE_IN_USE',
+                message: `Role is assigned to ${users} user(s) and ${invitations} pending invitation(s)`
+            };
+        }
+
+        await role.deleteOne();
+        roleCache.delete(role.name);
+        return role;
+    }
+};
@@ -0,0 +1,197 @@
+import ProjectModel from '../../infrastructure/models/Project.model.js';
+import ProjectRevisionModel from '../../infrastructure/models/ProjectRevision.model.js';
+
+// Owner-editable content captured in every revision (and restored by a rollback).
+// Moderation fields, sales and ownership are deliberately left out
+const SNAPSHOT_FIELDS = [
+    'basicInfo.title',
+    'basicInfo.description',
+    'basicInfo.category',
+    'basicInfo.tags',
+    'platform.type',
+    'platform.urls.website',
+    'platform.urls.appStore',
+    'platform.urls.playStore',
+    'platform.urls.demo',
+    'platform.urls.github',
+    'marketplace.isForSale',
+    'marketplace.price',
+    'marketplace.contact.email',
+    'marketplace.contact.whatsapp',
+    'metadata.version',
+    'media.thumbnail',
+    'media.screenshots'
+];
+
+// Fields holding lists, compared as sets of added/removed values in diffs
+const LIST_FIELDS = ['basicInfo.tags', 'media.screenshots'];
+
+const getField = (object, field) => {
+    const value = field.split('.').reduce((current, key) => current?.[key], object);
+    if (value === undefined || value === null) return LIST_FIELDS.includes(field) ? [] : null;
+    return value;
+};
+
+const buildSnapshot = (project) => {
+    const source = typeof project.toObject === 'function' ? project.toObject() : project;
+    const snapshot = {};
+
+    for (const field of SNAPSHOT_FIELDS) {
+        const keys = field.split('.');
+        const parent = keys.slice(0, -1).reduce((current, key) => (current[key] ??= {}), snapshot);
+        const value = getField(source, field);
+        parent[keys.at(-1)] = Array.isArray(value) ? [...value] : value;
+    }
+
+    return snapshot;
+};
+
+const diffSnapshots = (from, to) => SNAPSHOT_FIELDS.flatMap((field) => {
+    const before = getField(from, field);
+    const after = getField(to, field);
+    if (JSON.stringify(before) === JSON.stringify(after)) return [];
+
+    if (LIST_FIELDS.includes(field)) {
+        return [{
+            field,
+            from: before,
+            to: after,
+            added: after.filter(value => !before.includes(value)),
+            removed: before.filter(value => !after.includes(value))
+        }];
+    }
+
+    return [{ field, from: before, to: after }];
+});
+
+/**
+ * @desc    Project Revision Service Layer
+ * @responsibility Snapshot project content after every change, diff two revisions and roll
+ *                 a project back to an earlier revision
+ */
+export const ProjectRevisionService = {
+
+    /**
+     * Store a snapshot of the project as its next revision. Never throws: the change itself
+     * is already saved and must not fail because of its history entry
+     * @param {Object} project - Project document (after the change was saved)
+     * @param {Object} options - { event, author, restoredFrom }
+     * @returns {Promise<Object|null>} The revision
+     */
+    record: async (project, { event, author = null, restoredFrom = null }) => {
+        try {
+            const snapshot = buildSnapshot(project);
+
+            // Atomic counter: concurrent changes still get distinct, sequential numbers
+            const { metadata } = await ProjectModel.findOneAndUpdate(
+                { _id: project._id },
+                { $inc: { 'metadata.revision': 1 } },
+                { new: true, timestamps: false }
+            ).select('metadata.revision').lean();
+
+            const previous = await ProjectRevisionModel.findOne({ project: project._id, revision: metadata.revision - 1 })
+                .select('snapshot')
+                .lean();
+
+            return await ProjectRevisionModel.create({
+                project: project._id,
+                revision: metadata.revision,
+                event,
+                restoredFrom,
+                author,
+                status: project.metadata?.status,
+                snapshot,
+                changedFields: previous ? diffSnapshots(previous.snapshot, snapshot).map(change => change.field) : []
+            });
+        } catch (err) {
+            console.error("PROJECT REVISION ERROR 👉", project._id?.toString(), err.message);
+            return null;
+        }
+    },
+
+    /**
+     * Revision list of a project, newest first (without the snapshots)
+     * @param {String} projectId
+     * @param {Object} pagination - { page, limit }
+     * @returns {Promise<Object>} { revisions, total, pageNumber, pageSize }
+     */
+    list: async (projectId, { page = 1, limit = 20 } = {}) => {
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const [total, revisions] = await Promise.all([
+            ProjectRevisionModel.countDocuments({ project: projectId }),
+            ProjectRevisionModel.find({ project: projectId })
+                .select('-snapshot')
+                .populate('author', 'name email')
+                .sort({ revision: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize)
+                .lean()
+        ]);
+
+        return { revisions, total, pageNumber, pageSize };
+    },
+
+    /**
+     * A single revision with its snapshot
+     * @param {String} projectId
+     * @param {Number} revision
+     * @returns {Promise<Object|null>}
+     */
+    get: (projectId, revision) => ProjectRevisionModel.findOne({ project: projectId, revision })
+        .populate('author', 'name email')
+        .lean(),
+
+    /**
+     * Field-level differences between two revisions of a project
+     * @param {String} projectId
+     * @param {Number} from
+     * @param {Number} to
+     * @returns {Promise<Object>} { from, to, changes: [{ field, from, to, added?, removed? }] }
+     */
+    diff: async (projectId, from, to) => {
+        const revisions = await ProjectRevisionModel.find({ project: projectId, revision: { $in: [from, to] } })
+            .select('revision event status snapshot createdAt')
+            .lean();
+
+        const older = revisions.find(revision => revision.revision === from);
+        const newer = revisions.find(revision => revision.revision === to);
+        if (!older || !newer) {
+            throw { type: 'NOT_FOUND', message: `Revision ${!older ? from : to} not found` };
+        }
+
+        const summary = ({ revision, event, status, createdAt }) => ({ revision, event, status, createdAt });
+
+        return {
+            from: summary(older),
+            to: summary(newer),
+            changes: diffSnapshots(older.snapshot, newer.snapshot)
+        };
+    },
+
+    /**
+     * Copy the content of an earlier revision onto the project (the caller saves it and
+     * records the rollback revision)
+     * @param {Object} project - Project document
+     * @param {Number} revision
+     * @returns {Promise<Array>} Fields that changed
+     */
+    applyRevision: async (project, revision) => {
+        const target = await ProjectRevisionModel.findOne({ project: project._id, revision }).select('snapshot').lean();
+        if (!target) {
+            throw { type: 'NOT_FOUND', message: `Revision ${revision} not found` };
+        }
+
+        const changes = diffSnapshots(buildSnapshot(project), target.snapshot);
+        if (changes.length === 0) {
+            throw { type: 'VALIDATION', message: `The project already matches revision ${revision}` };
+        }
+
+        for (const { field, to } of changes) {
+            project.set(field, to);
+        }
+
+        return changes.map(change => change.field);
+    }
+};
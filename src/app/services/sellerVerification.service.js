@@ -0,0 +1,76 @@
+import { StorageService } from './storage.service.js';
+
+// ID documents are never public: keys under "private/" are only readable through signed URLs
+const DOCUMENT_FOLDER = 'private/verifications';
+
+// Listings priced above this need a verified seller; unset or 0 turns the requirement off
+const VERIFIED_SELLER_PRICE_THRESHOLD = parseFloat(process.env.VERIFIED_SELLER_PRICE_THRESHOLD) || 0;
+
+// File signatures: the declared mimetype comes from the client and proves nothing
+const DOCUMENT_TYPES = [
+    { contentType: 'application/pdf', extension: '.pdf', matches: (buffer) => buffer.toString('latin1', 0, 5) === '%PDF-' },
+    { contentType: 'image/jpeg', extension: '.jpg', matches: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+    { contentType: 'image/png', extension: '.png', matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) }
+];
+
+/**
+ * @desc    Seller Verification Service Layer
+ * @responsibility Store ID documents privately, hand out short-lived links to reviewers and
+ *                 decide which listing prices need a verified seller
+ */
+export const SellerVerificationService = {
+
+    /**
+     * Validate and store an uploaded ID document
+     * @param {String} userId
+     * @param {Object} file - Multer file (memory storage)
+     * @returns {Promise<Object>} { key, contentType }
+     */
+    storeDocument: async (userId, file) => {
+        const type = file?.buffer?.length >= 8 && DOCUMENT_TYPES.find(candidate => candidate.matches(file.buffer));
+        if (!type) {
+            throw { type: 'VALIDATION', message: 'The ID document must be a PDF, JPEG or PNG file' };
+        }
+
+        // The extension comes from the detected type, not from the client's file name
+        const key = StorageService.buildKey(DOCUMENT_FOLDER, `verification-${userId}`) + type.extension;
+        await StorageService.upload(key, file.buffer, { contentType: type.contentType });
+
+        return { key, contentType: type.contentType };
+    },
+
+    /**
+     * Delete a stored ID document (never throws)
+     * @param {String} key
+     * @returns {Promise<void>}
+     */
+    removeDocument: (key) => StorageService.remove(key, { folder: DOCUMENT_FOLDER }),
+
+    /**
+     * Short-lived link to an ID document for a reviewer
+     * @param {String} key
+     * @returns {Promise<Object>} { url, expiresIn }
+     */
+    getDocumentUrl: async (key) => {
+        const expiresIn = 5 * 60;
+        return { url: await StorageService.getSignedUrl(key, expiresIn), expiresIn };
+    },
+
+    /**
+     * Whether a user may list a project at this price
+     * @param {Object} user - Must include verifiedSeller
+     * @param {Number} price
+     * @returns {Boolean}
+     */
+    canListAtPrice: (user, price) => {
+        if (!VERIFIED_SELLER_PRICE_THRESHOLD || user.verifiedSeller) return true;
+        return !(Number(price) > VERIFIED_SELLER_PRICE_THRESHOLD);
+    },
+
+    /**
+     * Message for a listing refused by canListAtPrice
+     * @returns {String}
+     */
+    priceRequiresVerificationMessage: () =>
+        `Verify your identity to list projects priced above ${VERIFIED_SELLER_PRICE_THRESHOLD}`
+};
@@ -0,0 +1,194 @@
+import jwt from 'jsonwebtoken';
+import SessionModel from '../../infrastructure/models/Session.model.js';
+import UserModel from '../../infrastructure/models/User.model.js';
+import {
+    generateAccessToken,
+    generateRefreshToken,
+    hashToken
+} from '../utils/token.js';
+
+// Device info stored on the session
+const getDeviceInfo = (req) => ({
+    userAgent: req.get('user-agent') || null,
+    ip: req.ip || null
+});
+
+// Expiry of a freshly signed refresh token as a Date
+const getTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+/**
+ * @desc    Session Service Layer for refresh token sessions
+ * @responsibility Create, rotate and revoke server-side sessions
+ */
+export const SessionService = {
+
+    /**
+     * Start a new session for a user and issue its token pair
+     * @param {Object} user - User document
+     * @param {Object} req - Express request (for device info)
+     * @returns {Promise<Object>} { accessToken, refreshToken, session }
+     */
+    createSession: async (user, req) => {
+        const session = new SessionModel({
+            user: user._id,
+            ...getDeviceInfo(req)
+        });
+
+        const refreshToken = generateRefreshToken({
+            id: user._id.toString(),
+            sid: session._id.toString()
+        });
+
+        session.refreshTokenHash = hashToken(refreshToken);
+        session.expiresAt = getTokenExpiry(refreshToken);
+        await session.save();
+
+        const accessToken = generateAccessToken({
+            id: user._id.toString(),
+            role: user.role,
+            sid: session._id.toString()
+        });
+
+        return { accessToken, refreshToken, session };
+    },
+
+    /**
+     * Exchange a refresh token for a new pair (rotation with reuse detection)
+     * @param {String} refreshToken
+     * @param {Object} req - Express request (for device info)
+     * @returns {Promise<Object>} { accessToken, refreshToken, user }
+     */
+    rotateSession: async (refreshToken, req) => {
+        let decoded;
+        try {
+            decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+        } catch (err) {
+            throw { type: 'INVALID_TOKEN', message: 'Invalid refresh token' };
+        }
+
+        // Tokens issued before sessions existed cannot be rotated
+        if (!decoded.sid) {
+            throw { type: 'INVALID_TOKEN', message: 'Session expired, please log in again' };
+        }
+
+        const session = await SessionModel.findById(decoded.sid).select('+refreshTokenHash');
+        if (!session || session.user.toString() !== decoded.id || !session.isActive()) {
+            throw { type: 'SESSION_REVOKED', message: 'Session expired or revoked, please log in again' };
+        }
+
+        const presentedHash = hashToken(refreshToken);
+
+        // A validly signed token that is not the latest one was already rotated: treat as theft
+        if (session.refreshTokenHash !== presentedHash) {
+            await SessionService.revokeSession(session._id, 'reuse_detected');
+            throw { type: 'REUSE_DETECTED', message: 'Refresh token reuse detected, session revoked' };
+        }
+
+        const user = await UserModel.findById(decoded.id);
+        if (!user || user.isBlocked) {
+            throw { type: 'INVALID_USER', message: 'Invalid user' };
+        }
+
+        // Refresh tokens issued before a password change are no longer valid
+        if (user.changedPasswordAfter(decoded.iat)) {
+            await SessionService.revokeSession(session._id, 'password_change');
+            throw { type: 'SESSION_REVOKED', message: 'Password was changed, please log in again' };
+        }
+
+        const newRefreshToken = generateRefreshToken({
+            id: user._id.toString(),
+            sid: session._id.toString()
+        });
+
+        // Conditional update so two concurrent refreshes with the same token cannot both win
+        const rotated = await SessionModel.findOneAndUpdate(
+            { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+            {
+                refreshTokenHash: hashToken(newRefreshToken),
+                expiresAt: getTokenExpiry(newRefreshToken),
+                lastUsedAt: new Date(),
+                ...getDeviceInfo(req)
+            },
+            { new: true }
+        );
+
+        if (!rotated) {
+            await SessionService.revokeSession(session._id, 'reuse_detected');
+            throw { type: 'REUSE_DETECTED', message: 'Refresh token reuse detected, session revoked' };
+        }
+
+        const accessToken = generateAccessToken({
+            id: user._id.toString(),
+            role: user.role,
+            sid: session._id.toString()
+        });
+
+        return { accessToken, refreshToken: newRefreshToken, user };
+    },
+
+    /**
+     * Check whether a session is still usable
+     * @param {String} sessionId
+     * @returns {Promise<Boolean>}
+     */
+    isSessionActive: async (sessionId) => {
+        const session = await SessionModel.findById(sessionId);
+        return !!session && session.isActive();
+    },
+
+    /**
+     * List the active sessions of a user (most recently used first)
+     * @param {String} userId
+     * @returns {Promise<Array>}
+     */
+    listActiveSessions: async (userId) => {
+        return SessionModel.find({
+            user: userId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        })
+            .sort({ lastUsedAt: -1 })
+            .lean();
+    },
+
+    /**
+     * Revoke a single session
+     * @param {String} sessionId
+     * @param {String} reason
+     * @param {String} [userId] - Only revoke if the session belongs to this user
+     * @returns {Promise<Object|null>} Revoked session, or null if not found / already revoked
+     */
+    revokeSession: async (sessionId, reason, userId = null) => {
+        const filter = { _id: sessionId, revokedAt: null };
+        if (userId) {
+            filter.user = userId;
+        }
+
+        return SessionModel.findOneAndUpdate(
+            filter,
+            { revokedAt: new Date(), revokedReason: reason },
+            { new: true }
+        );
+    },
+
+    /**
+     * Revoke every active session of a user
+     * @param {String} userId
+     * @param {String} reason
+     * @param {String} [exceptSessionId] - Session to keep (e.g. the current device)
+     * @returns {Promise<Number>} Number of sessions revoked
+     */
+    revokeAllSessions: async (userId, reason, exceptSessionId = null) => {
+        const filter = { user: userId, revokedAt: null };
+        if (exceptSessionId) {
+            filter._id = { $ne: exceptSessionId };
+        }
+
+        const result = await SessionModel.updateMany(filter, {
+            revokedAt: new Date(),
+            revokedReason: reason
+        });
+
+        return result.modifiedCount;
+    }
+};
@@ -0,0 +1,103 @@
+import path from 'path';
+import crypto from 'crypto';
+import { storageConfig } from '../../config/storage.js';
+import ProjectModel from '../../infrastructure/models/Project.model.js';
+import { createLocalDriver } from '../../infrastructure/storage/local.driver.js';
+import { createS3Driver } from '../../infrastructure/storage/s3.driver.js';
+import { createCloudinaryDriver } from '../../infrastructure/storage/cloudinary.driver.js';
+
+const DRIVER_FACTORIES = {
+    local: createLocalDriver,
+    s3: createS3Driver,
+    cloudinary: createCloudinaryDriver
+};
+
+const PRIVATE_PREFIX = 'private/';
+
+let driver = null;
+
+// Created on first use, so a misconfigured remote backend fails the upload, not the boot
+const getDriver = () => {
+    if (!driver) {
+        driver = DRIVER_FACTORIES[storageConfig.driver](storageConfig[storageConfig.driver]);
+    }
+    return driver;
+};
+
+/**
+ * @desc    Storage Service Layer
+ * @responsibility Store and delete media through the configured backend and hand out
+ *                 public or signed URLs
+ */
+export const StorageService = {
+
+    /**
+     * Unique key for an uploaded file, keeping a cleaned-up version of its original name
+     * @param {String} folder - e.g. "projects"
+     * @param {String} prefix - e.g. "project-<id>"
+     * @param {String} originalName - Name the client sent
+     * @returns {String}
+     */
+    buildKey: (folder, prefix, originalName = '') => {
+        const extension = path.extname(originalName).toLowerCase().replace(/[^a-z0-9.]/g, '');
+        const basename = path.basename(originalName, path.extname(originalName)).replace(/[^a-zA-Z0-9]/g, '-').slice(0, 60);
+        const uniqueSuffix = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+        return `${folder}/${[prefix, basename, uniqueSuffix].filter(Boolean).join('-')}${extension}`;
+    },
+
+    /**
+     * Store a file
+     * @param {String} key - Storage key; keys under "private/" are never public
+     * @param {Buffer} body
+     * @param {Object} options - { contentType }
+     * @returns {Promise<Object>} { key, url } (url is null for private files: use getSignedUrl)
+     */
+    upload: async (key, body, { contentType } = {}) => {
+        const isPrivate = key.startsWith(PRIVATE_PREFIX);
+        await getDriver().put(key, body, { contentType, isPrivate });
+
+        return { key, url: isPrivate ? null : getDriver().getPublicUrl(key) };
+    },
+
+    /**
+     * Delete a stored file by the URL (or key) saved on a document. URLs that do not belong
+     * to the storage backend, e.g. external links, are ignored. Never throws: cleanup must not
+     * fail the request that triggered it
+     * @param {String} urlOrKey
+     * @param {Object} options - { folder: only delete keys inside this folder }
+     * @returns {Promise<void>}
+     */
+    remove: async (urlOrKey, { folder } = {}) => {
+        if (!urlOrKey) return;
+
+        try {
+            const key = /^(https?:)?\//.test(urlOrKey) ? getDriver().keyFromUrl(urlOrKey) : urlOrKey;
+            if (!key || (folder && !key.startsWith(`${folder}/`))) return;
+
+            await getDriver().remove(key);
+        } catch (err) {
+            console.error("STORAGE DELETE ERROR 👉", urlOrKey, err.message);
+        }
+    },
+
+    /**
+     * Delete the thumbnails and screenshots of projects that are being hard-deleted
+     * @param {Array<ObjectId>} projectIds
+     * @returns {Promise<void>}
+     */
+    removeProjectMedia: async (projectIds) => {
+        const projects = await ProjectModel.find({ _id: { $in: projectIds } }).withDeleted().select('media').lean();
+        const urls = projects.flatMap(project => [project.media?.thumbnail, ...(project.media?.screenshots || [])]);
+
+        await Promise.all(urls.map(url => StorageService.remove(url, { folder: 'projects' })));
+    },
+
+    /**
+     * Time-limited URL for a private file (deliverables)
+     * @param {String} key
+     * @param {Number} expiresIn - Seconds
+     * @returns {Promise<String>}
+     */
+    getSignedUrl: (key, expiresIn = storageConfig.signedUrlTtl) => getDriver().getSignedUrl(key, expiresIn)
+};
@@ -0,0 +1,247 @@
+import crypto from 'crypto';
+import AuthThrottleModel from '../../infrastructure/models/AuthThrottle.model.js';
+import { hashToken } from '../utils/token.js';
+import { sendAccountLockedEmail } from '../utils/email.js';
+
+const MINUTE = 60 * 1000;
+const MAX_BACKOFF_MS = 15 * MINUTE;
+
+// Limits per scope (overridable from .env)
+const LIMITS = {
+    login_account: {
+        windowMs: (parseInt(process.env.LOGIN_WINDOW_MINUTES) || 15) * MINUTE,
+        freeAttempts: 3,
+        maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 10,
+        lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30) * MINUTE
+    },
+    login_ip: {
+        windowMs: (parseInt(process.env.LOGIN_WINDOW_MINUTES) || 15) * MINUTE,
+        freeAttempts: 10,
+        maxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 50,
+        lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30) * MINUTE
+    },
+    email_account: {
+        windowMs: 60 * MINUTE,
+        max: parseInt(process.env.EMAIL_MAX_PER_ADDRESS) || 3
+    },
+    email_ip: {
+        windowMs: 60 * MINUTE,
+        max: parseInt(process.env.EMAIL_MAX_PER_IP) || 20
+    }
+};
+
+const normalizeEmail = (email) => String(email || '').toLowerCase().trim();
+const buildKey = (scope, identifier) => `${scope}:${identifier}`;
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+// Exponential delay once the free attempts are used up: 1s, 2s, 4s ... capped at 15 min
+const getBackoffMs = (count, freeAttempts) => {
+    if (count <= freeAttempts) return 0;
+    return Math.min(2 ** (count - freeAttempts - 1) * 1000, MAX_BACKOFF_MS);
+};
+
+// Increment a counter, starting a fresh window if the previous one has passed
+const bumpCounter = async (scope, identifier) => {
+    const { windowMs } = LIMITS[scope];
+    const key = buildKey(scope, identifier);
+    const now = Date.now();
+
+    await AuthThrottleModel.updateOne(
+        { key, windowStart: { $lt: new Date(now - windowMs) } },
+        { $set: { count: 0, windowStart: new Date(now) } }
+    );
+
+    return AuthThrottleModel.findOneAndUpdate(
+        { key },
+        {
+            $inc: { count: 1 },
+            $setOnInsert: { scope, identifier, windowStart: new Date(now) },
+            $max: { expiresAt: new Date(now + windowMs) }
+        },
+        { upsert: true, new: true }
+    );
+};
+
+/**
+ * @desc    Brute-force & email-bombing protection for auth endpoints
+ * @responsibility Per-account and per-IP failure counters, progressive delays,
+ *                 temporary lockouts with unlock tokens, and email send quotas
+ */
+export const ThrottleService = {
+
+    /**
+     * Check whether a login attempt may proceed
+     * @param {String} email
+     * @param {String} ip
+     * @returns {Promise<Object>} { allowed } or { allowed: false, status, message, retryAfter }
+     */
+    checkLogin: async (email, ip) => {
+        const records = await AuthThrottleModel.find({
+            key: { $in: [buildKey('login_account', normalizeEmail(email)), buildKey('login_ip', ip)] }
+        }).lean();
+
+        const now = Date.now();
+        for (const record of records) {
+            if (record.lockedUntil && record.lockedUntil > now) {
+                return record.scope === 'login_account'
+                    ? {
+                        allowed: false,
+                        status: 423,
+                        message: 'Account temporarily locked due to too many failed login attempts. Check your email to unlock it or try again later.',
+                        retryAfter: secondsUntil(record.lockedUntil)
+                    }
+                    : {
+                        allowed: false,
+                        status: 429,
+                        message: 'Too many failed login attempts from this IP. Please try again later.',
+                        retryAfter: secondsUntil(record.lockedUntil)
+                    };
+            }
+
+            if (record.blockedUntil && record.blockedUntil > now) {
+                const retryAfter = secondsUntil(record.blockedUntil);
+                return {
+                    allowed: false,
+                    status: 429,
+                    message: `Too many failed attempts. Please wait ${retryAfter} seconds before trying again.`,
+                    retryAfter
+                };
+            }
+        }
+
+        return { allowed: true };
+    },
+
+    /**
+     * Record a failed login (wrong password, unknown email or wrong 2FA code)
+     * @param {String} email
+     * @param {String} ip
+     * @returns {Promise<Object>} { accountLocked, unlockToken, lockedUntil } - unlockToken only when the lock was just applied
+     */
+    recordLoginFailure: async (email, ip) => {
+        const result = { accountLocked: false, unlockToken: null, lockedUntil: null };
+        const now = Date.now();
+
+        for (const [scope, identifier] of [['login_account', normalizeEmail(email)], ['login_ip', ip]]) {
+            const config = LIMITS[scope];
+            const record = await bumpCounter(scope, identifier);
+            const update = {};
+
+            const delay = getBackoffMs(record.count, config.freeAttempts);
+            if (delay) {
+                update.blockedUntil = new Date(now + delay);
+            }
+
+            const alreadyLocked = record.lockedUntil && record.lockedUntil > now;
+            if (record.count >= config.maxFailures && !alreadyLocked) {
+                update.lockedUntil = new Date(now + config.lockoutMs);
+                update.expiresAt = new Date(Math.max(record.expiresAt.getTime(), now + config.lockoutMs));
+
+                if (scope === 'login_account') {
+                    result.accountLocked = true;
+                    result.unlockToken = crypto.randomBytes(32).toString('hex');
+                    result.lockedUntil = update.lockedUntil;
+                    update.unlockTokenHash = hashToken(result.unlockToken);
+                }
+            }
+
+            if (Object.keys(update).length > 0) {
+                await AuthThrottleModel.updateOne({ _id: record._id }, { $set: update });
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Record a failed login and email an unlock link if it just locked a real account
+     * @param {String} email - Email the attempt was made for
+     * @param {String} ip
+     * @param {Object} [user] - Matching user document, if the account exists
+     * @returns {Promise<Object>} Result of recordLoginFailure
+     */
+    handleFailedLogin: async (email, ip, user = null) => {
+        const result = await ThrottleService.recordLoginFailure(email, ip);
+
+        if (result.accountLocked && user) {
+            const unlockUrl = `${process.env.APP_URL || 'http://localhost:3000'}/unlock-account/${result.unlockToken}`;
+            const lockoutMinutes = Math.round(LIMITS.login_account.lockoutMs / MINUTE);
+
+            try {
+                await sendAccountLockedEmail(user.email, user.name, unlockUrl, lockoutMinutes);
+            } catch (emailError) {
+                // Lock still applies; it expires on its own
+                console.error("Account locked email failed:", emailError);
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Clear the per-account counter after a successful login
+     * (the IP counter is kept so one valid account cannot reset an attacker's budget)
+     * @param {String} email
+     */
+    resetLogin: async (email) => {
+        await AuthThrottleModel.deleteOne({ key: buildKey('login_account', normalizeEmail(email)) });
+    },
+
+    /**
+     * Count an outgoing auth email (verification, password reset ...) against its quotas
+     * @param {String} email
+     * @param {String} ip
+     * @returns {Promise<Object>} { allowed } or { allowed: false, retryAfter }
+     */
+    consumeEmailQuota: async (email, ip) => {
+        const checks = [['email_account', normalizeEmail(email)], ['email_ip', ip]];
+
+        for (const [scope, identifier] of checks) {
+            const record = await bumpCounter(scope, identifier);
+            if (record.count > LIMITS[scope].max) {
+                const windowEnd = record.windowStart.getTime() + LIMITS[scope].windowMs;
+                return { allowed: false, retryAfter: secondsUntil(windowEnd) };
+            }
+        }
+
+        return { allowed: true };
+    },
+
+    /**
+     * Lift an account lockout with the token from the unlock email
+     * @param {String} token
+     * @returns {Promise<Object|null>} Removed throttle record, or null if the token is invalid
+     */
+    unlockWithToken: async (token) => {
+        return AuthThrottleModel.findOneAndDelete({
+            scope: 'login_account',
+            unlockTokenHash: hashToken(token),
+            lockedUntil: { $gt: new Date() }
+        });
+    },
+
+    /**
+     * List counters that are currently locked or delayed (admin view)
+     * @param {Object} filters - { scope, identifier }
+     * @returns {Promise<Array>}
+     */
+    listActive: async ({ scope, identifier } = {}) => {
+        const now = new Date();
+        const query = {
+            $or: [{ lockedUntil: { $gt: now } }, { blockedUntil: { $gt: now } }]
+        };
+        if (scope) query.scope = scope;
+        if (identifier) query.identifier = identifier.toLowerCase().trim();
+
+        return AuthThrottleModel.find(query).sort({ updatedAt: -1 }).lean();
+    },
+
+    /**
+     * Remove a counter entirely (admin unlock)
+     * @param {String} id
+     * @returns {Promise<Object|null>}
+     */
+    clear: async (id) => {
+        return AuthThrottleModel.findByIdAndDelete(id);
+    }
+};
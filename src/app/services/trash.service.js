@@ -0,0 +1,124 @@
+import UserModel from '../../infrastructure/models/User.model.js';
+import ProjectModel from '../../infrastructure/models/Project.model.js';
+import ReviewModel from '../../infrastructure/models/Review.model.js';
+import ProjectRevisionModel from '../../infrastructure/models/ProjectRevision.model.js';
+import { AccountService } from './account.service.js';
+import { StorageService } from './storage.service.js';
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// What can be restored, who may see it and what the trash listing shows
+const TRASH_TYPES = {
+    project: {
+        model: ProjectModel,
+        permission: 'project.manage',
+        select: 'basicInfo.title basicInfo.category owner metadata.status marketplace.price deletedAt deletedBy'
+    },
+    review: {
+        model: ReviewModel,
+        permission: 'review.moderate',
+        select: 'project reviewer rating comment deletedAt deletedBy'
+    },
+    user: {
+        model: UserModel,
+        permission: 'user.delete',
+        select: 'name email role deletedAt deletedBy',
+        // Accounts that were anonymized stay hidden but are gone for good
+        filter: { 'deletion.completedAt': null }
+    }
+};
+
+/**
+ * @desc    Trash Service Layer
+ * @responsibility List and restore soft-deleted documents, purge them after the retention period
+ */
+export const TrashService = {
+
+    TYPES: Object.keys(TRASH_TYPES),
+    TRASH_RETENTION_DAYS,
+
+    /**
+     * Permission needed to see and restore a type of document
+     * @param {String} type - project | review | user
+     * @returns {String|null}
+     */
+    getPermission: (type) => TRASH_TYPES[type]?.permission || null,
+
+    /**
+     * Deleted documents of one type, most recently deleted first
+     * @param {String} type
+     * @param {Object} pagination - { page, limit }
+     * @returns {Promise<Object>} { total, items }
+     */
+    list: async (type, { page = 1, limit = 20 } = {}) => {
+        const { model, select, filter } = TRASH_TYPES[type];
+        const query = { ...filter, deletedAt: { $ne: null } };
+
+        const [total, items] = await Promise.all([
+            model.countDocuments(query),
+            model.find(query)
+                .select(select)
+                .populate('deletedBy', 'name email')
+                .sort({ deletedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean()
+        ]);
+
+        return {
+            total,
+            items: items.map(item => ({
+                ...item,
+                purgeAt: new Date(item.deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+            }))
+        };
+    },
+
+    /**
+     * Bring a deleted document back
+     * @param {String} type
+     * @param {String} id
+     * @returns {Promise<Object|null>} Restored document, or null if it is not in the trash
+     */
+    restore: async (type, id) => {
+        const { model, filter } = TRASH_TYPES[type];
+        const doc = await model.findOne({ ...filter, _id: id, deletedAt: { $ne: null } });
+        if (!doc) return null;
+
+        await doc.restore();
+        return doc;
+    },
+
+    /**
+     * Permanently remove what has been in the trash longer than the retention period
+     * (run periodically from server.js). Users are anonymized rather than removed, so
+     * their orders and reviews keep a valid reference
+     * @returns {Promise<Object>} Counts per type
+     */
+    purgeExpired: async () => {
+        const expired = { deletedAt: { $ne: null, $lte: new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000) } };
+
+        const projectIds = await ProjectModel.find(expired).distinct('_id');
+        await StorageService.removeProjectMedia(projectIds);
+        await ReviewModel.deleteMany({ project: { $in: projectIds } });
+        await ProjectRevisionModel.deleteMany({ project: { $in: projectIds } });
+        const projects = await ProjectModel.deleteMany({ _id: { $in: projectIds } });
+        const reviews = await ReviewModel.deleteMany(expired);
+
+        const users = await UserModel.find({ ...expired, ...TRASH_TYPES.user.filter }).select('_id');
+        let usersPurged = 0;
+        for (const user of users) {
+            try {
+                if (await AccountService.anonymize(user._id)) usersPurged++;
+            } catch (err) {
+                console.error("TRASH PURGE ERROR 👉", user._id.toString(), err.message);
+            }
+        }
+
+        return {
+            projects: projects.deletedCount,
+            reviews: reviews.deletedCount,
+            users: usersPurged
+        };
+    }
+};
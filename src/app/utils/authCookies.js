@@ -0,0 +1,141 @@
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+
+// Cookie auth is opt-in per request (web frontend); API and mobile clients keep using Bearer tokens
+export const AUTH_MODE_HEADER = "x-auth-mode";
+export const CSRF_HEADER = "x-csrf-token";
+
+export const ACCESS_COOKIE = "dm_access";
+export const REFRESH_COOKIE = "dm_refresh";
+export const CSRF_COOKIE = "dm_csrf";
+export const OAUTH_STATE_COOKIE = "dm_oauth_state";
+
+// Only the OAuth callback reads the state cookie
+const OAUTH_STATE_COOKIE_PATH = "/api/auth/oauth";
+const OAUTH_STATE_MAX_AGE = 10 * 60 * 1000; // Lifetime of the signed state
+
+// Methods that never change state and so need no CSRF token
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+const getCookieOptions = () => {
+  const sameSite = process.env.AUTH_COOKIE_SAMESITE || "lax";
+
+  return {
+    sameSite,
+    // Browsers drop SameSite=None cookies that are not Secure
+    secure: process.env.NODE_ENV === "production" || sameSite === "none",
+    domain: process.env.AUTH_COOKIE_DOMAIN || undefined,
+  };
+};
+
+const getTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+// Read one cookie from the Cookie header (no cookie-parser in this app)
+export const readCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) return null;
+
+  for (const part of header.split(";")) {
+    const separator = part.indexOf("=");
+    if (separator === -1) continue;
+
+    if (part.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(separator + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+export const wantsCookieAuth = (req) => req.get(AUTH_MODE_HEADER) === "cookie";
+
+// Double-submit check: the header must echo the CSRF cookie (a cross-site page can send the cookie but not read it)
+export const isValidCsrfRequest = (req) => {
+  if (SAFE_METHODS.includes(req.method)) return true;
+
+  const cookieToken = readCookie(req, CSRF_COOKIE);
+  const headerToken = req.get(CSRF_HEADER);
+  if (!cookieToken || !headerToken || cookieToken.length !== headerToken.length) return false;
+
+  return crypto.timingSafeEqual(Buffer.from(cookieToken), Buffer.from(headerToken));
+};
+
+/**
+ * Store the tokens in httpOnly cookies and rotate the CSRF token
+ * @returns {String} New CSRF token (also readable by the frontend from its cookie)
+ */
+export const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  const options = getCookieOptions();
+  const refreshExpires = getTokenExpiry(refreshToken);
+  const csrfToken = crypto.randomBytes(32).toString("hex");
+
+  res.cookie(ACCESS_COOKIE, accessToken, {
+    ...options,
+    httpOnly: true,
+    path: "/",
+    expires: getTokenExpiry(accessToken),
+  });
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...options,
+    httpOnly: true,
+    path: "/api/auth",
+    expires: refreshExpires,
+  });
+  res.cookie(CSRF_COOKIE, csrfToken, {
+    ...options,
+    httpOnly: false,
+    path: "/",
+    expires: refreshExpires,
+  });
+
+  return csrfToken;
+};
+
+export const clearAuthCookies = (res) => {
+  const options = getCookieOptions();
+
+  res.clearCookie(ACCESS_COOKIE, { ...options, path: "/" });
+  res.clearCookie(REFRESH_COOKIE, { ...options, path: "/api/auth" });
+  res.clearCookie(CSRF_COOKIE, { ...options, path: "/" });
+};
+
+/**
+ * Bind an OAuth flow to the browser that started it. Always Lax: the callback is a
+ * top-level redirect from the provider, which Strict cookies would not survive
+ */
+export const setOAuthStateCookie = (res, nonce) => {
+  res.cookie(OAUTH_STATE_COOKIE, nonce, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    path: OAUTH_STATE_COOKIE_PATH,
+    maxAge: OAUTH_STATE_MAX_AGE,
+  });
+};
+
+export const clearOAuthStateCookie = (res) => {
+  res.clearCookie(OAUTH_STATE_COOKIE, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    path: OAUTH_STATE_COOKIE_PATH,
+  });
+};
+
+/**
+ * Send a response that may carry a fresh token pair. In cookie mode the tokens
+ * go into cookies and are removed from the body, which gets the CSRF token instead
+ */
+export const sendAuthResponse = (req, res, body, useCookies = wantsCookieAuth(req)) => {
+  if (!useCookies || !body.accessToken) {
+    return res.status(200).json(body);
+  }
+
+  const { accessToken, refreshToken, ...rest } = body;
+  const csrfToken = setAuthCookies(res, { accessToken, refreshToken });
+
+  return res.status(200).json({ ...rest, authMode: "cookie", csrfToken });
+};
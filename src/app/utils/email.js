@@ -201,4 +201,429 @@ export const sendWelcomeEmail = async (email, name) => {
     console.error("❌ Email sending failed:", error);
     // Don't throw error for welcome email - it's not critical
   }
+};
+
+/* ========================================
+   ✉️ SEND INVITATION EMAIL
+======================================== */
+export const sendInvitationEmail = async (email, inviterName, role, inviteUrl) => {
+  try {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `"${process.env.APP_NAME || 'Your App'}" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: email,
+      subject: `You're invited to join ${process.env.APP_NAME || 'our platform'}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #7C3AED; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 5px 5px; }
+            .button { display: inline-block; padding: 12px 30px; background: #7C3AED; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>You're Invited!</h1>
+            </div>
+            <div class="content">
+              <h2>Hello,</h2>
+              <p>${inviterName} has invited you to join ${process.env.APP_NAME || 'our platform'} as <strong>${role}</strong>. Click the button below to set up your account:</p>
+              <div style="text-align: center;">
+                <a href="${inviteUrl}" class="button">Accept Invitation</a>
+              </div>
+              <p>Or copy and paste this link into your browser:</p>
+              <p style="word-break: break-all; color: #7C3AED;">${inviteUrl}</p>
+              <p><strong>This invitation will expire in 7 days.</strong></p>
+              <p>If you weren't expecting this invitation, you can ignore this email.</p>
+              <p>Best regards,<br>The ${process.env.APP_NAME || 'Team'}</p>
+            </div>
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} ${process.env.APP_NAME || 'Your Company'}. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`✅ Invitation email sent to ${email}`);
+  } catch (error) {
+    console.error("❌ Email sending failed:", error);
+    throw new Error("Failed to send invitation email");
+  }
+};
+
+/* ========================================
+   🔒 SEND ACCOUNT LOCKED EMAIL
+======================================== */
+export const sendAccountLockedEmail = async (email, name, unlockUrl, lockoutMinutes) => {
+  try {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `"${process.env.APP_NAME || 'Your App'}" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: email,
+      subject: "Your Account Has Been Temporarily Locked",
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #F59E0B; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 5px 5px; }
+            .button { display: inline-block; padding: 12px 30px; background: #F59E0B; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .warning { background: #FEF3C7; border-left: 4px solid #F59E0B; padding: 15px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Account Temporarily Locked</h1>
+            </div>
+            <div class="content">
+              <h2>Hi ${name},</h2>
+              <p>We locked your account after several failed login attempts. It will unlock automatically in ${lockoutMinutes} minutes, or you can unlock it now:</p>
+              <div style="text-align: center;">
+                <a href="${unlockUrl}" class="button">Unlock My Account</a>
+              </div>
+              <p>Or copy and paste this link into your browser:</p>
+              <p style="word-break: break-all; color: #F59E0B;">${unlockUrl}</p>
+              <div class="warning">
+                <strong>⚠️ Security Notice:</strong>
+                <ul style="margin: 10px 0;">
+                  <li>If these attempts weren't you, someone may be trying to access your account</li>
+                  <li>Consider resetting your password and enabling two-factor authentication</li>
+                </ul>
+              </div>
+              <p>Best regards,<br>The ${process.env.APP_NAME || 'Team'}</p>
+            </div>
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} ${process.env.APP_NAME || 'Your Company'}. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`✅ Account locked email sent to ${email}`);
+  } catch (error) {
+    console.error("❌ Email sending failed:", error);
+    throw new Error("Failed to send account locked email");
+  }
+};
+
+/* ========================================
+   📨 SEND EMAIL CHANGE VERIFICATION
+======================================== */
+export const sendEmailChangeVerificationEmail = async (email, name, confirmUrl) => {
+  try {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `"${process.env.APP_NAME || 'Your App'}" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: email,
+      subject: "Confirm Your New Email Address",
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #4F46E5; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 5px 5px; }
+            .button { display: inline-block; padding: 12px 30px; background: #4F46E5; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Confirm Your New Email</h1>
+            </div>
+            <div class="content">
+              <h2>Hi ${name},</h2>
+              <p>You asked to use this address to sign in to ${process.env.APP_NAME || 'our app'}. Confirm it by clicking the button below:</p>
+              <div style="text-align: center;">
+                <a href="${confirmUrl}" class="button">Confirm Email Address</a>
+              </div>
+              <p>Or copy and paste this link into your browser:</p>
+              <p style="word-break: break-all; color: #4F46E5;">${confirmUrl}</p>
+              <p><strong>This link will expire in 24 hours.</strong> Until then you keep signing in with your current address.</p>
+              <p>If you didn't request this change, please ignore this email.</p>
+              <p>Best regards,<br>The ${process.env.APP_NAME || 'Team'}</p>
+            </div>
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} ${process.env.APP_NAME || 'Your Company'}. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`✅ Email change verification sent to ${email}`);
+  } catch (error) {
+    console.error("❌ Email sending failed:", error);
+    throw new Error("Failed to send email change verification");
+  }
+};
+
+/* ========================================
+   🔔 SEND EMAIL CHANGE NOTICE (OLD ADDRESS)
+======================================== */
+export const sendEmailChangeNoticeEmail = async (email, name, newEmail, revertUrl) => {
+  try {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `"${process.env.APP_NAME || 'Your App'}" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: email,
+      subject: "Your Email Address Is Being Changed",
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #EF4444; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 5px 5px; }
+            .button { display: inline-block; padding: 12px 30px; background: #EF4444; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .warning { background: #FEE2E2; border-left: 4px solid #EF4444; padding: 15px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Email Change Requested</h1>
+            </div>
+            <div class="content">
+              <h2>Hi ${name},</h2>
+              <p>Someone signed in to your account asked to change its email address to <strong>${newEmail}</strong>. The change takes effect once the new address is confirmed.</p>
+              <div class="warning">
+                <strong>⚠️ Wasn't you?</strong>
+                <p style="margin: 10px 0;">Keep this address on your account and sign out every device. This link works for 7 days, even after the change was confirmed:</p>
+              </div>
+              <div style="text-align: center;">
+                <a href="${revertUrl}" class="button">This Wasn't Me</a>
+              </div>
+              <p>Or copy and paste this link into your browser:</p>
+              <p style="word-break: break-all; color: #EF4444;">${revertUrl}</p>
+              <p>If you made this change, no action is needed.</p>
+              <p>Best regards,<br>The ${process.env.APP_NAME || 'Team'}</p>
+            </div>
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} ${process.env.APP_NAME || 'Your Company'}. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`✅ Email change notice sent to ${email}`);
+  } catch (error) {
+    console.error("❌ Email sending failed:", error);
+    throw new Error("Failed to send email change notice");
+  }
+};
+
+/* ========================================
+   ✨ SEND MAGIC LINK EMAIL
+======================================== */
+export const sendMagicLinkEmail = async (email, name, magicUrl, code) => {
+  try {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `"${process.env.APP_NAME || 'Your App'}" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: email,
+      subject: `Your sign-in code: ${code}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #4F46E5; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 5px 5px; }
+            .button { display: inline-block; padding: 12px 30px; background: #4F46E5; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .code { font-size: 32px; font-weight: bold; letter-spacing: 8px; text-align: center; background: #EEF2FF; padding: 15px; border-radius: 5px; margin: 20px 0; }
+            .warning { background: #FEF3C7; border-left: 4px solid #F59E0B; padding: 15px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Sign In to ${process.env.APP_NAME || 'Your App'}</h1>
+            </div>
+            <div class="content">
+              <h2>Hi ${name},</h2>
+              <p>Click the button below to sign in. No password needed:</p>
+              <div style="text-align: center;">
+                <a href="${magicUrl}" class="button">Sign In</a>
+              </div>
+              <p>Or enter this code on the sign-in page:</p>
+              <div class="code">${code}</div>
+              <div class="warning">
+                <strong>⚠️ Security Notice:</strong>
+                <ul style="margin: 10px 0;">
+                  <li>The link and code expire in 15 minutes and work only once</li>
+                  <li>Never share this code with anyone</li>
+                  <li>If you didn't request this, you can ignore this email</li>
+                </ul>
+              </div>
+              <p>Best regards,<br>The ${process.env.APP_NAME || 'Team'}</p>
+            </div>
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} ${process.env.APP_NAME || 'Your Company'}. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`✅ Magic link email sent to ${email}`);
+  } catch (error) {
+    console.error("❌ Email sending failed:", error);
+    throw new Error("Failed to send magic link email");
+  }
+};
+
+/* ========================================
+   🗑️ SEND ACCOUNT DELETION SCHEDULED EMAIL
+======================================== */
+export const sendAccountDeletionScheduledEmail = async (email, name, scheduledFor, cancelUrl) => {
+  try {
+    const transporter = createTransporter();
+    const deletionDate = new Date(scheduledFor).toDateString();
+
+    const mailOptions = {
+      from: `"${process.env.APP_NAME || 'Your App'}" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: email,
+      subject: "Your Account Is Scheduled for Deletion",
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #6B7280; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 5px 5px; }
+            .button { display: inline-block; padding: 12px 30px; background: #4F46E5; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .warning { background: #FEF3C7; border-left: 4px solid #F59E0B; padding: 15px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Account Deletion Scheduled</h1>
+            </div>
+            <div class="content">
+              <h2>Hi ${name},</h2>
+              <p>We received a request to delete your account. It will be deleted on <strong>${deletionDate}</strong>.</p>
+              <div class="warning">
+                <strong>⚠️ What happens then:</strong>
+                <ul style="margin: 10px 0;">
+                  <li>Your profile, notifications and access tokens are erased</li>
+                  <li>Unsold projects are deleted or transferred, as you chose</li>
+                  <li>Orders and reviews are kept for accounting, without your name or contact details</li>
+                </ul>
+              </div>
+              <p>Changed your mind? Sign in and cancel the deletion before that date:</p>
+              <div style="text-align: center;">
+                <a href="${cancelUrl}" class="button">Keep My Account</a>
+              </div>
+              <p>If you didn't request this, cancel it and change your password right away.</p>
+              <p>Best regards,<br>The ${process.env.APP_NAME || 'Team'}</p>
+            </div>
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} ${process.env.APP_NAME || 'Your Company'}. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`✅ Account deletion scheduled email sent to ${email}`);
+  } catch (error) {
+    console.error("❌ Email sending failed:", error);
+    throw new Error("Failed to send account deletion email");
+  }
+};
+
+/* ========================================
+   👋 SEND ACCOUNT DELETED EMAIL
+======================================== */
+export const sendAccountDeletedEmail = async (email, name) => {
+  try {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `"${process.env.APP_NAME || 'Your App'}" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: email,
+      subject: "Your Account Has Been Deleted",
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #6B7280; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 5px 5px; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Account Deleted</h1>
+            </div>
+            <div class="content">
+              <h2>Hi ${name},</h2>
+              <p>Your account has been deleted and your personal data removed. This is the last email you will receive from us.</p>
+              <p>Thank you for being part of ${process.env.APP_NAME || 'our community'}.</p>
+              <p>Best regards,<br>The ${process.env.APP_NAME || 'Team'}</p>
+            </div>
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} ${process.env.APP_NAME || 'Your Company'}. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`✅ Account deleted email sent to ${email}`);
+  } catch (error) {
+    console.error("❌ Email sending failed:", error);
+    throw new Error("Failed to send account deleted email");
+  }
 };
\ No newline at end of file
@@ -1,13 +1,176 @@
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import { jwtKeyConfig } from "../../config/jwtKeys.js";
+
+const DURATION_UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+// "typ" header of tokens that grant API access (RFC 9068). Challenge tokens are signed with the
+// same keys, so the header is what tells them apart for anyone verifying against the JWKS
+const ACCESS_TOKEN_TYPE = "at+jwt";
+const CHALLENGE_TOKEN_TYPE = "JWT";
+
+// "15m" / "7d" / seconds -> seconds
+const toSeconds = (expiresIn) => {
+  if (typeof expiresIn === "number") return expiresIn;
+  const match = /^(\d+)([smhd])$/.exec(expiresIn);
+  if (!match) throw new Error(`Unsupported expiresIn: ${expiresIn}`);
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+};
+
+// jsonwebtoken has no EdDSA support, so Ed25519 tokens are signed with node:crypto directly
+const signEdDSA = (payload, key, { expiresIn, jwtid, type } = {}) => {
+  const iat = Math.floor(Date.now() / 1000);
+  const claims = {
+    ...payload,
+    iat,
+    ...(expiresIn && { exp: iat + toSeconds(expiresIn) }),
+    ...(jwtid && { jti: jwtid }),
+  };
+  const header = { alg: "EdDSA", typ: type, kid: key.kid };
+  const data = `${Buffer.from(JSON.stringify(header)).toString("base64url")}.${Buffer.from(JSON.stringify(claims)).toString("base64url")}`;
+  const signature = crypto.sign(null, Buffer.from(data), key.privateKey).toString("base64url");
+  return `${data}.${signature}`;
+};
+
+const verifyEdDSA = (token, key) => {
+  const [header, payload, signature = ""] = token.split(".");
+  const isValid = crypto.verify(
+    null,
+    Buffer.from(`${header}.${payload}`),
+    key.publicKey,
+    Buffer.from(signature, "base64url")
+  );
+  if (!isValid) {
+    throw new jwt.JsonWebTokenError("invalid signature");
+  }
+
+  const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+  if (claims.exp !== undefined && Math.floor(Date.now() / 1000) >= claims.exp) {
+    throw new jwt.TokenExpiredError("jwt expired", new Date(claims.exp * 1000));
+  }
+  return claims;
+};
+
+// Sign with the current key; the kid header tells verifiers which key to use
+const signWithCurrentKey = (payload, { type, ...options }) => {
+  const key = jwtKeyConfig.keys.get(jwtKeyConfig.currentKid);
+  if (!key?.privateKey) {
+    throw new Error("No JWT signing key configured");
+  }
+
+  if (key.alg === "EdDSA") {
+    return signEdDSA(payload, key, { ...options, type });
+  }
+  return jwt.sign(payload, key.privateKey, {
+    ...options,
+    algorithm: key.alg,
+    keyid: key.kid,
+    header: { typ: type },
+  });
+};
+
+// Verify with the key named in the kid header (current or grace key); the typ header must match
+const verifyWithKnownKeys = (token, type) => {
+  const unverified = jwt.decode(token, { complete: true });
+  if (!unverified) {
+    throw new jwt.JsonWebTokenError("jwt malformed");
+  }
+
+  const { kid, alg, typ } = unverified.header;
+
+  // Issued before key IDs (and token types) existed: only during the JWT_LEGACY_ACCEPT_UNTIL grace period
+  if (!kid) {
+    if (!jwtKeyConfig.legacySecret || Date.now() > jwtKeyConfig.legacyAcceptUntil.getTime()) {
+      throw new jwt.JsonWebTokenError("missing key id");
+    }
+    return jwt.verify(token, jwtKeyConfig.legacySecret, { algorithms: ["HS256"] });
+  }
+
+  if (typ !== type) {
+    throw new jwt.JsonWebTokenError("invalid token type");
+  }
+
+  const key = jwtKeyConfig.keys.get(kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError("unknown signing key");
+  }
+  if (alg !== key.alg) {
+    throw new jwt.JsonWebTokenError("invalid algorithm");
+  }
+
+  if (key.alg === "EdDSA") {
+    return verifyEdDSA(token, key);
+  }
+  return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+};
+
+// Public keys in JWK format so other services can verify access tokens (HS256 keys are never published).
+// Verifiers must require the "at+jwt" typ header: the same keys also sign challenge tokens
+export const getJwks = () => {
+  const keys = [...jwtKeyConfig.keys.values()]
+    .filter((key) => key.alg !== "HS256")
+    .map((key) => ({
+      ...key.publicKey.export({ format: "jwk" }),
+      kid: key.kid,
+      alg: key.alg,
+      use: "sig",
+    }));
+
+  return { keys };
+};
 
 export const generateAccessToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_SECRET, {
+  return signWithCurrentKey(payload, {
     expiresIn: "1d",
+    type: ACCESS_TOKEN_TYPE,
   });
 };
 
+// Refresh tokens are only ever read by this API, so they keep their own shared secret
 export const generateRefreshToken = (payload) => {
+  // Unique jwtid so two tokens issued in the same second never collide
   return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
     expiresIn: "7d",
+    jwtid: crypto.randomUUID(),
   });
+};
+
+// SHA-256 hash used to store tokens without keeping the raw value
+export const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Verify an access token; short-lived challenge tokens share the keys but are rejected here
+export const verifyAccessToken = (token) => {
+  const decoded = verifyWithKnownKeys(token, ACCESS_TOKEN_TYPE);
+  if (decoded.purpose) {
+    throw new jwt.JsonWebTokenError("invalid token type");
+  }
+  return decoded;
+};
+
+// Short-lived access token that lets an admin act as another user.
+// Carries the admin's session id so it dies with their session; never paired with a refresh token
+export const generateImpersonationToken = (payload, impersonation, expiresIn = "15m") => {
+  return signWithCurrentKey({ ...payload, imp: impersonation }, {
+    expiresIn,
+    jwtid: crypto.randomUUID(),
+    type: ACCESS_TOKEN_TYPE,
+  });
+};
+
+// Short-lived token for a single step of a multi-step flow (e.g. MFA after password check)
+export const generateChallengeToken = (payload, purpose, expiresIn = "5m") => {
+  return signWithCurrentKey({ ...payload, purpose }, {
+    expiresIn,
+    type: CHALLENGE_TOKEN_TYPE,
+  });
+};
+
+export const verifyChallengeToken = (token, purpose) => {
+  const decoded = verifyWithKnownKeys(token, CHALLENGE_TOKEN_TYPE);
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError("invalid token type");
+  }
+  return decoded;
 };
\ No newline at end of file
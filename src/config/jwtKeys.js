@@ -0,0 +1,86 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import crypto from 'crypto';
+dotenv.config();
+
+/**
+ * @desc    JWT Signing Keys (access, impersonation and challenge tokens)
+ * @rules   1. JWT_KEYS is a JSON array of keys:
+ *             { kid, alg: "HS256", secret }
+ *             { kid, alg: "RS256" | "ES256" | "EdDSA", privateKey | privateKeyFile, publicKey | publicKeyFile }
+ *          2. JWT_CURRENT_KID is the key new tokens are signed with; the other keys only verify
+ *             (keep a retired key listed until the tokens it signed have expired)
+ *          3. Without JWT_KEYS, JWT_SECRET is a single HS256 key with kid "default"
+ *          4. Tokens without a kid (issued before key IDs existed) are only accepted, as HS256 under
+ *             JWT_SECRET, until JWT_LEGACY_ACCEPT_UNTIL (ISO date). Set it to the rollout time plus one
+ *             access-token lifetime (1 day), then remove it: after that JWT_SECRET can be retired
+ *          5. Verify-only asymmetric keys need just the public key; they are published in the JWKS.
+ *             Access tokens carry the "at+jwt" typ header, which JWKS verifiers must require
+ */
+export const SUPPORTED_ALGORITHMS = ['HS256', 'RS256', 'ES256', 'EdDSA'];
+
+// Each asymmetric algorithm only accepts the matching key type
+const KEY_TYPES = { RS256: 'rsa', ES256: 'ec', EdDSA: 'ed25519' };
+
+const readPem = (value, file) => (file ? fs.readFileSync(file, 'utf8') : value?.replace(/\\n/g, '\n'));
+
+const loadKey = (entry) => {
+    const { kid, alg } = entry;
+
+    if (!kid || !SUPPORTED_ALGORITHMS.includes(alg)) {
+        throw new Error(`JWT_KEYS: every key needs a kid and one of ${SUPPORTED_ALGORITHMS.join(', ')}`);
+    }
+
+    if (alg === 'HS256') {
+        if (!entry.secret) throw new Error(`JWT_KEYS: key "${kid}" is missing its secret`);
+        return { kid, alg, privateKey: entry.secret, publicKey: entry.secret };
+    }
+
+    const privatePem = readPem(entry.privateKey, entry.privateKeyFile);
+    const publicPem = readPem(entry.publicKey, entry.publicKeyFile);
+    const privateKey = privatePem ? crypto.createPrivateKey(privatePem) : null;
+    const publicKey = publicPem ? crypto.createPublicKey(publicPem) : privateKey && crypto.createPublicKey(privateKey);
+
+    if (!publicKey) throw new Error(`JWT_KEYS: key "${kid}" needs a private or public key`);
+    if (publicKey.asymmetricKeyType !== KEY_TYPES[alg]) {
+        throw new Error(`JWT_KEYS: key "${kid}" is not a valid ${alg} key`);
+    }
+
+    return { kid, alg, privateKey, publicKey };
+};
+
+const loadKeys = () => {
+    if (!process.env.JWT_KEYS) {
+        return process.env.JWT_SECRET
+            ? [{ kid: 'default', alg: 'HS256', privateKey: process.env.JWT_SECRET, publicKey: process.env.JWT_SECRET }]
+            : [];
+    }
+
+    const entries = JSON.parse(process.env.JWT_KEYS);
+    if (!Array.isArray(entries)) throw new Error('JWT_KEYS must be a JSON array');
+    return entries.map(loadKey);
+};
+
+const keys = new Map(loadKeys().map(key => [key.kid, key]));
+const currentKid = process.env.JWT_CURRENT_KID || (process.env.JWT_KEYS ? null : 'default');
+
+if (!keys.get(currentKid)?.privateKey) {
+    console.warn(`⚠️ WARNING: No JWT signing key configured (JWT_CURRENT_KID "${currentKid}" is missing or verify-only)`);
+}
+
+// Opt-in grace period for kid-less tokens; unset means they are rejected
+const legacyAcceptUntil = process.env.JWT_LEGACY_ACCEPT_UNTIL ? new Date(process.env.JWT_LEGACY_ACCEPT_UNTIL) : null;
+
+if (legacyAcceptUntil && Number.isNaN(legacyAcceptUntil.getTime())) {
+    throw new Error('JWT_LEGACY_ACCEPT_UNTIL must be an ISO date, e.g. 2026-01-31T00:00:00Z');
+}
+if (legacyAcceptUntil && !process.env.JWT_SECRET) {
+    throw new Error('JWT_LEGACY_ACCEPT_UNTIL needs JWT_SECRET, the key legacy tokens were signed with');
+}
+
+export const jwtKeyConfig = {
+    keys,
+    currentKid,
+    legacySecret: legacyAcceptUntil ? process.env.JWT_SECRET : null,
+    legacyAcceptUntil
+};
@@ -0,0 +1,35 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+/**
+ * @desc    OAuth / OIDC Provider Configuration
+ * @rules   Every endpoint can be overridden from .env (e.g. to point at a local mock OIDC server)
+ */
+export const oauthConfig = {
+    github: {
+        clientId: process.env.GITHUB_CLIENT_ID,
+        clientSecret: process.env.GITHUB_CLIENT_SECRET,
+        authorizationUrl: process.env.GITHUB_AUTHORIZATION_URL || 'https://github.com/login/oauth/authorize',
+        tokenUrl: process.env.GITHUB_TOKEN_URL || 'https://github.com/login/oauth/access_token',
+        apiUrl: process.env.GITHUB_API_URL || 'https://api.github.com',
+        scope: 'read:user user:email'
+    },
+
+    // Generic OpenID Connect provider; endpoints are discovered from the issuer unless set explicitly
+    oidc: {
+        name: process.env.OIDC_PROVIDER_NAME || 'OpenID Connect',
+        issuer: process.env.OIDC_ISSUER,
+        clientId: process.env.OIDC_CLIENT_ID,
+        clientSecret: process.env.OIDC_CLIENT_SECRET,
+        authorizationUrl: process.env.OIDC_AUTHORIZATION_URL,
+        tokenUrl: process.env.OIDC_TOKEN_URL,
+        userInfoUrl: process.env.OIDC_USERINFO_URL,
+        scope: process.env.OIDC_SCOPE || 'openid email profile'
+    },
+
+    // Base URL the provider redirects back to (defaults to the request host)
+    callbackBaseUrl: process.env.OAUTH_CALLBACK_BASE_URL,
+
+    // Frontend page that finishes the login
+    frontendCallbackUrl: process.env.OAUTH_FRONTEND_CALLBACK_URL || `${process.env.APP_URL || 'http://localhost:3000'}/oauth/callback`
+};
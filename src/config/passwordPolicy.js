@@ -0,0 +1,25 @@
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+dotenv.config();
+
+const configDir = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * @desc    Password Policy
+ * @rules   1. Applies whenever a password is set (signup, invitation, reset, change, profile update)
+ *          2. Character classes are opt-in/out from .env (PASSWORD_REQUIRE_UPPERCASE=true ...)
+ *          3. Passwords on the blocklist are always rejected, also with a number/symbol appended
+ *          4. With PASSWORD_SCREEN_ON_LOGIN=true, logging in with a blocklisted password flags the account for a reset
+ */
+export const passwordPolicy = {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+    maxLength: 72, // bcrypt ignores everything after 72 bytes
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE === 'true',
+    requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+    disallowPersonalInfo: process.env.PASSWORD_DISALLOW_PERSONAL_INFO !== 'false',
+    blocklistFile: process.env.PASSWORD_BLOCKLIST_FILE || path.join(configDir, 'common-passwords.txt'),
+    screenOnLogin: process.env.PASSWORD_SCREEN_ON_LOGIN === 'true'
+};
@@ -0,0 +1,53 @@
+/**
+ * @desc    Permission Catalogue and Built-in Roles
+ * @rules   1. Routes check permissions, never role names
+ *          2. Built-in roles are defined here and cannot be edited; custom roles live in the Role collection
+ *          3. Only role.manage holders (super admins) can create or edit custom roles
+ */
+export const PERMISSIONS = {
+    "project.moderate": "Approve, reject and view unapproved projects",
+    "project.manage": "Delete any project or marketplace listing, restore deleted projects",
+    "review.moderate": "Delete any review, restore deleted reviews",
+    "seller.review": "Approve or reject seller applications",
+    "seller.verify": "Review seller identity verifications and their ID documents",
+    "user.read": "View user accounts and user statistics",
+    "user.update": "Edit other users' profile, email and verification status",
+    "user.block": "Block and unblock users",
+    "user.delete": "Delete user accounts, restore deleted accounts",
+    "user.assign_role": "Change the role of a user or invite users with a role",
+    "user.impersonate": "Act as a buyer or seller account for support (audited)",
+    "session.manage": "View and revoke other users' sessions",
+    "analytics.read": "View platform analytics and revenue",
+    "notification.broadcast": "Send notifications to users",
+    "security.manage": "View and clear login lockouts",
+    "audit.read": "View the audit log",
+    "role.manage": "Create, edit and delete custom roles"
+};
+
+export const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+export const SYSTEM_ROLES = {
+    buyer: {
+        description: "Buys projects on the marketplace",
+        permissions: []
+    },
+    seller: {
+        description: "Publishes and sells projects",
+        permissions: []
+    },
+    moderator: {
+        description: "Reviews submitted projects, seller applications and reviews",
+        permissions: ["project.moderate", "review.moderate", "seller.review"]
+    },
+    admin: {
+        description: "Runs the platform (everything except role management)",
+        permissions: PERMISSION_NAMES.filter(permission => permission !== "role.manage")
+    },
+    super_admin: {
+        description: "Full access, including custom roles",
+        permissions: PERMISSION_NAMES
+    }
+};
+
+// Roles anyone can pick at signup; every other role requires an invitation
+export const PUBLIC_ROLES = ["buyer", "seller"];
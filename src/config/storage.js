@@ -0,0 +1,60 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+dotenv.config();
+
+export const STORAGE_DRIVERS = ['local', 's3', 'cloudinary'];
+
+/**
+ * @desc    Media Storage Configuration (project media, avatars, deliverable files)
+ * @rules   1. STORAGE_DRIVER picks the backend: local (default), s3 or cloudinary
+ *          2. Keys are paths like "avatars/avatar-<id>-256.webp"; keys under "private/" are
+ *             never public and can only be read through a signed, expiring URL
+ *          3. The local driver stores files under STORAGE_LOCAL_ROOT and the app serves them at /uploads;
+ *             its signed URLs use STORAGE_SIGNING_SECRET, a key of their own (never the JWT secret)
+ *          4. The S3 driver works with any S3-compatible endpoint (MinIO: S3_ENDPOINT + S3_FORCE_PATH_STYLE=true);
+ *             objects are uploaded without ACLs, so the bucket policy (or a CDN) must expose every key but private/*
+ */
+export const storageConfig = {
+    driver: process.env.STORAGE_DRIVER || 'local',
+
+    // Lifetime of signed URLs for private files
+    signedUrlTtl: parseInt(process.env.STORAGE_SIGNED_URL_TTL) || 15 * 60,
+
+    local: {
+        root: process.env.STORAGE_LOCAL_ROOT || 'uploads',
+        // Prefix of public URLs; empty keeps them relative to the API ("/uploads/...")
+        publicBaseUrl: (process.env.STORAGE_PUBLIC_URL || '').replace(/\/$/, ''),
+        signingSecret: process.env.STORAGE_SIGNING_SECRET
+    },
+
+    s3: {
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION || 'us-east-1',
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        // Public base for non-private keys (CDN or bucket website); defaults to the bucket URL
+        publicUrl: process.env.S3_PUBLIC_URL?.replace(/\/$/, '')
+    },
+
+    cloudinary: {
+        cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+        apiKey: process.env.CLOUDINARY_API_KEY,
+        apiSecret: process.env.CLOUDINARY_API_SECRET
+    }
+};
+
+if (!STORAGE_DRIVERS.includes(storageConfig.driver)) {
+    throw new Error(`STORAGE_DRIVER must be one of: ${STORAGE_DRIVERS.join(', ')}`);
+}
+
+// Private files on local disk are only protected by signed URLs: refuse to start without the key.
+// That is always the case with the local driver, and with a remote one while old private files remain
+const hasLocalPrivateFiles = storageConfig.driver === 'local' ||
+    fs.existsSync(path.join(path.resolve(storageConfig.local.root), 'private'));
+
+if (hasLocalPrivateFiles && !storageConfig.local.signingSecret) {
+    throw new Error('STORAGE_SIGNING_SECRET is required to sign download URLs for private files on local storage');
+}
@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+
+export const AUDIT_CATEGORIES = ["auth", "admin", "payment"];
+
+/**
+ * @desc    Audit Log Schema (append-only record of security relevant events)
+ * @rules   1. Entries are only ever inserted; updates and deletes are rejected by the model
+ *          2. action is "<category>.<event>", e.g. "auth.login.success", "admin.user.block"
+ *          3. Actor email/role are snapshots, so entries stay readable after the user changes
+ */
+const auditLogSchema = new mongoose.Schema(
+    {
+        action: {
+            type: String,
+            required: true,
+            index: true
+        },
+
+        category: {
+            type: String,
+            enum: AUDIT_CATEGORIES,
+            required: true
+        },
+
+        // Who did it (null for anonymous requests, e.g. a failed login, or gateway webhooks)
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+            index: true
+        },
+        actorEmail: {
+            type: String,
+            default: null
+        },
+        actorRole: {
+            type: String,
+            default: null
+        },
+
+        // What it was done to
+        target: {
+            type: {
+                type: String,
+                default: null
+            },
+            id: {
+                type: mongoose.Schema.Types.ObjectId,
+                default: null
+            }
+        },
+
+        ip: {
+            type: String,
+            default: null
+        },
+        userAgent: {
+            type: String,
+            default: null
+        },
+
+        // { field: { from, to } } for state changes
+        changes: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null
+        },
+
+        // Extra context (reason, session id, gateway transaction ...)
+        metadata: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null
+        }
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false }
+    }
+);
+
+// Indexes
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ category: 1, createdAt: -1 });
+auditLogSchema.index({ "target.id": 1, createdAt: -1 });
+
+// Append-only: refuse anything that would rewrite history
+const rejectMutation = function () {
+    throw new Error("Audit log entries are append-only");
+};
+
+auditLogSchema.pre("save", function () {
+    if (!this.isNew) rejectMutation();
+});
+
+auditLogSchema.pre(
+    ["updateOne", "updateMany", "findOneAndUpdate", "findOneAndReplace", "replaceOne",
+        "deleteOne", "deleteMany", "findOneAndDelete"],
+    { document: true, query: true },
+    rejectMutation
+);
+
+export default mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+/**
+ * @desc    Auth Throttle Schema (brute-force / email-bombing counters)
+ * @rules   1. One document per key, e.g. "login_account:jane@x.com" or "login_ip:1.2.3.4"
+ *          2. Counters reset when the window passes; documents expire via TTL
+ *          3. blockedUntil = progressive delay, lockedUntil = temporary lockout
+ */
+const authThrottleSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            unique: true
+        },
+
+        scope: {
+            type: String,
+            enum: ["login_account", "login_ip", "email_account", "email_ip"],
+            required: true,
+            index: true
+        },
+
+        // Email address or IP the counter belongs to (for the admin view)
+        identifier: {
+            type: String,
+            required: true
+        },
+
+        count: {
+            type: Number,
+            default: 0
+        },
+        windowStart: {
+            type: Date,
+            default: Date.now
+        },
+
+        blockedUntil: {
+            type: Date,
+            default: null
+        },
+        lockedUntil: {
+            type: Date,
+            default: null
+        },
+
+        // Hash of the token in the unlock email (account lockouts only)
+        unlockTokenHash: {
+            type: String,
+            select: false
+        },
+
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Indexes
+authThrottleSchema.index({ lockedUntil: 1 });
+authThrottleSchema.index({ unlockTokenHash: 1 }, { sparse: true });
+
+// Stale counters are removed automatically by MongoDB
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("AuthThrottle", authThrottleSchema);
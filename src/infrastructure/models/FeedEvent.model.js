@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+export const FEED_EVENT_TYPES = ["project_approved", "listing_created", "price_drop", "new_release"];
+
+/**
+ * @desc    Feed Event Schema (seller activity shown to their followers)
+ * @rules   1. Events are written once per seller action; feeds are assembled on read
+ *             from the events of followed sellers
+ *          2. data is a snapshot (title, price, version) so old events stay readable
+ *          3. Feeds page by _id (newest first), so the cursor is the last event's _id
+ */
+const feedEventSchema = new mongoose.Schema(
+    {
+        type: {
+            type: String,
+            enum: FEED_EVENT_TYPES,
+            required: true
+        },
+
+        // The seller the event is about
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+
+        project: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Project",
+            required: true
+        },
+
+        data: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {}
+        }
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false }
+    }
+);
+
+// Indexes
+feedEventSchema.index({ actor: 1, _id: -1 });
+feedEventSchema.index({ project: 1, type: 1 });
+
+export default mongoose.model("FeedEvent", feedEventSchema);
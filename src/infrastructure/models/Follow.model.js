@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+/**
+ * @desc    Follow Schema (a user following a seller)
+ * @rules   1. One document per follower/seller pair
+ *          2. Users cannot follow themselves (enforced by the controller)
+ */
+const followSchema = new mongoose.Schema(
+    {
+        follower: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+
+        seller: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Indexes
+followSchema.index({ follower: 1, seller: 1 }, { unique: true });
+followSchema.index({ follower: 1, createdAt: -1 });
+followSchema.index({ seller: 1, createdAt: -1 });
+
+export default mongoose.model("Follow", followSchema);
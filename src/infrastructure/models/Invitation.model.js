@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+import RoleModel from "./Role.model.js";
+
+/**
+ * @desc    Account Invitation Schema (admin-issued, single use)
+ * @rules   1. The invite link carries a signed, expiring token; only its hash is stored
+ *          2. Status flow: pending -> accepted | revoked (expired when expiresAt passes)
+ *          3. invitedBy / acceptedUser keep the audit trail of who invited whom
+ */
+const invitationSchema = new mongoose.Schema(
+    {
+        email: {
+            type: String,
+            required: [true, "Email is required"],
+            lowercase: true,
+            trim: true,
+            match: [
+                /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+                "Please enter a valid email",
+            ],
+        },
+
+        role: {
+            type: String,
+            required: [true, "Role is required"],
+            validate: {
+                validator: (role) => RoleModel.isAssignable(role),
+                message: "Role does not exist"
+            }
+        },
+
+        tokenHash: {
+            type: String,
+            select: false
+        },
+
+        status: {
+            type: String,
+            enum: ["pending", "accepted", "revoked"],
+            default: "pending",
+            index: true
+        },
+
+        invitedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+
+        acceptedAt: {
+            type: Date,
+            default: null
+        },
+        acceptedUser: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null
+        },
+
+        revokedAt: {
+            type: Date,
+            default: null
+        },
+        revokedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Indexes
+invitationSchema.index({ email: 1, status: 1 });
+invitationSchema.index({ createdAt: -1 });
+
+export default mongoose.model("Invitation", invitationSchema);
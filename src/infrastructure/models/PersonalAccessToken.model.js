@@ -0,0 +1,87 @@
+import mongoose from "mongoose";
+
+export const TOKEN_SCOPES = [
+    "projects:read",
+    "projects:write",
+    "marketplace:write",
+    "orders:read",
+    "orders:write",
+    "reviews:write"
+];
+
+/**
+ * @desc    Personal Access Token Schema (scoped API credentials for automation)
+ * @rules   1. The raw token is shown once at creation; only its SHA-256 hash is stored
+ *          2. Every token has an expiry and can be revoked at any time
+ *          3. Scopes limit which routes the token can call
+ */
+const personalAccessTokenSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true
+        },
+
+        name: {
+            type: String,
+            required: [true, "Token name is required"],
+            trim: true,
+            maxlength: [100, "Token name cannot exceed 100 characters"]
+        },
+
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+            select: false
+        },
+
+        // First characters of the token, so users can tell their tokens apart
+        tokenPrefix: {
+            type: String,
+            required: true
+        },
+
+        scopes: {
+            type: [{ type: String, enum: TOKEN_SCOPES }],
+            validate: {
+                validator: (scopes) => scopes.length > 0,
+                message: "At least one scope is required"
+            }
+        },
+
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+
+        lastUsedAt: {
+            type: Date,
+            default: null
+        },
+        lastUsedIp: {
+            type: String,
+            default: null
+        },
+
+        revokedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Indexes
+personalAccessTokenSchema.index({ user: 1, revokedAt: 1 });
+
+// Whether the token can still be used
+personalAccessTokenSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+export default mongoose.model("PersonalAccessToken", personalAccessTokenSchema);
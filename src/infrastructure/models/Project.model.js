@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "./plugins/softDelete.plugin.js";
 
 const projectSchema = new mongoose.Schema(
     {
@@ -88,10 +89,22 @@ const projectSchema = new mongoose.Schema(
                 enum: ["draft", "pending", "submitted", "approved", "rejected"],
                 default: "pending",
             },
+            // The seller's release label (shown in the activity feed)
             version: {
                 type: String,
+                trim: true,
                 default: "1.0"
             },
+            // Latest ProjectRevision number, maintained by ProjectRevisionService
+            revision: {
+                type: Number,
+                default: 0
+            },
+            // Revision the last approval/rejection was made on (diff it against the resubmission)
+            reviewedRevision: {
+                type: Number,
+                default: null
+            },
             rejectionReason: {
                 type: String,
                 default: null,
@@ -149,4 +162,6 @@ projectSchema.index({
     "basicInfo.tags": "text"
 });
 
+projectSchema.plugin(softDeletePlugin);
+
 export default mongoose.model("Project", projectSchema);
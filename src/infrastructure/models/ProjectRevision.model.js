@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+
+export const REVISION_EVENTS = ["create", "update", "submit", "media", "listing_update", "rollback"];
+
+/**
+ * @desc    Project Revision Schema (immutable snapshot of a project's editable content)
+ * @rules   1. Written by ProjectRevisionService after every change to a project; never updated afterwards
+ *          2. Revision numbers are sequential per project (Project.metadata.revision holds the latest)
+ *          3. changedFields lists the fields that differ from the previous revision
+ *          4. Removed together with the project when it is permanently deleted
+ */
+const projectRevisionSchema = new mongoose.Schema(
+    {
+        project: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Project",
+            required: true,
+            immutable: true
+        },
+
+        revision: {
+            type: Number,
+            required: true,
+            min: 1,
+            immutable: true
+        },
+
+        event: {
+            type: String,
+            enum: REVISION_EVENTS,
+            required: true,
+            immutable: true
+        },
+
+        // Revision a rollback restored
+        restoredFrom: {
+            type: Number,
+            default: null,
+            immutable: true
+        },
+
+        author: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+            immutable: true
+        },
+
+        // Project status right after the change
+        status: {
+            type: String,
+            immutable: true
+        },
+
+        // basicInfo, platform, marketplace (listing fields only), metadata.version and media
+        snapshot: {
+            type: mongoose.Schema.Types.Mixed,
+            required: true,
+            immutable: true
+        },
+
+        changedFields: {
+            type: [String],
+            default: [],
+            immutable: true
+        }
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+        minimize: false
+    }
+);
+
+// Snapshots are history: refuse every write except the insert
+projectRevisionSchema.pre("save", async function () {
+    if (!this.isNew) {
+        throw new Error("Project revisions cannot be modified");
+    }
+});
+
+projectRevisionSchema.pre(
+    ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"],
+    async function () {
+        throw new Error("Project revisions cannot be modified");
+    }
+);
+
+// Indexes
+projectRevisionSchema.index({ project: 1, revision: -1 }, { unique: true });
+
+export default mongoose.model("ProjectRevision", projectRevisionSchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "./plugins/softDelete.plugin.js";
 
 const reviewSchema = new mongoose.Schema(
     {
@@ -33,4 +34,6 @@ const reviewSchema = new mongoose.Schema(
 // Prevent duplicate reviews from same user for same project
 reviewSchema.index({ project: 1, reviewer: 1 }, { unique: true });
 
+reviewSchema.plugin(softDeletePlugin);
+
 export default mongoose.model("Review", reviewSchema);
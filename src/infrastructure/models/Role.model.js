@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+import { PERMISSION_NAMES, SYSTEM_ROLES } from "../../config/permissions.js";
+
+/**
+ * @desc    Custom Role Schema (built-in roles live in config/permissions.js)
+ * @rules   1. Name is a lowercase slug and cannot shadow a built-in role
+ *          2. Permissions must come from the permission catalogue
+ *          3. A role cannot be deleted while users or pending invitations use it
+ */
+const roleSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, "Role name is required"],
+            unique: true,
+            lowercase: true,
+            trim: true,
+            match: [/^[a-z][a-z0-9_]{2,29}$/, "Role name must be 3-30 characters: letters, digits and underscores"],
+            validate: {
+                validator: (name) => !SYSTEM_ROLES[name],
+                message: "This name is reserved for a built-in role"
+            }
+        },
+
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [200, "Description cannot exceed 200 characters"],
+            default: ""
+        },
+
+        permissions: {
+            type: [{ type: String, enum: PERMISSION_NAMES }],
+            default: []
+        },
+
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Whether a role name can be assigned (built-in or existing custom role)
+roleSchema.statics.isAssignable = async function (name) {
+    return !!SYSTEM_ROLES[name] || !!(await this.exists({ name }));
+};
+
+export default mongoose.model("Role", roleSchema);
@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+
+/**
+ * @desc    Seller Application Schema (buyer -> seller upgrade)
+ * @rules   1. Status flow: pending -> approved | rejected (one pending application per user)
+ *          2. The seller agreement must be accepted; its version and time are recorded
+ *          3. Approval switches the user's role to seller; rejection requires a reason
+ */
+const sellerApplicationSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true
+        },
+
+        // ISO 3166-1 alpha-2 country code the payouts go to
+        payoutCountry: {
+            type: String,
+            required: [true, "Payout country is required"],
+            uppercase: true,
+            trim: true,
+            match: [/^[A-Z]{2}$/, "Payout country must be a 2-letter ISO country code"]
+        },
+
+        portfolioLinks: {
+            type: [{
+                type: String,
+                trim: true,
+                match: [/^https?:\/\/\S+$/i, "Portfolio links must be valid http(s) URLs"]
+            }],
+            validate: [
+                {
+                    validator: (links) => links.length > 0,
+                    message: "At least one portfolio link is required"
+                },
+                {
+                    validator: (links) => links.length <= 5,
+                    message: "You can add at most 5 portfolio links"
+                }
+            ]
+        },
+
+        about: {
+            type: String,
+            trim: true,
+            maxlength: [1000, "About cannot exceed 1000 characters"],
+            default: ""
+        },
+
+        agreementVersion: {
+            type: String,
+            required: true
+        },
+        agreementAcceptedAt: {
+            type: Date,
+            required: true
+        },
+
+        status: {
+            type: String,
+            enum: ["pending", "approved", "rejected"],
+            default: "pending",
+            index: true
+        },
+
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null
+        },
+        reviewedAt: {
+            type: Date,
+            default: null
+        },
+        rejectionReason: {
+            type: String,
+            trim: true,
+            maxlength: [500, "Rejection reason cannot exceed 500 characters"],
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Indexes
+sellerApplicationSchema.index(
+    { user: 1 },
+    { unique: true, partialFilterExpression: { status: "pending" }, name: "one_pending_per_user" }
+);
+sellerApplicationSchema.index({ status: 1, createdAt: 1 });
+
+export default mongoose.model("SellerApplication", sellerApplicationSchema);
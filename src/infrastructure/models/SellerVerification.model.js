@@ -0,0 +1,160 @@
+import mongoose from "mongoose";
+
+export const ID_DOCUMENT_TYPES = ["passport", "national_id", "driving_license"];
+export const PAYOUT_METHODS = ["bank_transfer", "paypal"];
+
+/**
+ * @desc    Seller Verification Schema (identity check / KYC)
+ * @rules   1. Status flow: pending -> approved | rejected | needs_info; needs_info -> pending when the seller resubmits
+ *          2. One open (pending or needs_info) verification per user
+ *          3. The ID document lives in private storage (key under "private/") and is only read through signed URLs
+ *          4. Approval sets User.verifiedSeller; rejection and info requests require a message for the seller
+ */
+const sellerVerificationSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true
+        },
+
+        // As printed on the ID document
+        legalName: {
+            type: String,
+            required: [true, "Legal name is required"],
+            trim: true,
+            maxlength: [200, "Legal name cannot exceed 200 characters"]
+        },
+
+        // ISO 3166-1 alpha-2 country code of residence
+        country: {
+            type: String,
+            required: [true, "Country is required"],
+            uppercase: true,
+            trim: true,
+            match: [/^[A-Z]{2}$/, "Country must be a 2-letter ISO country code"]
+        },
+
+        document: {
+            kind: {
+                type: String,
+                enum: {
+                    values: ID_DOCUMENT_TYPES,
+                    message: `Document type must be one of: ${ID_DOCUMENT_TYPES.join(", ")}`
+                },
+                required: [true, "Document type is required"]
+            },
+            // Storage key, never a public URL
+            key: {
+                type: String,
+                required: [true, "An ID document is required"]
+            },
+            contentType: String,
+            uploadedAt: Date
+        },
+
+        payout: {
+            method: {
+                type: String,
+                enum: {
+                    values: PAYOUT_METHODS,
+                    message: `Payout method must be one of: ${PAYOUT_METHODS.join(", ")}`
+                },
+                required: [true, "Payout method is required"]
+            },
+            accountHolder: {
+                type: String,
+                required: [true, "Payout account holder is required"],
+                trim: true,
+                maxlength: [200, "Account holder cannot exceed 200 characters"]
+            },
+            // bank_transfer
+            iban: {
+                type: String,
+                uppercase: true,
+                trim: true,
+                set: (iban) => (typeof iban === "string" ? iban.replace(/\s+/g, "") : iban),
+                match: [/^[A-Z]{2}[0-9]{2}[A-Z0-9]{11,30}$/, "IBAN is not valid"]
+            },
+            swift: {
+                type: String,
+                uppercase: true,
+                trim: true,
+                match: [/^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/, "SWIFT/BIC code is not valid"]
+            },
+            // paypal
+            paypalEmail: {
+                type: String,
+                lowercase: true,
+                trim: true,
+                match: [/^\S+@\S+\.\S+$/, "PayPal email is not valid"]
+            }
+        },
+
+        status: {
+            type: String,
+            enum: ["pending", "needs_info", "approved", "rejected"],
+            default: "pending",
+            index: true
+        },
+
+        // Last time the seller (re)submitted; the review queue is ordered by it
+        submittedAt: {
+            type: Date,
+            default: Date.now
+        },
+
+        // What the reviewer asked for (needs_info)
+        infoRequest: {
+            type: String,
+            trim: true,
+            maxlength: [500, "Info request cannot exceed 500 characters"],
+            default: null
+        },
+
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null
+        },
+        reviewedAt: {
+            type: Date,
+            default: null
+        },
+        rejectionReason: {
+            type: String,
+            trim: true,
+            maxlength: [500, "Rejection reason cannot exceed 500 characters"],
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Each payout method needs its own account details
+sellerVerificationSchema.pre("validate", async function () {
+    const { method, iban, paypalEmail } = this.payout || {};
+
+    if (method === "bank_transfer" && !iban) {
+        this.invalidate("payout.iban", "IBAN is required for bank transfer payouts");
+    }
+    if (method === "paypal" && !paypalEmail) {
+        this.invalidate("payout.paypalEmail", "PayPal email is required for PayPal payouts");
+    }
+});
+
+// Indexes
+sellerVerificationSchema.index(
+    { user: 1 },
+    {
+        unique: true,
+        partialFilterExpression: { status: { $in: ["pending", "needs_info"] } },
+        name: "one_open_per_user"
+    }
+);
+sellerVerificationSchema.index({ status: 1, submittedAt: 1 });
+
+export default mongoose.model("SellerVerification", sellerVerificationSchema);
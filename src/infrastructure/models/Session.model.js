@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+/**
+ * @desc    Refresh Token Session Schema (one document per logged-in device)
+ * @rules   1. Only the SHA-256 hash of the current refresh token is stored
+ *          2. Every refresh rotates the hash; the session is the token family
+ *          3. Presenting an already-rotated token revokes the whole session
+ */
+const sessionSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true
+        },
+
+        refreshTokenHash: {
+            type: String,
+            required: true,
+            select: false
+        },
+
+        // Device info captured at login and on each refresh
+        userAgent: {
+            type: String,
+            default: null
+        },
+        ip: {
+            type: String,
+            default: null
+        },
+
+        lastUsedAt: {
+            type: Date,
+            default: Date.now
+        },
+
+        // Matches the expiry of the latest refresh token issued for this session
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+
+        revokedAt: {
+            type: Date,
+            default: null
+        },
+        revokedReason: {
+            type: String,
+            enum: ["logout", "reuse_detected", "password_change", "user_revoked", "admin_revoked", "user_blocked", "email_reverted", "account_deleted", null],
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Expired sessions are removed automatically by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the session can still be used
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+export default mongoose.model("Session", sessionSchema);
@@ -1,6 +1,8 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "./plugins/softDelete.plugin.js";
 import bcrypt from "bcryptjs";
 import crypto from "crypto";
+import RoleModel from "./Role.model.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -31,10 +33,14 @@ const userSchema = new mongoose.Schema(
       select: false,
     },
 
+    // Built-in role (config/permissions.js) or a custom role from the Role collection
     role: {
       type: String,
-      enum: ["buyer", "seller", "admin"], 
-      default: "buyer", 
+      default: "buyer",
+      validate: {
+        validator: (role) => RoleModel.isAssignable(role),
+        message: "Role does not exist",
+      },
     },
 
     isEmailVerified: {
@@ -52,8 +58,199 @@ const userSchema = new mongoose.Schema(
 
     resetPasswordToken: String,
     resetPasswordExpire: Date,
+    passwordChangedAt: Date,
+
+    // Set by an admin (or breached-password screening at login): password login is refused
+    // until a new password is chosen through the reset email
+    passwordResetRequired: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Email change: `email` only switches to pendingEmail once the new address is confirmed
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [
+        /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+        "Please enter a valid email",
+      ],
+      default: null,
+    },
+    emailChangeToken: String,
+    emailChangeExpire: Date,
+
+    // Lets the previous address undo a change it did not ask for
+    emailRevertAddress: String,
+    emailRevertToken: String,
+    emailRevertExpire: Date,
+
+    // TOTP two-factor authentication (secrets never leave the server)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret generated during setup, promoted to `secret` once a code is confirmed
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of unused one-time recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted TOTP time step (blocks replay of the same code)
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: Date,
+    },
+
+    // One-time code handed to the frontend after an OAuth callback
+    oauthLoginToken: String,
+    oauthLoginExpire: Date,
+
+    // Passwordless sign-in: the link and the 6-digit code from one email (either works, once)
+    magicLinkToken: String,
+    magicLinkCode: String,
+    magicLinkExpire: Date,
+    magicLinkAttempts: {
+      type: Number,
+      default: 0,
+    },
+
+    // External identities (GitHub / OIDC) linked to this account
+    oauthAccounts: [
+      {
+        _id: false,
+        provider: {
+          type: String,
+          enum: ["github", "oidc"],
+          required: true,
+        },
+        providerId: {
+          type: String,
+          required: true,
+        },
+        email: String,
+        username: String,
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    // Verified via GitHub OAuth (only set from a linked GitHub account)
+    githubUsername: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    // Square WebP renditions (64/256/512 px) written by AvatarService
+    avatar: {
+      type: new mongoose.Schema(
+        {
+          small: String,
+          medium: String,
+          large: String,
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+
+    // Public seller profile (GET /api/sellers/:idOrHandle); the handle is unique when set
+    handle: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [
+        /^[a-z0-9][a-z0-9_-]{2,29}$/,
+        "Handle must be 3-30 characters: letters, numbers, - or _",
+      ],
+      validate: {
+        // The public profile URL accepts an ID or a handle, so a handle must never look like an ID
+        validator: (handle) => !/^[0-9a-f]{24}$/.test(handle),
+        message: "Handle cannot look like a user ID",
+      },
+    },
+
+    bio: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Bio cannot exceed 500 characters"],
+      default: "",
+    },
+
+    links: {
+      type: [
+        {
+          _id: false,
+          label: {
+            type: String,
+            trim: true,
+            maxlength: [50, "Link label cannot exceed 50 characters"],
+          },
+          url: {
+            type: String,
+            required: [true, "Link URL is required"],
+            trim: true,
+            match: [/^https?:\/\/\S+$/i, "Links must be http:// or https:// URLs"],
+          },
+        },
+      ],
+      validate: {
+        validator: (links) => links.length <= 5,
+        message: "You can add up to 5 links",
+      },
+    },
+
+    // Identity verified by an admin (SellerVerification); shown as a badge on listings and the
+    // seller profile, and required to list above VERIFIED_SELLER_PRICE_THRESHOLD
+    verifiedSeller: {
+      type: Boolean,
+      default: false,
+    },
+    verifiedSellerAt: {
+      type: Date,
+      default: null,
+    },
 
     lastLogin: Date,
+
+    // Admin who invited this user (null for public signups)
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // Self-service deletion: scheduled with a grace period, then the account is anonymized
+    // (the document stays so orders and reviews keep a valid, anonymous reference)
+    deletion: {
+      requestedAt: Date,
+      scheduledFor: Date,
+      // What happens to projects that were never sold
+      unsoldProjects: {
+        type: String,
+        enum: ["delete", "transfer"],
+      },
+      transferTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      completedAt: Date,
+    },
   },
   {
     timestamps: true,
@@ -66,6 +263,19 @@ const userSchema = new mongoose.Schema(
 userSchema.index({ email: 1 });
 userSchema.index({ emailVerificationToken: 1 });
 userSchema.index({ resetPasswordToken: 1 });
+userSchema.index({ emailChangeToken: 1 });
+userSchema.index({ emailRevertToken: 1 });
+userSchema.index({ oauthLoginToken: 1 });
+userSchema.index({ magicLinkToken: 1 });
+userSchema.index({ "deletion.scheduledFor": 1 });
+userSchema.index(
+  { handle: 1 },
+  { unique: true, partialFilterExpression: { handle: { $type: "string" } } }
+);
+userSchema.index(
+  { "oauthAccounts.provider": 1, "oauthAccounts.providerId": 1 },
+  { unique: true, partialFilterExpression: { "oauthAccounts.providerId": { $exists: true } } }
+);
 
 // Hash password before saving
 userSchema.pre("save", async function () {
@@ -73,6 +283,13 @@ userSchema.pre("save", async function () {
 
   const salt = await bcrypt.genSalt(12);
   this.password = await bcrypt.hash(this.password, salt);
+
+  // Record password change so tokens issued before it are rejected
+  // (back-dated 1s so a token issued right after save stays valid)
+  if (!this.isNew) {
+    this.passwordChangedAt = Date.now() - 1000;
+    this.passwordResetRequired = false;
+  }
 });
 
 
@@ -86,6 +303,14 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   }
 };
 
+// Check if password was changed after the token was issued
+userSchema.methods.changedPasswordAfter = function (tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+
+  const changedTimestamp = Math.floor(this.passwordChangedAt.getTime() / 1000);
+  return tokenIssuedAt < changedTimestamp;
+};
+
 // Generate email verification token
 userSchema.methods.generateEmailVerificationToken = function () {
   const verificationToken = crypto.randomBytes(32).toString("hex");
@@ -116,10 +341,80 @@ userSchema.methods.generatePasswordResetToken = function () {
   return resetToken;
 };
 
+// Generate email change confirmation token (sent to the new address)
+userSchema.methods.generateEmailChangeToken = function (newEmail) {
+  const changeToken = crypto.randomBytes(32).toString("hex");
+
+  this.pendingEmail = newEmail;
+  this.emailChangeToken = crypto
+    .createHash("sha256")
+    .update(changeToken)
+    .digest("hex");
+
+  // Token expires in 24 hours
+  this.emailChangeExpire = Date.now() + 24 * 60 * 60 * 1000;
+
+  return changeToken;
+};
+
+// Generate email change revert token (sent to the current address)
+userSchema.methods.generateEmailRevertToken = function () {
+  const revertToken = crypto.randomBytes(32).toString("hex");
+
+  this.emailRevertAddress = this.email;
+  this.emailRevertToken = crypto
+    .createHash("sha256")
+    .update(revertToken)
+    .digest("hex");
+
+  // Token expires in 7 days
+  this.emailRevertExpire = Date.now() + 7 * 24 * 60 * 60 * 1000;
+
+  return revertToken;
+};
+
+// Generate one-time OAuth login code
+userSchema.methods.generateOAuthLoginToken = function () {
+  const loginToken = crypto.randomBytes(32).toString("hex");
+
+  this.oauthLoginToken = crypto
+    .createHash("sha256")
+    .update(loginToken)
+    .digest("hex");
+
+  // Code expires in 2 minutes
+  this.oauthLoginExpire = Date.now() + 2 * 60 * 1000;
+
+  return loginToken;
+};
+
+// Generate passwordless sign-in link token + 6-digit code (a new request replaces the old one)
+userSchema.methods.generateMagicLinkToken = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+
+  this.magicLinkToken = crypto
+    .createHash("sha256")
+    .update(token)
+    .digest("hex");
+  this.magicLinkCode = crypto
+    .createHash("sha256")
+    .update(code)
+    .digest("hex");
+  this.magicLinkAttempts = 0;
+
+  // Link and code expire in 15 minutes
+  this.magicLinkExpire = Date.now() + 15 * 60 * 1000;
+
+  return { token, code };
+};
+
 // Update last login
 userSchema.methods.updateLastLogin = function () {
   this.lastLogin = Date.now();
   return this.save({ validateBeforeSave: false });
 };
 
+userSchema.plugin(softDeletePlugin);
+
 export default mongoose.model("User", userSchema);
\ No newline at end of file
@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+
+/**
+ * @desc    Soft Delete Plugin (users, projects, reviews)
+ * @rules   1. doc.softDelete(userId) stamps deletedAt/deletedBy instead of removing the document
+ *          2. Queries and aggregations skip deleted documents, unless the filter mentions
+ *             deletedAt (e.g. the trash listing) or the query opts in with .withDeleted()
+ *          3. Populated references are filtered too; pass options: { withDeleted: true } to keep them
+ *          4. Deleted documents are purged after the retention period (TrashService)
+ */
+const FILTERED_QUERIES = [
+    "find", "findOne", "countDocuments", "distinct",
+    "findOneAndUpdate", "updateOne", "updateMany"
+];
+
+// Stages MongoDB only accepts at the start of a pipeline ($text too, inside the first $match)
+const LEADING_STAGES = ["$geoNear", "$search", "$searchMeta", "$vectorSearch"];
+
+export const softDeletePlugin = (schema) => {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null
+        }
+    });
+
+    schema.index({ deletedAt: 1 });
+
+    schema.pre(FILTERED_QUERIES, function () {
+        const options = this.getOptions();
+
+        // Our own flag, never sent to MongoDB
+        if (options.withDeleted) {
+            delete options.withDeleted;
+            return;
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(this.getFilter(), "deletedAt")) {
+            this.where({ deletedAt: null });
+        }
+    });
+
+    schema.pre("aggregate", function () {
+        if (this.options.withDeleted) {
+            delete this.options.withDeleted;
+            return;
+        }
+
+        const pipeline = this.pipeline();
+        const firstStage = pipeline[0] && Object.keys(pipeline[0])[0];
+        const mustStayFirst = LEADING_STAGES.includes(firstStage) || !!pipeline[0]?.$match?.$text;
+        pipeline.splice(mustStayFirst ? 1 : 0, 0, { $match: { deletedAt: null } });
+    });
+
+    schema.query.withDeleted = function () {
+        return this.setOptions({ withDeleted: true });
+    };
+
+    schema.methods.softDelete = function (deletedBy = null) {
+        this.deletedAt = new Date();
+        this.deletedBy = deletedBy;
+        return this.save({ validateBeforeSave: false });
+    };
+
+    schema.methods.restore = function () {
+        this.deletedAt = null;
+        this.deletedBy = null;
+        return this.save({ validateBeforeSave: false });
+    };
+};
@@ -0,0 +1,76 @@
+import path from 'path';
+import { v2 as cloudinary } from 'cloudinary';
+
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'svg'];
+const VIDEO_EXTENSIONS = ['mp4', 'webm', 'mov'];
+
+// Cloudinary stores images and videos without their extension (it becomes the delivery
+// format) and everything else, e.g. zip deliverables, as "raw" files that keep it
+const describeKey = (key) => {
+    const extension = path.extname(key).slice(1).toLowerCase();
+    const resourceType = IMAGE_EXTENSIONS.includes(extension) ? 'image'
+        : VIDEO_EXTENSIONS.includes(extension) ? 'video'
+            : 'raw';
+
+    return {
+        resourceType,
+        publicId: resourceType === 'raw' ? key : key.slice(0, -(extension.length + 1)),
+        format: resourceType === 'raw' ? undefined : extension,
+        // Authenticated assets can only be fetched through a signed URL
+        type: key.startsWith('private/') ? 'authenticated' : 'upload'
+    };
+};
+
+/**
+ * @desc    Cloudinary Storage Driver
+ * @rules   The storage key maps to the public ID, so URLs can be built and parsed without an API call
+ */
+export const createCloudinaryDriver = ({ cloudName, apiKey, apiSecret }) => {
+    if (!cloudName || !apiKey || !apiSecret) {
+        throw new Error('CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET are required for the cloudinary storage driver');
+    }
+
+    cloudinary.config({ cloud_name: cloudName, api_key: apiKey, api_secret: apiSecret, secure: true });
+
+    const urlPattern = new RegExp(`/${cloudName}/(image|video|raw)/upload/(?:s--[^/]+--/)?(?:v\\d+/)?(.+)$`);
+
+    return {
+        name: 'cloudinary',
+
+        put: (key, body) => {
+            const { resourceType, publicId, type } = describeKey(key);
+
+            return new Promise((resolve, reject) => {
+                cloudinary.uploader.upload_stream(
+                    { public_id: publicId, resource_type: resourceType, type, overwrite: true },
+                    (err, result) => (err ? reject(err) : resolve(result))
+                ).end(body);
+            });
+        },
+
+        remove: (key) => {
+            const { resourceType, publicId, type } = describeKey(key);
+            return cloudinary.uploader.destroy(publicId, { resource_type: resourceType, type, invalidate: true });
+        },
+
+        getPublicUrl: (key) => {
+            const { resourceType, publicId, format } = describeKey(key);
+            return cloudinary.url(publicId, { resource_type: resourceType, type: 'upload', format, secure: true });
+        },
+
+        getSignedUrl: async (key, expiresIn) => {
+            const { resourceType, publicId, format, type } = describeKey(key);
+            return cloudinary.utils.private_download_url(publicId, format, {
+                resource_type: resourceType,
+                type,
+                expires_at: Math.floor(Date.now() / 1000) + expiresIn
+            });
+        },
+
+        // Public URLs end with the public ID plus the format, which is exactly the key
+        keyFromUrl: (url) => {
+            const match = url.split('?')[0].match(urlPattern);
+            return match ? decodeURIComponent(match[2]) : null;
+        }
+    };
+};
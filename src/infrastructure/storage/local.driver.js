@@ -0,0 +1,71 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Route the app serves the storage root from (see middleware/uploads.middleware.js)
+export const LOCAL_URL_PATH = '/uploads';
+
+/**
+ * @desc    Local Disk Storage Driver
+ * @rules   Files live under config.root; private keys are served only with a valid HMAC signature
+ */
+export const createLocalDriver = ({ root, publicBaseUrl, signingSecret }) => {
+    const rootDir = path.resolve(root);
+    const urlPrefix = `${new URL(publicBaseUrl || 'http://local').pathname.replace(/\/$/, '')}${LOCAL_URL_PATH}/`;
+
+    // A key can never resolve outside the storage root
+    const resolveKey = (key) => {
+        const filePath = path.resolve(rootDir, key);
+        if (!filePath.startsWith(rootDir + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    const sign = (key, expires) => crypto
+        .createHmac('sha256', signingSecret)
+        .update(`${key}:${expires}`)
+        .digest('hex');
+
+    const getPublicUrl = (key) => `${publicBaseUrl}${LOCAL_URL_PATH}/${key}`;
+
+    return {
+        name: 'local',
+        rootDir,
+
+        put: async (key, body) => {
+            const filePath = resolveKey(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, body);
+        },
+
+        remove: async (key) => {
+            try {
+                await fs.unlink(resolveKey(key));
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err;
+            }
+        },
+
+        getPublicUrl,
+
+        getSignedUrl: async (key, expiresIn) => {
+            const expires = Math.floor(Date.now() / 1000) + expiresIn;
+            return `${getPublicUrl(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+        },
+
+        keyFromUrl: (url) => {
+            const { pathname } = new URL(url, 'http://local');
+            return pathname.startsWith(urlPrefix) ? decodeURIComponent(pathname.slice(urlPrefix.length)) : null;
+        },
+
+        verifySignature: (key, expires, signature) => {
+            if (!signingSecret || typeof expires !== 'string' || typeof signature !== 'string') return false;
+            if (Number(expires) < Date.now() / 1000) return false;
+
+            const expected = sign(key, expires);
+            return signature.length === expected.length &&
+                crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+        }
+    };
+};
@@ -0,0 +1,63 @@
+import {
+    S3Client,
+    PutObjectCommand,
+    DeleteObjectCommand,
+    GetObjectCommand
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+/**
+ * @desc    S3-Compatible Storage Driver (AWS S3, MinIO, R2, ...)
+ * @rules   Public URLs point at config.publicUrl (CDN / public bucket) or the bucket itself;
+ *          private keys are read through presigned GET URLs
+ */
+export const createS3Driver = ({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle, publicUrl }) => {
+    if (!bucket) {
+        throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    const endpointUrl = endpoint?.replace(/\/$/, '');
+    let baseUrl = publicUrl;
+    if (!baseUrl && endpointUrl) {
+        const { protocol, host } = new URL(endpointUrl);
+        baseUrl = forcePathStyle ? `${endpointUrl}/${bucket}` : `${protocol}//${bucket}.${host}`;
+    }
+    baseUrl = baseUrl || `https://${bucket}.s3.${region}.amazonaws.com`;
+
+    return {
+        name: 's3',
+
+        put: (key, body, { contentType, isPrivate }) => client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            Body: body,
+            ContentType: contentType,
+            // Keys are never reused, so public files can be cached forever
+            CacheControl: isPrivate ? 'private, no-store' : 'public, max-age=31536000, immutable'
+        })),
+
+        remove: (key) => client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key })),
+
+        getPublicUrl: (key) => `${baseUrl}/${key}`,
+
+        getSignedUrl: (key, expiresIn) => getSignedUrl(
+            client,
+            new GetObjectCommand({ Bucket: bucket, Key: key }),
+            { expiresIn }
+        ),
+
+        keyFromUrl: (url) => {
+            const [withoutQuery] = url.split('?');
+            return withoutQuery.startsWith(`${baseUrl}/`)
+                ? decodeURIComponent(withoutQuery.slice(baseUrl.length + 1))
+                : null;
+        }
+    };
+};
@@ -0,0 +1,32 @@
+// scripts/grantRole.js
+// Assign a role from the command line, e.g. to create the first super admin:
+//   npm run grant-role -- owner@example.com super_admin
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import UserModel from '../infrastructure/models/User.model.js';
+
+const [email, role] = process.argv.slice(2);
+
+if (!email || !role) {
+    console.error('Usage: npm run grant-role -- <email> <role>');
+    process.exit(1);
+}
+
+try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const user = await UserModel.findOne({ email: email.toLowerCase().trim() });
+    if (!user) {
+        console.error(`❌ No user with email ${email}`);
+        process.exitCode = 1;
+    } else {
+        user.role = role;
+        await user.save();
+        console.log(`✅ ${user.email} is now ${user.role}`);
+    }
+} catch (err) {
+    console.error('❌ Failed to grant role:', err.message);
+    process.exitCode = 1;
+} finally {
+    await mongoose.disconnect();
+}
@@ -2,13 +2,24 @@
 import 'dotenv/config';
 import app from './app.js';
 import mongoose from 'mongoose';
+import { AccountService } from './app/services/account.service.js';
+import { TrashService } from './app/services/trash.service.js';
 
 const PORT = process.env.PORT || 5000;
+const MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000; // hourly
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
   .then(() => {
     console.log('✅ MongoDB connected');
+
+    // Anonymize accounts whose deletion grace period is over, purge expired trash
+    setInterval(() => {
+      AccountService.processScheduledDeletions()
+        .catch(err => console.error('❌ Scheduled account deletion failed:', err));
+      TrashService.purgeExpired()
+        .catch(err => console.error('❌ Trash purge failed:', err));
+    }, MAINTENANCE_INTERVAL_MS);
     
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
@@ -0,0 +1,175 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import mongoose from "mongoose";
+import request from "supertest";
+import { jest } from "@jest/globals";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "devmark-marketplace-"));
+process.env.STORAGE_DRIVER = "local";
+process.env.STORAGE_LOCAL_ROOT = root;
+process.env.STORAGE_SIGNING_SECRET = "test-storage-signing-secret";
+
+const { default: ProjectModel } = await import("../src/infrastructure/models/Project.model.js");
+const { PermissionService } = await import("../src/app/services/permission.service.js");
+const { FeedService } = await import("../src/app/services/feed.service.js");
+const { ProjectRevisionService } = await import("../src/app/services/projectRevision.service.js");
+const {
+  getAllListings,
+  getListingById,
+  createListing,
+  deleteListing,
+  buyProject,
+  searchListings
+} = await import("../src/app/controllers/marketplace.controller.js");
+
+/* In-memory projects: documents are stored the way MongoDB would see them (schema paths
+   only), and queries match stored values by path */
+const store = new Map();
+
+const { BSON } = mongoose.mongo;
+const copy = (stored) => BSON.deserialize(BSON.serialize(stored));
+
+const valueAt = (object, field) => field.split(".").reduce((current, key) => current?.[key], object);
+
+const matchesCondition = (value, condition) => {
+  if (condition === null) return value === null || value === undefined;
+  if (condition instanceof Object && !(condition instanceof mongoose.Types.ObjectId)) {
+    if (condition.$regex !== undefined) return new RegExp(condition.$regex, condition.$options).test(value ?? "");
+    if (condition.$gte !== undefined && !(value >= condition.$gte)) return false;
+    if (condition.$lte !== undefined && !(value <= condition.$lte)) return false;
+    return true;
+  }
+  return String(value) === String(condition);
+};
+
+const matches = (object, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === "$or") return condition.some(part => matches(object, part));
+  if (field === "$and") return condition.every(part => matches(object, part));
+  return matchesCondition(valueAt(object, field), condition);
+});
+
+const query = (find, single) => {
+  let lean = false;
+  let skip = 0;
+  let limit = Infinity;
+  const chain = {
+    populate: () => chain,
+    select: () => chain,
+    sort: () => chain,
+    skip: (value) => { skip = value; return chain; },
+    limit: (value) => { limit = value; return chain; },
+    lean: () => { lean = true; return chain; },
+    then: (resolve, reject) => Promise.resolve().then(() => {
+      const result = find().slice(skip, skip + limit).map(stored =>
+        lean ? copy(stored) : ProjectModel.hydrate(copy(stored)));
+      return single ? result[0] ?? null : result;
+    }).then(resolve, reject)
+  };
+  return chain;
+};
+
+const findMany = (filter) => [...store.values()].filter(stored => matches(stored, filter));
+
+jest.spyOn(ProjectModel, "find").mockImplementation((filter) => query(() => findMany(filter), false));
+jest.spyOn(ProjectModel, "findOne").mockImplementation((filter) => query(() => findMany(filter), true));
+jest.spyOn(ProjectModel, "findById").mockImplementation((id) => query(() => findMany({ _id: id }), true));
+jest.spyOn(ProjectModel, "countDocuments").mockImplementation(async (filter) => findMany(filter).length);
+jest.spyOn(ProjectModel.prototype, "save").mockImplementation(async function () {
+  await this.validate();
+  store.set(this._id.toString(), copy(this.toObject({ virtuals: false, depopulate: true })));
+  return this;
+});
+
+jest.spyOn(PermissionService, "hasPermission").mockResolvedValue(false);
+jest.spyOn(FeedService, "record").mockResolvedValue(null);
+jest.spyOn(ProjectRevisionService, "record").mockResolvedValue(null);
+
+const seller = { _id: new mongoose.Types.ObjectId(), role: "seller", verifiedSeller: false };
+const buyer = { _id: new mongoose.Types.ObjectId(), role: "buyer", verifiedSeller: false };
+const users = { seller, buyer };
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  const user = users[req.get("x-test-user")];
+  if (user) req.user = { ...user, id: user._id.toString() };
+  next();
+});
+app.get("/api/marketplace", getAllListings);
+app.get("/api/marketplace/search", searchListings);
+app.get("/api/marketplace/:id", getListingById);
+app.post("/api/marketplace", createListing);
+app.delete("/api/marketplace/:id", deleteListing);
+app.post("/api/marketplace/:id/buy", buyProject);
+
+let projectId;
+
+beforeAll(async () => {
+  const project = new ProjectModel({
+    basicInfo: {
+      title: "Invoice Tracker",
+      description: "Track invoices and payments for freelancers",
+      category: "web-development"
+    },
+    marketplace: { price: 49 },
+    metadata: { status: "approved" },
+    owner: seller._id
+  });
+  await project.save();
+  projectId = project._id.toString();
+});
+
+afterAll(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+const listingIds = (res) => res.body.data.map(listing => listing._id.toString());
+
+describe("marketplace listings", () => {
+  it("lists, shows, unlists, re-lists and sells a project", async () => {
+    let res = await request(app).post("/api/marketplace").set("x-test-user", "seller").send({ projectId });
+    expect(res.status).toBe(201);
+    expect(FeedService.record).toHaveBeenCalledWith("listing_created", expect.anything());
+
+    res = await request(app).get("/api/marketplace");
+    expect(res.status).toBe(200);
+    expect(listingIds(res)).toEqual([projectId]);
+
+    res = await request(app).get("/api/marketplace/search").query({ search: "invoice", maxPrice: 50 });
+    expect(listingIds(res)).toEqual([projectId]);
+
+    res = await request(app).get(`/api/marketplace/${projectId}`);
+    expect(res.status).toBe(200);
+
+    // Unlist: gone from the marketplace, and can be listed again
+    res = await request(app).delete(`/api/marketplace/${projectId}`).set("x-test-user", "seller");
+    expect(res.status).toBe(200);
+    expect(store.get(projectId).marketplace.isForSale).toBe(false);
+
+    res = await request(app).get(`/api/marketplace/${projectId}`);
+    expect(res.status).toBe(404);
+
+    res = await request(app).post(`/api/marketplace/${projectId}/buy`).set("x-test-user", "buyer");
+    expect(res.status).toBe(400);
+
+    res = await request(app).post("/api/marketplace").set("x-test-user", "seller").send({ projectId });
+    expect(res.status).toBe(201);
+
+    // Buy
+    res = await request(app).post(`/api/marketplace/${projectId}/buy`).set("x-test-user", "buyer");
+    expect(res.status).toBe(200);
+    expect(store.get(projectId).marketplace).toMatchObject({ isForSale: false, soldTo: buyer._id });
+    expect(store.get(projectId).marketplace.soldAt).toBeInstanceOf(Date);
+
+    res = await request(app).get("/api/marketplace");
+    expect(res.body.total).toBe(0);
+
+    res = await request(app).post(`/api/marketplace/${projectId}/buy`).set("x-test-user", "buyer");
+    expect(res.status).toBe(400);
+
+    res = await request(app).post("/api/marketplace").set("x-test-user", "seller").send({ projectId });
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,100 @@
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import express from "express";
+import request from "supertest";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "devmark-uploads-"));
+process.env.STORAGE_DRIVER = "local";
+process.env.STORAGE_LOCAL_ROOT = root;
+process.env.STORAGE_PUBLIC_URL = "";
+process.env.STORAGE_SIGNING_SECRET = "test-storage-signing-secret";
+
+const { serveUploads } = await import("../src/app/middleware/uploads.middleware.js");
+const { StorageService } = await import("../src/app/services/storage.service.js");
+
+const PRIVATE_KEY = "private/verifications/verification-user-1.pdf";
+const PRIVATE_BODY = "%PDF-1.7 identity document";
+
+const app = express();
+app.use("/uploads", serveUploads);
+app.use((req, res) => res.status(404).json({ success: false, message: "Route not found" }));
+
+beforeAll(async () => {
+  await StorageService.upload("avatars/avatar-user-1-64.webp", Buffer.from("webp"), { contentType: "image/webp" });
+  await StorageService.upload(PRIVATE_KEY, Buffer.from(PRIVATE_BODY), { contentType: "application/pdf" });
+});
+
+afterAll(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+// HTTP clients resolve "." and ".." before sending; an attacker's raw request does not
+const rawGet = (rawPath) => new Promise((resolve, reject) => {
+  const server = app.listen(0, () => {
+    http.get({ port: server.address().port, path: rawPath }, (res) => {
+      let text = "";
+      res.on("data", (chunk) => { text += chunk; });
+      res.on("end", () => server.close(() => resolve({ status: res.statusCode, text })));
+    }).on("error", (err) => server.close(() => reject(err)));
+  });
+});
+
+describe("serveUploads", () => {
+  it("serves public files", async () => {
+    const res = await request(app).get("/uploads/avatars/avatar-user-1-64.webp");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["cache-control"]).toContain("immutable");
+  });
+
+  it("serves private files with a valid signature", async () => {
+    const url = await StorageService.getSignedUrl(PRIVATE_KEY, 60);
+    const res = await request(app).get(url);
+
+    expect(res.status).toBe(200);
+    expect(res.body.toString()).toBe(PRIVATE_BODY);
+    expect(res.headers["cache-control"]).toBe("private, no-store");
+  });
+
+  it("rejects a tampered signature", async () => {
+    const url = await StorageService.getSignedUrl(PRIVATE_KEY, 60);
+    const res = await request(app).get(url.replace(/signature=./, "signature=0"));
+
+    expect(res.status).toBe(403);
+  });
+
+  it.each([
+    ["plain", `/uploads/${PRIVATE_KEY}`],
+    ["double slash", `/uploads//${PRIVATE_KEY}`],
+    ["dot segment", `/uploads/./${PRIVATE_KEY}`],
+    ["encoded slash", `/uploads/%2F${PRIVATE_KEY}`],
+    ["encoded dot segment", `/uploads/%2E/${PRIVATE_KEY}`],
+    ["upper case", `/uploads/${PRIVATE_KEY.toUpperCase()}`],
+  ])("refuses unsigned private files (%s)", async (_, url) => {
+    const res = await rawGet(url);
+
+    expect(res.status).toBe(403);
+    expect(res.text).not.toContain(PRIVATE_BODY);
+  });
+
+  it.each([
+    ["parent segment", `/uploads/avatars/../${PRIVATE_KEY}`],
+    ["encoded parent segment", `/uploads/avatars/%2E%2E/${PRIVATE_KEY}`],
+    ["encoded slash and parent segment", `/uploads/avatars%2F..%2F${PRIVATE_KEY}`],
+    ["backslash", `/uploads/avatars%5C..%5C${PRIVATE_KEY}`],
+  ])("rejects paths with parent segments (%s)", async (_, url) => {
+    const res = await rawGet(url);
+
+    expect(res.status).toBe(400);
+    expect(res.text).not.toContain(PRIVATE_BODY);
+  });
+
+  it("passes missing files to the 404 handler", async () => {
+    const res = await request(app).get("/uploads/avatars/missing.webp");
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe("Route not found");
+  });
+});